@@ -2,13 +2,93 @@
  * Cetanā Component — mount/unmount lifecycle
  *
  * Mounts a component to a DOM element, running a setup function
- * that returns a cleanup function. Calling the returned cleanup
- * unmounts the component and releases all resources.
+ * that may return a cleanup function. Calling the returned unmount
+ * runs that cleanup, then disposes everything the setup created:
+ * subscriptions, computeds, effects, lists and the components mounted
+ * inside it, most recent first:
+ *
+ *   mount(root, (el) => {
+ *     const label = computed(() => `${count.get()} items`);
+ *     label.subscribe(text => { el.textContent = text; });
+ *     onMount(() => el.querySelector('input').focus());
+ *     onCleanup(() => clearInterval(timer));
+ *   });
+ *
+ * Errors thrown by the component's subscribers, effects and lists
+ * while updating go to the handlers it registers with onError(), then
+ * to those of the component it was mounted inside:
+ *
+ *   mount(root, (el) => {
+ *     onError((error, { subscriber, source }) => showBanner(error.message));
+ *     ...
+ *   });
  */
 
+import { createOwner, currentOwner, runOwned, own, disposeOwner } from './graph.js';
+
+/**
+ * @param {Element} element
+ * @param {(element: Element) => (void|(() => void))} setup
+ * @returns {() => void} Unmounts the component (once; later calls do nothing)
+ */
 export function mount(element, setup) {
-  const cleanup = setup(element);
-  return () => {
-    if (typeof cleanup === 'function') cleanup();
-  };
+  const scope = createOwner();
+  scope.mountHooks = [];
+  // A component mounted during another's setup unmounts with it
+  const unmount = own(() => disposeOwner(scope));
+  try {
+    runOwned(scope, () => {
+      const cleanup = setup(element);
+      if (typeof cleanup === 'function') scope.cleanups.push(cleanup);
+      // Mounted: run onMount() hooks, still owned by this component
+      for (const hook of scope.mountHooks.splice(0)) {
+        const cleanup = hook(element);
+        if (typeof cleanup === 'function') scope.cleanups.push(cleanup);
+      }
+    });
+  } catch (error) {
+    // A failed setup leaves nothing behind
+    disposeOwner(scope);
+    throw error;
+  }
+  return unmount;
+}
+
+/**
+ * Run `fn` once the component being set up has finished its setup (so
+ * every element it wires up is in place). If `fn` returns a function, it
+ * is called on unmount.
+ *
+ * @param {(element: Element) => (void|(() => void))} fn
+ */
+export function onMount(fn) {
+  setupScope('onMount').mountHooks.push(fn);
+}
+
+/**
+ * Call `fn` when the component being set up unmounts.
+ *
+ * @param {() => void} fn
+ */
+export function onCleanup(fn) {
+  setupScope('onCleanup').cleanups.push(fn);
+}
+
+/**
+ * Handle errors from the updates of the component being set up. The
+ * handler receives the error and { kind, subscriber, source }: what
+ * threw ('effect', 'subscriber' or 'computed'), its name and the name
+ * of the signal whose change ran it, when known. A handler that throws
+ * passes the error on to the enclosing component.
+ *
+ * @param {(error: *, info: { kind: string, subscriber: string|null, source: string|null }) => void} handler
+ */
+export function onError(handler) {
+  setupScope('onError').errorHandlers.push(handler);
+}
+
+function setupScope(hook) {
+  const scope = currentOwner();
+  if (!scope) throw new Error(`Cetanā: ${hook}() must be called during a mount() setup`);
+  return scope;
 }
@@ -3,22 +3,96 @@
  *
  * A computed signal re-evaluates when any of its dependency signals change.
  * It exposes .get() and .subscribe() like a signal but has no .set().
+ *
+ * Dependencies are whatever the function reads with .get() on its latest
+ * run, so a branch that stops reading a signal stops depending on it.
+ * Evaluation is lazy: a change only marks the value stale, and it is
+ * recomputed the next time something reads it.
+ *
+ * The older form computed(fn, deps) still works: it depends on exactly
+ * the signals in `deps`, whatever `fn` reads, and evaluates eagerly.
+ *
+ * An `equals` option decides when a new result counts as unchanged:
+ *
+ *   const ids = computed(() => queue.get().map(t => t.id), { equals: sameItems });
+ *
+ * If `fn` throws, the error is kept in place of a value: reading the
+ * computed throws it, until a dependency changes and `fn` runs again.
+ *
+ * Once nothing observes it any more, a computed stops observing its own
+ * dependencies (so a signal does not keep it alive) and re-evaluates the
+ * next time it is read. A computed created during a mount() setup is
+ * disposed when it unmounts.
  */
 
-import { signal } from './signal.js';
+import { computation, refresh, changed, track, runTracked, runUntracked, unlink, subscribeTo, comparator, own } from './graph.js';
 
-export function computed(fn, deps) {
-  const inner = signal(fn());
-  const unsubs = [];
+/**
+ * @param {() => *} fn
+ * @param {object[]|object} [deps] - Explicit dependencies, or the options
+ * @param {object} [options]
+ * @param {((a: *, b: *) => boolean)|false} [options.equals] - When a new result
+ *   counts as unchanged, so dependents need not re-run (default: ===)
+ * @param {string} [options.name] - Names the computed in dev-mode diagnostics
+ */
+export function computed(fn, deps, options) {
+  if (deps && !Array.isArray(deps)) [deps, options] = [undefined, deps];
+  const isEqual = comparator(options?.equals);
+  let computing = false;
+  const node = computation(() => {
+    computing = true;
+    let next;
+    let error = null;
+    try {
+      next = deps ? runUntracked(fn) : runTracked(node, fn);
+    } catch (thrown) {
+      error = thrown;
+    } finally {
+      computing = false;
+    }
+    if (error || node.error || node.version === 0 || !isEqual(node.value, next)) {
+      node.value = error ? node.value : next;
+      node.error = error;
+      node.version++;
+      changed(node);
+    }
+  }, { name: options?.name });
+  Object.assign(node, { value: undefined, error: null, version: 0, subscribers: 0 });
+  node.refresh = () => {
+    if (!node.disposed) refresh(node);
+  };
+  // With explicit dependencies it keeps them; otherwise, once nothing
+  // observes it, it lets go of what it read (see releaseUnobserved())
+  node.releasable = !deps;
+  const read = () => {
+    if (node.error) throw node.error;
+    return node.value;
+  };
 
-  for (const dep of deps) {
-    unsubs.push(dep.subscribe(() => inner.set(fn())));
+  // Explicit dependencies: subscribe to exactly these, and evaluate
+  // right away as this form always has
+  if (deps) {
+    runTracked(node, () => deps.forEach(dep => dep.get()));
+    node.refresh();
   }
 
+  const dispose = own(() => {
+    node.disposed = true;
+    unlink(node);
+  });
+
   return {
-    get() { return inner.get(); },
-    subscribe(cb) { return inner.subscribe(cb); },
-    dispose() { unsubs.forEach(u => u()); },
-    get size() { return inner.size; },
+    get() {
+      if (computing) throw new Error('Cetanā: computed value depends on itself');
+      node.refresh();
+      track(node);
+      return read();
+    },
+    subscribe(cb) {
+      node.refresh();
+      return subscribeTo(node, read, cb);
+    },
+    dispose,
+    get size() { return node.subscribers; },
   };
 }
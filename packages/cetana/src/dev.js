@@ -0,0 +1,21 @@
+/**
+ * Cetanā Dev Mode — diagnostics for development builds
+ *
+ * With dev mode on, every error thrown by a subscriber or effect during
+ * an update is logged naming what threw and the signal whose change ran
+ * it, handled or not:
+ *
+ *   Cetanā: subscriber "renderQueue" threw after "queue" changed
+ *
+ * Names come from the `name` option of signal(), computed() and
+ * effect(), or from the function's own name.
+ */
+
+import { setDev } from './graph.js';
+
+/**
+ * @param {boolean} [enabled=true]
+ */
+export function setDevMode(enabled = true) {
+  setDev(enabled);
+}
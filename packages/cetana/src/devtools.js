@@ -0,0 +1,217 @@
+/**
+ * Cetanā Devtools — the signal graph and a trace of every update
+ *
+ * Opt-in: enableDevtools() records each signal, computed, effect and
+ * subscriber created from then on (so call it before the app's modules
+ * load), and every flush: which signals changed, which computations ran,
+ * what threw, and how long it took. The record is exposed as
+ * `window.__BODHI_CETANA__` for the console and for panels:
+ *
+ *   const cetana = enableDevtools();
+ *   cetana.nodes();     // [{ id, label, kind, value, sources, observers }]
+ *   cetana.flushes();   // [{ id, changed, ran, errors, duration }], newest last
+ *   cetana.subscribe(flush => console.log(flush.changed, '→', flush.ran));
+ *
+ * Nodes are labelled with their `name` option, else where they were
+ * created (the first stack frame outside Cetanā). A panel showing the
+ * trace should update inside muted(), so its own updates are not traced.
+ */
+
+import { setHook } from './graph.js';
+
+const GLOBAL = '__BODHI_CETANA__';
+const HERE = new URL('.', import.meta.url).href;
+
+let active = null;
+
+/**
+ * Start recording, and expose the record as `window.__BODHI_CETANA__`.
+ * Calling it again returns the recorder already running.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit=200] - Flushes to keep (oldest are dropped)
+ * @param {boolean} [options.global=true] - Set `globalThis.__BODHI_CETANA__`
+ * @returns {object} The devtools API
+ */
+export function enableDevtools({ limit = 200, global = true } = {}) {
+  if (!active) {
+    active = createRecorder(limit);
+    setHook(active.hook);
+  }
+  if (global) globalThis[GLOBAL] = active.api;
+  return active.api;
+}
+
+/**
+ * Stop recording and remove `window.__BODHI_CETANA__`.
+ */
+export function disableDevtools() {
+  setHook(null);
+  if (active && globalThis[GLOBAL] === active.api) delete globalThis[GLOBAL];
+  active = null;
+}
+
+function createRecorder(limit) {
+  const ids = new WeakMap();      // node → id
+  const refs = new Map();         // id → WeakRef(node)
+  const origins = new Map();      // id → where it was created
+  // A collected node takes its entries with it, whether or not nodes() runs
+  const forget = new FinalizationRegistry(id => {
+    refs.delete(id);
+    origins.delete(id);
+  });
+  const listeners = new Set();
+  let nextId = 1;
+  let nextFlush = 1;
+  let flushes = [];
+  let pending = new Map();        // changes since the last flush: id → name
+  let current = null;             // the flush being recorded
+  let depth = 0;                  // nested flushSync() calls
+  let muted = 0;
+
+  const idOf = node => ids.get(node) ?? null;
+  const entry = node => ({ id: idOf(node), label: labelOf(node) });
+  const labelOf = node => node.name || origins.get(idOf(node)) || `${node.kind} #${idOf(node)}`;
+
+  const hook = {
+    created(node) {
+      if (muted) return;
+      const id = nextId++;
+      ids.set(node, id);
+      refs.set(id, new WeakRef(node));
+      forget.register(node, id);
+      if (!node.name) {
+        const at = creationSite();
+        if (at) origins.set(id, `${node.kind} @ ${at}`);
+      }
+    },
+
+    changed(source) {
+      if (muted || !ids.has(source)) return;
+      if (current) addOnce(current.changed, entry(source));
+      else pending.set(idOf(source), entry(source));
+    },
+
+    ran(node) {
+      if (muted || !current || !ids.has(node)) return;
+      current.ran.push({ ...entry(node), kind: node.kind });
+    },
+
+    failed(node, error) {
+      if (muted || !current) return;
+      current.errors.push({ ...entry(node), message: error?.message ?? String(error) });
+    },
+
+    flushStart() {
+      if (depth++ > 0 || muted) return;
+      current = {
+        id: nextFlush++,
+        startedAt: now(),
+        duration: 0,
+        changed: [...pending.values()],
+        ran: [],
+        errors: [],
+      };
+      pending = new Map();
+    },
+
+    flushEnd() {
+      if (--depth > 0 || !current) return;
+      const record = current;
+      current = null;
+      record.duration = now() - record.startedAt;
+      flushes.push(record);
+      if (flushes.length > limit) flushes = flushes.slice(-limit);
+      for (const listener of [...listeners]) listener(record);
+    },
+  };
+
+  const api = {
+    /**
+     * Every recorded node still alive, with its dependency edges (by id).
+     */
+    nodes() {
+      const out = [];
+      for (const [id, ref] of refs) {
+        const node = ref.deref();
+        if (!node || node.disposed) {
+          refs.delete(id);
+          origins.delete(id);
+          continue;
+        }
+        out.push({
+          id,
+          label: labelOf(node),
+          name: node.name || null,
+          kind: node.kind,
+          value: 'value' in node ? node.value : undefined,
+          sources: [...(node.sources || [])].map(idOf).filter(Boolean),
+          observers: [...(node.observers || [])].map(idOf).filter(Boolean),
+          subscribers: node.subscribers ?? null,
+        });
+      }
+      return out;
+    },
+
+    /**
+     * The recorded flushes, oldest first.
+     */
+    flushes() {
+      return [...flushes];
+    },
+
+    /**
+     * Call `fn` with each flush as it is recorded.
+     *
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * Run `fn` without recording: nodes it creates are left out, and the
+     * updates it makes (flushed synchronously, say by batch()) are not traced.
+     */
+    muted(fn) {
+      muted++;
+      try {
+        return fn();
+      } finally {
+        muted--;
+      }
+    },
+
+    /**
+     * Forget the recorded flushes.
+     */
+    clear() {
+      flushes = [];
+      pending = new Map();
+    },
+  };
+
+  return { hook, api };
+}
+
+function addOnce(entries, item) {
+  if (!entries.some(e => e.id === item.id)) entries.push(item);
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * The first stack frame outside Cetanā, as "file.js:line".
+ */
+function creationSite() {
+  const frames = (new Error().stack || '').split('\n').slice(1);
+  for (const frame of frames) {
+    const match = frame.match(/((?:file|https?):\/\/[^\s)]+?):(\d+):\d+/);
+    if (!match || match[1].startsWith(HERE)) continue;
+    return `${match[1].split('/').pop()}:${match[2]}`;
+  }
+  return null;
+}
@@ -0,0 +1,44 @@
+/**
+ * Cetanā Effect — side effects that follow their dependencies
+ *
+ * effect(fn) runs fn once right away, recording every signal and computed
+ * it reads, then again at each flush where one of them changed. fn may
+ * return a cleanup function, called before the next run and on dispose.
+ * The first run's errors are thrown to the caller; later runs report
+ * theirs to onError() (see component.js). An effect created during a
+ * mount() setup stops when it unmounts.
+ *
+ *   const stop = effect(() => {
+ *     document.title = trackTitle.get() || 'Nāda';
+ *   });
+ */
+
+import { computation, refresh, runTracked, runUntracked, unlink, own } from './graph.js';
+
+/**
+ * @param {() => (void|(() => void))} fn
+ * @param {object} [options]
+ * @param {string} [options.name] - Names the effect in dev-mode diagnostics
+ *   (default: the function's name)
+ * @returns {() => void} Stops the effect and runs its last cleanup
+ */
+export function effect(fn, { name = fn.name || null } = {}) {
+  let cleanup = null;
+  const release = () => {
+    if (typeof cleanup === 'function') runUntracked(cleanup);
+    cleanup = null;
+  };
+
+  const node = computation(() => {
+    release();
+    cleanup = runTracked(node, fn);
+  }, { leaf: true, kind: 'effect', name });
+  refresh(node);
+
+  return own(() => {
+    if (node.disposed) return;
+    node.disposed = true;
+    unlink(node);
+    release();
+  });
+}
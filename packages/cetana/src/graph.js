@@ -0,0 +1,388 @@
+/**
+ * Cetanā Graph — dependency tracking shared by every primitive
+ *
+ * Reading a signal or computed with .get() inside a computed() or
+ * effect() makes it a dependency of that computation, for its current
+ * run only: the sources are collected afresh each time it re-runs.
+ *
+ * Signals, computeds, effects and subscribers form a graph. A change
+ * marks its direct dependents dirty and everything further downstream
+ * as "check". At flush (a microtask unless scheduled otherwise), each
+ * effect and subscriber pulls its sources up to date in dependency
+ * order and runs only if a value it read actually changed, so no
+ * computation ever sees a mix of old and new values. Computeds are
+ * lazy: they re-evaluate when read.
+ *
+ * An effect or subscriber that throws during a flush does not stop the
+ * flush: the error goes to the onError() handlers of the mount() that
+ * created it (see component.js), or is reported if there are none.
+ *
+ * Subscribers, computeds and effects created while a mount() setup runs
+ * belong to that mount, and are disposed when it unmounts.
+ *
+ * With devtools enabled, a hook hears of every node created, every
+ * change, every computation run and every flush (see devtools.js).
+ *
+ * Internal module: not exported from the package.
+ */
+
+// Node states, from "up to date" to "must re-run"
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+
+const microtask = run => queueMicrotask(run);
+
+let observer = null;     // computation whose reads are being tracked
+let queue = [];          // effects and subscribers to run at the next flush
+let scheduled = false;
+let schedule = microtask; // how a flush is requested
+let depth = 0;           // open batch() calls
+let owner = null;        // mount() scope whose setup is running
+let dev = false;         // name the failing signal and subscriber
+let hook = null;         // devtools recorder, when enabled
+
+/**
+ * Run every queued effect and subscriber, including any queued by
+ * those runs.
+ */
+export function flush() {
+  scheduled = false;
+  if (queue.length === 0) return;
+  hook?.flushStart();
+  while (queue.length > 0) {
+    const batch = queue;
+    queue = [];
+    for (const node of batch) {
+      node.queued = false;
+      try {
+        if (!node.disposed) refresh(node);
+      } catch (error) {
+        fail(node, error);
+      }
+      node.cause = null;
+    }
+  }
+  hook?.flushEnd();
+}
+
+/**
+ * Hold flushes until `fn` returns, then flush synchronously (once, when
+ * the outermost batch ends).
+ */
+export function batched(fn) {
+  depth++;
+  try {
+    return fn();
+  } finally {
+    if (--depth === 0) flush();
+  }
+}
+
+/**
+ * Replace how flushes are requested (null restores the microtask).
+ */
+export function setSchedule(scheduler) {
+  schedule = scheduler || microtask;
+}
+
+/**
+ * Turn dev-mode diagnostics on or off.
+ */
+export function setDev(enabled) {
+  dev = Boolean(enabled);
+}
+
+/**
+ * Install (or, with null, remove) the devtools recorder.
+ */
+export function setHook(recorder) {
+  hook = recorder;
+}
+
+/**
+ * A mount() scope: error handlers, cleanups to run when it is disposed,
+ * and the scope it was created in.
+ */
+export function createOwner() {
+  return { parent: owner, errorHandlers: [], cleanups: [], disposed: false };
+}
+
+/**
+ * Register `dispose` with the scope whose setup is running, if any.
+ * Returns `dispose`.
+ */
+export function own(dispose) {
+  if (owner) owner.cleanups.push(dispose);
+  return dispose;
+}
+
+/**
+ * Dispose a scope: run its cleanups, most recent first. Every cleanup
+ * runs even if one throws; the first error is rethrown afterwards.
+ */
+export function disposeOwner(scope) {
+  if (scope.disposed) return;
+  scope.disposed = true;
+  const cleanups = scope.cleanups.splice(0).reverse();
+  let failure = null;
+  for (const cleanup of cleanups) {
+    try {
+      runUntracked(cleanup);
+    } catch (error) {
+      failure ??= { error };
+    }
+  }
+  if (failure) throw failure.error;
+}
+
+/**
+ * The mount() scope whose setup is running, if any.
+ */
+export function currentOwner() {
+  return owner;
+}
+
+/**
+ * Run `fn` with `scope` as the owner of every computation it creates.
+ */
+export function runOwned(scope, fn) {
+  const prev = owner;
+  owner = scope;
+  try {
+    return fn();
+  } finally {
+    owner = prev;
+  }
+}
+
+/**
+ * Send an error from a flush to the nearest owner with onError()
+ * handlers; a handler that throws passes its error further up. With no
+ * handler left the error is reported, and the flush carries on.
+ */
+function fail(node, error) {
+  const info = {
+    kind: node.kind,
+    subscriber: node.name || null,
+    source: node.cause?.name || null,
+  };
+  if (dev) console.error(describeFailure(info), error);
+  hook?.failed(node, error);
+
+  for (let scope = node.owner; scope; scope = scope.parent) {
+    if (scope.errorHandlers.length === 0) continue;
+    try {
+      for (const handler of scope.errorHandlers) handler(error, info);
+      return;
+    } catch (rethrown) {
+      error = rethrown;
+    }
+  }
+  if (typeof globalThis.reportError === 'function') globalThis.reportError(error);
+  else console.error(error);
+}
+
+function describeFailure({ kind, subscriber, source }) {
+  const who = subscriber ? `${kind} "${subscriber}"` : `an unnamed ${kind}`;
+  const after = source ? ` after "${source}" changed` : '';
+  return `Cetanā: ${who} threw${after}`;
+}
+
+/**
+ * Record `source` as a dependency of the running computation.
+ */
+export function track(source) {
+  if (observer && !observer.disposed) {
+    observer.sources.add(source);
+    source.observers.add(observer);
+  }
+}
+
+/**
+ * Run `fn` as `node`, recording every source it reads (replacing the
+ * sources of its previous run).
+ */
+export function runTracked(node, fn) {
+  const previous = [...node.sources];
+  detach(node);
+  const prev = observer;
+  observer = node;
+  try {
+    return fn();
+  } finally {
+    observer = prev;
+    // Sources this run read again are observed again by now
+    releaseUnobserved(previous);
+  }
+}
+
+/**
+ * Run `fn` without recording its reads.
+ */
+export function runUntracked(fn) {
+  const prev = observer;
+  observer = null;
+  try {
+    return fn();
+  } finally {
+    observer = prev;
+  }
+}
+
+/**
+ * Drop every dependency edge from `node` to its sources. A computed
+ * left with no observers lets go of its own sources in turn (see
+ * releaseUnobserved()).
+ */
+export function unlink(node) {
+  const previous = [...node.sources];
+  detach(node);
+  releaseUnobserved(previous);
+}
+
+function detach(node) {
+  for (const source of node.sources) source.observers.delete(node);
+  node.sources.clear();
+}
+
+/**
+ * Release each of `sources` that nothing observes any more and that
+ * can be released (a computed tracking what it reads): it stops
+ * observing its own sources, so it does not live on in their
+ * `observers`, and re-evaluates when next read.
+ */
+function releaseUnobserved(sources) {
+  for (const source of sources) {
+    if (!source.releasable || source.observers.size > 0 || source.sources.size === 0) continue;
+    unlink(source);
+    source.state = DIRTY;
+  }
+}
+
+/**
+ * A source changed: its direct dependents must re-run, and everything
+ * downstream of them must check whether they did.
+ */
+export function notify(source) {
+  hook?.changed(source);
+  for (const node of [...source.observers]) mark(node, DIRTY, source);
+}
+
+function mark(node, state, cause) {
+  if (node.state >= state) return;
+  const wasClean = node.state === CLEAN;
+  node.state = state;
+  if (!wasClean) return;
+  if (node.observers) {
+    for (const next of node.observers) mark(next, CHECK, cause);
+  } else if (!node.queued) {
+    node.cause = cause;
+    // A leaf (effect or subscriber): run it at the next flush
+    node.queued = true;
+    queue.push(node);
+    if (!scheduled && depth === 0) {
+      scheduled = true;
+      schedule(flush);
+    }
+  }
+}
+
+/**
+ * Bring a computation up to date: settle the sources it may depend on
+ * first, then re-run it only if one of them changed.
+ */
+export function refresh(node) {
+  if (node.state === CHECK) {
+    for (const source of node.sources) {
+      if (source.refresh) source.refresh();
+      if (node.state === DIRTY) break;
+    }
+  }
+  if (node.state === DIRTY) {
+    node.state = CLEAN;
+    hook?.ran(node);
+    node.run();
+  } else {
+    node.state = CLEAN;
+  }
+}
+
+/**
+ * A computation changed its value: its dependents (marked to check when
+ * it was) must re-run. Dependents that are not checking are running now
+ * and read the new value.
+ */
+export function changed(node) {
+  for (const next of node.observers) {
+    if (next.state === CHECK) next.state = DIRTY;
+  }
+}
+
+/**
+ * The equality check for an `equals` option: strict equality by default,
+ * a custom function, or `false` to treat every value as a change.
+ */
+export function comparator(equals) {
+  if (equals === undefined) return (a, b) => a === b;
+  if (equals === false) return () => false;
+  if (typeof equals !== 'function') throw new TypeError('Cetanā: "equals" must be a function or false');
+  return equals;
+}
+
+/**
+ * A source node: something computations can depend on.
+ */
+export function source(value, name = null) {
+  const node = { value, version: 0, observers: new Set(), subscribers: 0, kind: 'signal', name };
+  hook?.created(node);
+  return node;
+}
+
+/**
+ * A computation node. `run` re-evaluates it; `observers` is set for
+ * nodes others can depend on (computeds) and null for leaves. It belongs
+ * to the mount() scope it is created in.
+ */
+export function computation(run, { leaf = false, kind = 'computed', name = null } = {}) {
+  const node = {
+    run,
+    sources: new Set(),
+    observers: leaf ? null : new Set(),
+    state: DIRTY,
+    queued: false,
+    disposed: false,
+    kind,
+    name,
+    owner,
+    cause: null,
+  };
+  hook?.created(node);
+  return node;
+}
+
+/**
+ * Subscribe `fn` to a source: it is called with the new value at each
+ * flush where the value changed. Returns the unsubscribe function, which
+ * the running mount() setup (if any) also calls when it unmounts.
+ */
+export function subscribeTo(source, read, fn) {
+  let version = source.version;
+  const node = computation(() => {
+    const value = read();
+    if (source.version !== version) {
+      version = source.version;
+      fn(value);
+    }
+  }, { leaf: true, kind: 'subscriber', name: fn.name || null });
+  node.state = CLEAN;
+  node.sources.add(source);
+  source.observers.add(node);
+  source.subscribers++;
+  return own(() => {
+    if (node.disposed) return;
+    node.disposed = true;
+    unlink(node);
+    source.subscribers--;
+  });
+}
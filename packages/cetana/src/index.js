@@ -1,11 +1,18 @@
 /**
  * Cetanā (चेतना) — Bodhi's reactive layer
  *
- * Signals, computed values, keyed list rendering, component lifecycle.
+ * Signals, computed values, effects, async resources, keyed list rendering,
+ * component lifecycle, devtools.
  * No virtual DOM. No build step. Direct DOM manipulation.
  */
 
 export { signal } from './signal.js';
 export { computed } from './computed.js';
+export { store, unwrapStore } from './store.js';
+export { effect } from './effect.js';
+export { resource } from './resource.js';
+export { batch, untrack, flushSync, setScheduler } from './scheduler.js';
 export { list } from './list.js';
-export { mount } from './component.js';
+export { mount, onMount, onCleanup, onError } from './component.js';
+export { setDevMode } from './dev.js';
+export { enableDevtools, disableDevtools } from './devtools.js';
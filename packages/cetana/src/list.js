@@ -3,22 +3,88 @@
  *
  * Renders a list of items into a container element, keyed by identity.
  * On updates: inserts new, removes stale, optionally updates existing,
- * and reorders to match the new sequence.
+ * and reorders to match the new sequence. Reordering keeps the longest
+ * run of rows already in order where they are and moves only the rest,
+ * so reversing a list or inserting at the front moves as few nodes as
+ * possible, and a focused row keeps focus. Keys must be unique: a
+ * duplicate throws rather than rendering a corrupt list.
+ *
+ * With `adopt`, the initial items take over rows already in the container
+ * (server-rendered, in item order) instead of rendering new ones:
+ * adopt(el, item) wires up each existing row without rewriting it.
+ *
+ * With `virtual`, only the rows in view (plus `overscan` on each side)
+ * are in the DOM, for lists of tens of thousands of items. Rows have a
+ * fixed height; the container is padded to the full list's height and
+ * scrolls (or give `scroller`). Each row carries aria-posinset and
+ * aria-setsize, so assistive technology still announces "row 5120 of
+ * 20000":
+ *
+ *   list(trackList, tracks, { key, render, virtual: { rowHeight: 48 } });
+ *
+ * With `animate`, rows that move slide from their old place (FLIP), new
+ * rows fade in and removed rows fade out before leaving the DOM. Pass
+ * true for those defaults, or hooks of your own: move(el, { dx, dy }),
+ * enter(el), and exit(el), which may return a promise the removal waits
+ * for. Nothing animates while the user prefers reduced motion, or when
+ * a virtual list scrolls.
+ *
+ * Returns a function that stops updating the list; a list created during
+ * a mount() setup stops when it unmounts.
  */
 
+import { own } from './graph.js';
+
+const DEFAULT_OVERSCAN = 5;
+const DEFAULT_MOTION = { duration: 200, easing: 'ease-out' };
+
+/**
+ * @param {Element} container
+ * @param {{ get: () => *[], subscribe: (fn: (items: *[]) => void) => () => void }} itemsSignal
+ * @param {object} opts
+ * @param {(item: *) => *} opts.key
+ * @param {(item: *) => Element} opts.render
+ * @param {(el: Element, item: *) => void} [opts.update]
+ * @param {(el: Element, item: *) => void} [opts.adopt]
+ * @param {{ rowHeight: number, overscan?: number, scroller?: Element }} [opts.virtual]
+ * @param {true|{ move?: Function, enter?: Function, exit?: Function, duration?: number, easing?: string }} [opts.animate]
+ */
 export function list(container, itemsSignal, opts) {
-  const { key, render, update } = opts;
-  let keyMap = new Map(); // key → { el, item }
+  const { key, render, update, adopt, virtual, animate } = opts;
+  if (virtual && !(virtual.rowHeight > 0)) throw new TypeError('Cetanā: virtual lists need a positive "rowHeight"');
+  const motion = animate ? motionHooks(animate) : null;
+  const scroller = virtual?.scroller || container;
+  let keyMap = new Map(); // key → { el, item }, in DOM order
+  let items = [];
+  let keys = [];
+
+  // Keys are checked for every change, before anything is rendered
+  function setItems(next) {
+    const seen = new Map();
+    const nextKeys = next.map((item, i) => {
+      const k = key(item);
+      if (seen.has(k)) {
+        throw new Error(`Cetanā: list() key ${describeKey(k)} is used by items ${seen.get(k)} and ${i}; keys must be unique`);
+      }
+      seen.set(k, i);
+      return k;
+    });
+    items = next;
+    keys = nextKeys;
+  }
 
-  function sync(items) {
-    const newKeys = new Set();
+  function sync({ animated = false } = {}) {
+    const [start, end] = windowOf(items.length);
+    const visible = items.slice(start, end);
+    const visibleKeys = keys.slice(start, end);
+    const moving = animated && motion && !prefersReducedMotion();
+    const first = moving ? new Map([...keyMap.values()].map(({ el }) => [el, rectOf(el)])) : null;
+    const newKeys = new Set(visibleKeys);
     const newMap = new Map();
 
     // Build new entries, reuse existing
-    for (const item of items) {
-      const k = key(item);
-      newKeys.add(k);
-
+    for (const [i, item] of visible.entries()) {
+      const k = visibleKeys[i];
       if (keyMap.has(k)) {
         const entry = keyMap.get(k);
         if (update) update(entry.el, item);
@@ -32,29 +98,198 @@ export function list(container, itemsSignal, opts) {
 
     // Remove stale
     for (const [k, entry] of keyMap) {
-      if (!newKeys.has(k)) entry.el.remove();
+      if (newKeys.has(k)) continue;
+      if (moving) leave(entry.el, motion);
+      else entry.el.remove();
     }
 
-    // Reorder / insert
+    // Reorder / insert: rows in the longest run already in order stay
+    // put; every other row goes right after the row before it
+    const oldIndex = new Map([...keyMap.keys()].map((k, i) => [k, i]));
+    const stable = longestIncreasing(visibleKeys.map(k => (oldIndex.has(k) ? oldIndex.get(k) : -1)));
+    const focused = focusedWithin(container);
     let prev = null;
-    for (const item of items) {
-      const k = key(item);
-      const entry = newMap.get(k);
-      const next = prev ? prev.nextSibling : container.firstChild;
-      if (entry.el !== next) {
-        container.insertBefore(entry.el, next);
+    visible.forEach((item, i) => {
+      const entry = newMap.get(visibleKeys[i]);
+      if (!stable.has(i)) {
+        const next = prev ? prev.nextSibling : container.firstChild;
+        if (entry.el !== next) container.insertBefore(entry.el, next);
+      }
+      if (virtual) {
+        entry.el.setAttribute('aria-posinset', String(start + i + 1));
+        entry.el.setAttribute('aria-setsize', String(items.length));
       }
       prev = entry.el;
+    });
+    // Moving a node can blur it (or what is inside it)
+    if (focused && focused.isConnected && document.activeElement !== focused) {
+      focused.focus({ preventScroll: true });
+    }
+
+    if (virtual) {
+      container.style.paddingTop = `${start * virtual.rowHeight}px`;
+      container.style.paddingBottom = `${(items.length - end) * virtual.rowHeight}px`;
+    }
+
+    // Play: rows that were here slide from where they were, new ones enter
+    if (moving) {
+      for (const { el } of newMap.values()) {
+        if (!first.has(el)) {
+          motion.enter(el);
+          continue;
+        }
+        const from = first.get(el);
+        const to = rectOf(el);
+        if (from && to && (from.left !== to.left || from.top !== to.top)) {
+          motion.move(el, { dx: from.left - to.left, dy: from.top - to.top });
+        }
+      }
     }
 
     keyMap = newMap;
   }
 
-  // Initial render
-  sync(itemsSignal.get() || []);
+  /**
+   * The [start, end) range of items to render: all of them, or those in
+   * view plus the overscan.
+   */
+  function windowOf(count) {
+    if (!virtual) return [0, count];
+    const { rowHeight, overscan = DEFAULT_OVERSCAN } = virtual;
+    const top = scroller.scrollTop || 0;
+    const height = scroller.clientHeight || 0;
+    const start = Math.max(0, Math.floor(top / rowHeight) - overscan);
+    const end = Math.min(count, Math.ceil((top + height) / rowHeight) + overscan);
+    return [start, Math.max(start, end)];
+  }
+
+  // Initial render, or hydrate the rows already there
+  setItems(itemsSignal.get() || []);
+  if (adopt) {
+    const [start, end] = windowOf(items.length);
+    const initial = items.slice(start, end);
+    const rows = [...container.children].filter(el => el.tagName !== 'TEMPLATE');
+    initial.forEach((item, i) => {
+      if (!rows[i]) return;
+      adopt(rows[i], item);
+      keyMap.set(keys[start + i], { el: rows[i], item });
+    });
+    for (const row of rows.slice(initial.length)) row.remove();
+    if (virtual || rows.length < initial.length) sync();
+  } else {
+    sync();
+  }
 
   // Subscribe to updates
-  const unsub = itemsSignal.subscribe(items => sync(items || []));
+  const unsub = itemsSignal.subscribe(next => {
+    setItems(next || []);
+    sync({ animated: true });
+  });
+
+  // Virtual: re-window as the scroller scrolls or resizes, once per frame
+  let stopWatching = null;
+  if (virtual) {
+    let pending = false;
+    const onScroll = () => {
+      if (pending) return;
+      if (typeof requestAnimationFrame !== 'function') return sync();
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        sync();
+      });
+    };
+    scroller.addEventListener('scroll', onScroll, { passive: true });
+    const observer = typeof ResizeObserver === 'function' ? new ResizeObserver(onScroll) : null;
+    observer?.observe(scroller);
+    stopWatching = () => {
+      scroller.removeEventListener('scroll', onScroll);
+      observer?.disconnect();
+    };
+  }
+
+  return own(() => {
+    unsub();
+    stopWatching?.();
+    stopWatching = null;
+  });
+}
+
+/**
+ * The positions (into `seq`) of a longest strictly increasing
+ * subsequence of `seq`, ignoring -1 entries: here, the new rows whose
+ * old positions are already in order, which need not move.
+ */
+function longestIncreasing(seq) {
+  const tails = []; // tails[n]: position ending the best run of length n + 1
+  const before = new Array(seq.length);
+  for (let i = 0; i < seq.length; i++) {
+    if (seq[i] < 0) continue;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    before[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const run = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = before[i]) run.add(i);
+  return run;
+}
+
+/**
+ * The focused element, if it is inside `container`.
+ */
+function focusedWithin(container) {
+  if (typeof document === 'undefined') return null;
+  const active = document.activeElement;
+  if (!active || active === document.body || typeof container.contains !== 'function') return null;
+  return container.contains(active) ? active : null;
+}
+
+function describeKey(k) {
+  return typeof k === 'string' ? `"${k}"` : String(k);
+}
+
+/**
+ * Animation hooks for `animate`: the FLIP defaults (Web Animations, where
+ * the element supports them), overridden by any given.
+ */
+function motionHooks(animate) {
+  const { duration, easing, ...hooks } = { ...DEFAULT_MOTION, ...(animate === true ? {} : animate) };
+  const timing = { duration, easing };
+  return {
+    move: hooks.move || ((el, { dx, dy }) => {
+      el.animate?.([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }], timing);
+    }),
+    enter: hooks.enter || (el => {
+      el.animate?.([{ opacity: 0 }, { opacity: 1 }], timing);
+    }),
+    exit: hooks.exit || (el => el.animate?.([{ opacity: 1 }, { opacity: 0 }], timing).finished),
+  };
+}
+
+/**
+ * Remove a row once its exit animation finishes (or fails).
+ */
+function leave(el, motion) {
+  let done;
+  try {
+    done = motion.exit(el);
+  } catch {
+    done = null;
+  }
+  if (done && typeof done.then === 'function') done.then(() => el.remove(), () => el.remove());
+  else el.remove();
+}
+
+function rectOf(el) {
+  return typeof el.getBoundingClientRect === 'function' ? el.getBoundingClientRect() : null;
+}
 
-  return unsub;
+function prefersReducedMotion() {
+  return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
@@ -0,0 +1,168 @@
+/**
+ * Cetanā Resource — async values as signals
+ *
+ * resource(fetcher, source) calls fetcher(value, { signal }) with the
+ * source signal's value, and again each time it changes. Where the
+ * request stands is itself reactive:
+ *
+ *   const album = resource((id, { signal }) => fetchAlbum(id, { signal }), selectedAlbumId);
+ *
+ *   album.loading.get();  // true while a request is in flight
+ *   album.error.get();    // why the last request failed, or null
+ *   album.value.get();    // the last value loaded (kept while the next one loads)
+ *   album.status.get();   // 'idle', 'loading', 'error', 'empty' or 'ready'
+ *
+ * A new source value aborts the request in flight (its AbortSignal fires)
+ * and ignores whatever that request settles with, so a slow, stale
+ * response never overwrites a newer one. A source value of null,
+ * undefined or false means there is nothing to load: no request is made,
+ * and the status is 'idle'. Without a source, fetcher runs once, now.
+ *
+ * A compiled spec shows a node only in one status with `status:`
+ * (`status: album.loading` follows the `albumStatus` signal), so
+ * loading, empty and error states need no code of their own:
+ *
+ *   effect(() => albumStatus.set(album.status.get()));
+ *
+ * A resource created during a mount() setup is disposed when it unmounts.
+ */
+
+import { signal } from './signal.js';
+import { batch, untrack } from './scheduler.js';
+import { own } from './graph.js';
+
+/**
+ * @param {(value: *, info: { signal: AbortSignal, previous: * }) => (*|Promise<*>)} fetcher
+ * @param {{ get: () => *, subscribe: (fn: (value: *) => void) => () => void }} [source]
+ * @param {object} [options]
+ * @param {*} [options.initial] - The value before anything has loaded
+ * @param {string} [options.name] - Names the resource's signals in dev-mode
+ *   diagnostics (`album.value`, `album.loading`, ...)
+ */
+export function resource(fetcher, source, { initial, name } = {}) {
+  const named = part => (name ? { name: `${name}.${part}` } : {});
+  const value = signal(initial, named('value'));
+  const error = signal(null, named('error'));
+  const loading = signal(false, named('loading'));
+  const status = signal('idle', named('status'));
+
+  let controller = null;
+  let input;
+  let disposed = false;
+
+  const settle = (request, update) => {
+    if (controller !== request) return false;
+    controller = null;
+    batch(update);
+    return true;
+  };
+
+  const load = next => {
+    input = next;
+    controller?.abort();
+    controller = null;
+    if (disposed) return Promise.resolve(undefined);
+    if (source && (next == null || next === false)) {
+      batch(() => {
+        loading.set(false);
+        status.set('idle');
+      });
+      return Promise.resolve(undefined);
+    }
+
+    const request = controller = new AbortController();
+    batch(() => {
+      loading.set(true);
+      status.set('loading');
+    });
+    let pending;
+    try {
+      pending = Promise.resolve(untrack(() => fetcher(next, { signal: request.signal, previous: value.get() })));
+    } catch (thrown) {
+      pending = Promise.reject(thrown);
+    }
+    return pending.then(
+      result => {
+        const current = settle(request, () => {
+          value.set(result);
+          error.set(null);
+          loading.set(false);
+          status.set(isEmpty(result) ? 'empty' : 'ready');
+        });
+        return current ? result : undefined;
+      },
+      thrown => {
+        settle(request, () => {
+          error.set(thrown);
+          loading.set(false);
+          status.set('error');
+        });
+        return undefined;
+      },
+    );
+  };
+
+  const unsubscribe = source ? source.subscribe(load) : null;
+  load(source ? untrack(() => source.get()) : undefined);
+
+  const dispose = own(() => {
+    if (disposed) return;
+    disposed = true;
+    unsubscribe?.();
+    controller?.abort();
+    controller = null;
+    if (loading.get()) loading.set(false);
+  });
+
+  return {
+    value: readOnly(value),
+    error: readOnly(error),
+    loading: readOnly(loading),
+    status: readOnly(status),
+
+    /** The current value, like value.get() */
+    get() {
+      return value.get();
+    },
+
+    /**
+     * Load again with the source's current value. Resolves with the
+     * value loaded, or undefined if the request failed or was superseded.
+     */
+    refetch() {
+      return load(input);
+    },
+
+    /**
+     * Set the value directly (an optimistic update, say), aborting any
+     * request in flight.
+     */
+    mutate(next) {
+      controller?.abort();
+      controller = null;
+      batch(() => {
+        value.set(next);
+        error.set(null);
+        loading.set(false);
+        status.set(isEmpty(next) ? 'empty' : 'ready');
+      });
+    },
+
+    dispose,
+  };
+}
+
+/**
+ * Nothing to show: no value, or an empty list.
+ */
+function isEmpty(value) {
+  return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+function readOnly(sig) {
+  return {
+    get: () => sig.get(),
+    subscribe: fn => sig.subscribe(fn),
+    get size() { return sig.size; },
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Cetanā Scheduler — control over when updates run
+ *
+ * Signal changes are flushed to subscribers and effects in a microtask.
+ * These helpers change that:
+ *
+ *   batch(() => { page.set(0); currentView.set('albums'); });  // one flush, now
+ *   flushSync();                      // run pending updates before a layout read
+ *   untrack(() => pageSize.get());    // read without subscribing
+ *   setScheduler(requestAnimationFrame);  // flush once per frame instead
+ */
+
+import { batched, flush, runUntracked, setSchedule } from './graph.js';
+
+/**
+ * Apply several changes as one update: subscribers and effects run once,
+ * synchronously, when `fn` returns. Nested batches flush with the outermost.
+ *
+ * @param {() => *} fn
+ * @returns {*} What `fn` returns
+ */
+export function batch(fn) {
+  return batched(fn);
+}
+
+/**
+ * Read signals inside a computed() or effect() without depending on them.
+ *
+ * @param {() => *} fn
+ * @returns {*} What `fn` returns
+ */
+export function untrack(fn) {
+  return runUntracked(fn);
+}
+
+/**
+ * Run pending subscribers and effects now instead of at the next flush.
+ */
+export function flushSync() {
+  flush();
+}
+
+/**
+ * Choose how a flush is requested. The scheduler is called with the
+ * flush function whenever updates are pending; pass null to return to
+ * the default microtask.
+ *
+ * @param {((flush: () => void) => void)|null} scheduler - e.g. requestAnimationFrame
+ */
+export function setScheduler(scheduler) {
+  if (scheduler !== null && typeof scheduler !== 'function') {
+    throw new TypeError('Cetanā: setScheduler() takes a function or null');
+  }
+  setSchedule(scheduler);
+}
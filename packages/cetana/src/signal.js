@@ -3,45 +3,45 @@
  *
  * A signal holds a value and notifies subscribers when it changes.
  * Updates are batched: multiple synchronous .set() calls coalesce
- * into a single notification flush via microtask.
+ * into a single notification flush via microtask (see scheduler.js to
+ * batch, flush now, or schedule differently). Reading it inside a
+ * computed() or effect() subscribes that computation (see graph.js).
  */
 
-let pending = null;
+import { track, notify, subscribeTo, comparator, source } from './graph.js';
 
-function flush() {
-  const batch = pending;
-  pending = null;
-  for (const [sig, subs] of batch) {
-    const val = sig.get();
-    for (const fn of subs) fn(val);
-  }
-}
-
-export function signal(initial) {
-  let value = initial;
-  const subscribers = new Set();
+/**
+ * @param {*} initial
+ * @param {object} [options]
+ * @param {((a: *, b: *) => boolean)|false} [options.equals] - When a new value
+ *   counts as unchanged (default: ===); false notifies on every set()
+ * @param {string} [options.name] - Names the signal in dev-mode diagnostics
+ */
+export function signal(initial, { equals, name } = {}) {
+  const isEqual = comparator(equals);
+  const node = source(initial, name);
 
   return {
-    get() { return value; },
+    get() {
+      track(node);
+      return node.value;
+    },
 
     set(next) {
-      if (next === value) return;
-      value = next;
-      if (subscribers.size === 0) return;
-      if (pending === null) {
-        pending = new Map();
-        queueMicrotask(flush);
-      }
-      // Snapshot current subscribers for this signal
-      pending.set(this, new Set(subscribers));
+      if (isEqual(node.value, next)) return;
+      node.value = next;
+      node.version++;
+      notify(node);
     },
 
     subscribe(fn) {
-      subscribers.add(fn);
-      return () => subscribers.delete(fn);
+      return subscribeTo(node, () => node.value, fn);
     },
 
     /** Number of active subscribers (for testing) */
-    get size() { return subscribers.size; },
+    get size() { return node.subscribers; },
+
+    /** Number of computations and subscribers depending on it (for testing) */
+    get observers() { return node.observers.size; },
   };
 }
@@ -0,0 +1,121 @@
+/**
+ * Cetanā Store — nested state with path-level reactivity
+ *
+ * store() wraps an object (or array) so every property read inside a
+ * computed() or effect() depends on that property alone, at any depth:
+ *
+ *   const library = store({ tracks: [{ title: 'Raga', duration: 0 }] });
+ *   effect(() => render(library.tracks[0].duration));
+ *   library.tracks[0].duration = 312;   // re-runs only what read that path
+ *
+ * Writes go straight through to the underlying object and notify at the
+ * next flush like signal.set(). Iterating (Object.keys, for…of over an
+ * array) depends on the set of keys, so adding or removing one notifies
+ * it. Array methods (push, splice, sort, …) work as usual.
+ */
+
+import { track, notify, source } from './graph.js';
+
+const RAW = Symbol('cetana.raw');
+const KEYS = Symbol('cetana.keys');
+
+const nodes = new WeakMap();   // raw object → Map(property → source node)
+const proxies = new WeakMap(); // raw object → its proxy
+
+function nodeFor(target, key) {
+  let byKey = nodes.get(target);
+  if (!byKey) nodes.set(target, (byKey = new Map()));
+  let node = byKey.get(key);
+  // Named after the property, for devtools
+  if (!node) byKey.set(key, (node = source(undefined, key === KEYS ? '(keys)' : String(key))));
+  return node;
+}
+
+function changed(target, key) {
+  const node = nodes.get(target)?.get(key);
+  if (node) {
+    node.version++;
+    notify(node);
+  }
+}
+
+function isWrappable(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || proto === Object.prototype || proto === null;
+}
+
+function unwrap(value) {
+  return (value && value[RAW]) || value;
+}
+
+const handlers = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+    const value = Reflect.get(target, key, receiver);
+    if (typeof key === 'symbol') return value;
+    if (Object.hasOwn(target, key) || !(key in target)) track(nodeFor(target, key));
+    return isWrappable(value) ? wrap(value) : value;
+  },
+
+  set(target, key, value, receiver) {
+    const next = unwrap(value);
+    const had = Object.hasOwn(target, key);
+    const prev = target[key];
+    const length = Array.isArray(target) ? target.length : undefined;
+    const ok = Reflect.set(target, key, next, receiver);
+    if (!ok || (had && prev === next)) return ok;
+    changed(target, key);
+    if (!had) changed(target, KEYS);
+    if (length !== undefined && target.length !== length) {
+      changed(target, 'length');
+      changed(target, KEYS);
+    }
+    return ok;
+  },
+
+  deleteProperty(target, key) {
+    const had = Object.hasOwn(target, key);
+    const ok = Reflect.deleteProperty(target, key);
+    if (ok && had) {
+      changed(target, key);
+      changed(target, KEYS);
+    }
+    return ok;
+  },
+
+  has(target, key) {
+    if (typeof key !== 'symbol') track(nodeFor(target, key));
+    return Reflect.has(target, key);
+  },
+
+  ownKeys(target) {
+    track(nodeFor(target, KEYS));
+    return Reflect.ownKeys(target);
+  },
+};
+
+function wrap(target) {
+  let proxy = proxies.get(target);
+  if (!proxy) proxies.set(target, (proxy = new Proxy(target, handlers)));
+  return proxy;
+}
+
+/**
+ * Make an object or array reactive, property by property.
+ *
+ * @param {object|Array} initial - Plain object or array (kept, not copied)
+ * @returns {object|Array} A proxy that reads and writes through to `initial`
+ */
+export function store(initial) {
+  if (!isWrappable(initial)) throw new TypeError('Cetanā: store() takes a plain object or array');
+  return wrap(unwrap(initial));
+}
+
+/**
+ * The plain object behind a store (or any nested part of one), for
+ * passing to code that should not track or trigger anything.
+ */
+export function unwrapStore(value) {
+  return unwrap(value);
+}
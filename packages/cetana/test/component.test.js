@@ -1,7 +1,11 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { mount } from '../src/component.js';
+import { mount, onMount, onCleanup, onError } from '../src/component.js';
 import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+import { list } from '../src/list.js';
+import { setDevMode } from '../src/dev.js';
 
 describe('mount', () => {
   it('calls setup with the element', () => {
@@ -47,3 +51,169 @@ describe('mount', () => {
     cleanup();
   });
 });
+
+describe('mount — ownership', () => {
+  const tick = () => new Promise(r => queueMicrotask(r));
+
+  it('disposes subscriptions, computeds and effects created during setup', async () => {
+    const s = signal(1);
+    const seen = [];
+    let doubled;
+    const unmount = mount({}, () => {
+      s.subscribe(v => seen.push(`sub ${v}`));
+      doubled = computed(() => s.get() * 2);
+      doubled.subscribe(v => seen.push(`doubled ${v}`));
+      effect(() => { seen.push(`effect ${s.get()}`); });
+    });
+    s.set(2);
+    await tick();
+    assert.deepEqual(seen, ['effect 1', 'sub 2', 'doubled 4', 'effect 2']);
+
+    unmount();
+    assert.equal(s.size, 0);
+    s.set(3);
+    await tick();
+    assert.equal(seen.length, 4);
+    assert.equal(doubled.get(), 4);
+  });
+
+  it('stops lists created during setup', async () => {
+    const rows = [];
+    const container = {
+      firstChild: null,
+      insertBefore(el) { rows.push(el); },
+    };
+    const items = signal([]);
+    const unmount = mount({}, () => {
+      list(container, items, { key: x => x, render: x => ({ x, remove() {} }) });
+    });
+    unmount();
+    items.set([1]);
+    await tick();
+    assert.equal(rows.length, 0);
+    assert.equal(items.size, 0);
+  });
+
+  it('unmounts components mounted during setup with their parent', () => {
+    const order = [];
+    const unmount = mount({}, () => {
+      mount({}, () => () => order.push('child'));
+      onCleanup(() => order.push('parent'));
+    });
+    unmount();
+    assert.deepEqual(order, ['parent', 'child']);
+  });
+
+  it('runs onMount() after setup, and its cleanup on unmount', () => {
+    const order = [];
+    const el = { id: 'root' };
+    const unmount = mount(el, () => {
+      onMount(e => {
+        order.push(`mount ${e.id}`);
+        return () => order.push('unmount hook');
+      });
+      order.push('setup');
+      return () => order.push('setup cleanup');
+    });
+    assert.deepEqual(order, ['setup', 'mount root']);
+    unmount();
+    unmount();
+    assert.deepEqual(order, ['setup', 'mount root', 'unmount hook', 'setup cleanup']);
+  });
+
+  it('runs every cleanup when one throws, then rethrows', () => {
+    let ran = false;
+    const unmount = mount({}, () => {
+      onCleanup(() => { ran = true; });
+      onCleanup(() => { throw new Error('cleanup failed'); });
+    });
+    assert.throws(unmount, /cleanup failed/);
+    assert.equal(ran, true);
+  });
+
+  it('disposes what a failed setup created', () => {
+    const s = signal(0);
+    assert.throws(() => mount({}, () => {
+      s.subscribe(() => {});
+      throw new Error('setup failed');
+    }), /setup failed/);
+    assert.equal(s.size, 0);
+  });
+
+  it('only registers onMount() and onCleanup() during setup', () => {
+    assert.throws(() => onMount(() => {}), /during a mount\(\) setup/);
+    assert.throws(() => onCleanup(() => {}), /during a mount\(\) setup/);
+  });
+});
+
+describe('mount — errors', () => {
+  const tick = () => new Promise(r => queueMicrotask(r));
+
+  it('isolates a throwing subscriber from the rest of the flush', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const a = signal(0);
+    const b = signal(0);
+    const seen = [];
+    a.subscribe(() => { throw new Error('broken row'); });
+    a.subscribe(v => seen.push(`a${v}`));
+    b.subscribe(v => seen.push(`b${v}`));
+
+    a.set(1);
+    b.set(1);
+    await tick();
+    assert.deepEqual(seen, ['a1', 'b1']);
+    assert.equal(logged.mock.callCount(), 1, 'an unhandled error is still reported');
+    assert.match(logged.mock.calls[0].arguments[0].message, /broken row/);
+  });
+
+  it('sends errors from the component\'s updates to onError()', async () => {
+    const queue = signal([], { name: 'queue' });
+    const caught = [];
+    mount({}, () => {
+      onError((error, info) => caught.push([error.message, info]));
+      effect(function renderQueue() {
+        if (queue.get().length > 2) throw new Error('too long');
+      });
+    });
+
+    queue.set([1, 2, 3]);
+    await tick();
+    assert.deepEqual(caught, [['too long', { kind: 'effect', subscriber: 'renderQueue', source: 'queue' }]]);
+  });
+
+  it('passes errors a handler rethrows to the enclosing component', async () => {
+    const s = signal(0);
+    const outer = [];
+    mount({}, () => {
+      onError(error => outer.push(error.message));
+      mount({}, () => {
+        onError(error => { throw new Error(`inner: ${error.message}`); });
+        s.subscribe(() => { throw new Error('boom'); });
+      });
+    });
+    s.set(1);
+    await tick();
+    assert.deepEqual(outer, ['inner: boom']);
+  });
+
+  it('only registers onError() during setup', () => {
+    assert.throws(() => onError(() => {}), /during a mount\(\) setup/);
+  });
+
+  it('names the subscriber and signal in dev mode', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    setDevMode(true);
+    try {
+      const volume = signal(80, { name: 'volume' });
+      mount({}, () => {
+        onError(() => {});
+        volume.subscribe(function syncSlider() { throw new Error('detached'); });
+      });
+      volume.set(40);
+      await tick();
+    } finally {
+      setDevMode(false);
+    }
+    assert.equal(logged.mock.calls[0].arguments[0], 'Cetanā: subscriber "syncSlider" threw after "volume" changed');
+  });
+});
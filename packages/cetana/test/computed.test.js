@@ -2,6 +2,9 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { signal } from '../src/signal.js';
 import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+import { mount } from '../src/component.js';
+import { flushSync } from '../src/scheduler.js';
 
 describe('computed', () => {
   it('derives initial value from dependencies', () => {
@@ -44,3 +47,191 @@ describe('computed', () => {
     assert.equal(c.get(), 2);
   });
 });
+
+describe('computed — automatic dependency tracking', () => {
+  const tick = () => new Promise(r => queueMicrotask(r));
+
+  it('depends on whatever it reads, without a deps array', async () => {
+    const a = signal(2);
+    const b = signal(3);
+    const sum = computed(() => a.get() + b.get());
+    assert.equal(sum.get(), 5);
+    b.set(10);
+    assert.equal(sum.get(), 12);
+  });
+
+  it('is lazy: re-evaluates only when read after a change', () => {
+    const x = signal(1);
+    let runs = 0;
+    const c = computed(() => { runs++; return x.get() * 2; });
+    assert.equal(runs, 0);
+    c.get();
+    c.get();
+    assert.equal(runs, 1);
+    x.set(2);
+    x.set(3);
+    assert.equal(runs, 1);
+    assert.equal(c.get(), 6);
+    assert.equal(runs, 2);
+  });
+
+  it('drops dependencies a branch no longer reads', async () => {
+    const useFull = signal(true);
+    const full = signal('Sūci Kriyā');
+    const short = signal('SK');
+    const calls = [];
+    const label = computed(() => (useFull.get() ? full.get() : short.get()));
+    label.subscribe(v => calls.push(v));
+
+    useFull.set(false);
+    await tick();
+    full.set('changed');
+    await tick();
+    assert.deepEqual(calls, ['SK']);
+    short.set('S');
+    await tick();
+    assert.deepEqual(calls, ['SK', 'S']);
+  });
+
+  it('propagates a diamond without glitches', async () => {
+    const n = signal(1);
+    const double = computed(() => n.get() * 2);
+    const triple = computed(() => n.get() * 3);
+    let runs = 0;
+    const seen = [];
+    const total = computed(() => { runs++; return double.get() + triple.get(); });
+    total.subscribe(v => seen.push(v));
+
+    n.set(2);
+    await tick();
+    assert.deepEqual(seen, [10]);
+    assert.equal(runs, 2);
+  });
+
+  it('stops downstream work when an intermediate value is unchanged', async () => {
+    const n = signal(3);
+    const parity = computed(() => n.get() % 2);
+    let runs = 0;
+    const label = computed(() => { runs++; return parity.get() ? 'odd' : 'even'; });
+    label.subscribe(() => {});
+    n.set(5);
+    await tick();
+    assert.equal(runs, 1);
+  });
+
+  it('keeps explicit deps authoritative', async () => {
+    const a = signal(1);
+    const b = signal(1);
+    const c = computed(() => a.get() + b.get(), [a]);
+    b.set(5);
+    await tick();
+    assert.equal(c.get(), 2);
+    a.set(2);
+    assert.equal(c.get(), 7);
+  });
+
+  it('reports a computed that reads itself', () => {
+    const c = computed(() => c.get());
+    assert.throws(() => c.get(), /depends on itself/);
+  });
+});
+
+describe('computed — equals', () => {
+  const tick = () => new Promise(r => queueMicrotask(r));
+
+  it('keeps dependents still when the result is equal', async () => {
+    const sameItems = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+    const queue = signal([{ id: 1, playing: false }]);
+    const ids = computed(() => queue.get().map(t => t.id), { equals: sameItems });
+    let runs = 0;
+    const count = computed(() => { runs++; return ids.get().length; });
+    count.subscribe(() => {});
+
+    queue.set([{ id: 1, playing: true }]);
+    await tick();
+    assert.equal(runs, 1);
+
+    queue.set([{ id: 1 }, { id: 2 }]);
+    await tick();
+    assert.equal(count.get(), 2);
+    assert.equal(runs, 2);
+  });
+
+  it('takes options after explicit deps', () => {
+    const n = signal(1.2);
+    const rounded = computed(() => n.get(), [n], { equals: (a, b) => Math.round(a) === Math.round(b) });
+    n.set(1.4);
+    assert.equal(rounded.get(), 1.2);
+  });
+});
+
+describe('computed — errors', () => {
+  it('keeps a thrown error until a dependency changes', () => {
+    const path = signal(null);
+    let runs = 0;
+    const name = computed(() => { runs++; return path.get().split('/').pop(); });
+    assert.throws(() => name.get(), TypeError);
+    assert.throws(() => name.get(), TypeError);
+    assert.equal(runs, 1);
+    path.set('/music/raga.mp3');
+    assert.equal(name.get(), 'raga.mp3');
+  });
+});
+
+describe('computed — release', () => {
+  it('lets go of its sources when its last observer is disposed', () => {
+    const count = signal(1);
+    const doubled = computed(() => count.get() * 2);
+    const seen = [];
+    const unmount = mount({}, () => {
+      effect(() => { seen.push(doubled.get()); });
+    });
+    assert.equal(count.observers, 1);
+
+    unmount();
+    assert.equal(count.observers, 0);
+
+    // Read again, it re-evaluates with the current value
+    count.set(4);
+    flushSync();
+    assert.equal(doubled.get(), 8);
+    assert.deepEqual(seen, [2]);
+  });
+
+  it('lets go when its last subscriber unsubscribes, and links again when observed', () => {
+    const count = signal(1);
+    const doubled = computed(() => count.get() * 2);
+    const calls = [];
+    const stop = doubled.subscribe(v => calls.push(v));
+    assert.equal(count.observers, 1);
+    stop();
+    assert.equal(count.observers, 0);
+
+    doubled.subscribe(v => calls.push(v));
+    count.set(3);
+    flushSync();
+    assert.deepEqual(calls, [6]);
+  });
+
+  it('stays linked while an observer re-runs, without re-evaluating', () => {
+    const count = signal(1);
+    const other = signal(0);
+    let runs = 0;
+    const doubled = computed(() => { runs++; return count.get() * 2; });
+    const stop = effect(() => { doubled.get(); other.get(); });
+    other.set(1);
+    flushSync();
+    assert.equal(runs, 1);
+    assert.equal(count.observers, 1);
+    stop();
+  });
+
+  it('keeps explicit dependencies', () => {
+    const count = signal(1);
+    const doubled = computed(() => count.get() * 2, [count]);
+    doubled.subscribe(() => {})();
+    assert.equal(count.observers, 1);
+    doubled.dispose();
+    assert.equal(count.observers, 0);
+  });
+});
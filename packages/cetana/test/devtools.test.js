@@ -0,0 +1,85 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+import { batch, flushSync } from '../src/scheduler.js';
+import { enableDevtools, disableDevtools } from '../src/devtools.js';
+
+const tick = () => new Promise(r => queueMicrotask(r));
+
+describe('devtools', () => {
+  afterEach(() => disableDevtools());
+
+  it('exposes the recorder on the global object', () => {
+    const api = enableDevtools();
+    assert.equal(globalThis.__BODHI_CETANA__, api);
+    assert.equal(enableDevtools(), api);
+    disableDevtools();
+    assert.equal(globalThis.__BODHI_CETANA__, undefined);
+  });
+
+  it('records nodes with their names and dependency edges', () => {
+    const api = enableDevtools();
+    const page = signal(0, { name: 'page' });
+    const label = computed(() => `Page ${page.get() + 1}`, { name: 'pageLabel' });
+    effect(() => { label.get(); }, { name: 'renderPage' });
+
+    const byLabel = Object.fromEntries(api.nodes().map(n => [n.label, n]));
+    assert.equal(byLabel.page.kind, 'signal');
+    assert.equal(byLabel.page.value, 0);
+    assert.deepEqual(byLabel.pageLabel.sources, [byLabel.page.id]);
+    assert.deepEqual(byLabel.pageLabel.observers, [byLabel.renderPage.id]);
+    assert.equal(byLabel.renderPage.kind, 'effect');
+  });
+
+  it('labels unnamed nodes with where they were created', () => {
+    const api = enableDevtools();
+    signal(0);
+    const [node] = api.nodes();
+    assert.match(node.label, /^signal @ devtools\.test\.js:\d+$/);
+  });
+
+  it('records each flush: what changed, what ran, and how long it took', async () => {
+    const api = enableDevtools();
+    const volume = signal(80, { name: 'volume' });
+    const muted = computed(() => volume.get() === 0, { name: 'isMuted' });
+    muted.subscribe(function renderMute() {});
+    const seen = [];
+    api.subscribe(flush => seen.push(flush));
+
+    volume.set(0);
+    await tick();
+    const [flush] = api.flushes();
+    assert.deepEqual(flush.changed.map(c => c.label), ['volume']);
+    assert.deepEqual(flush.ran.map(r => `${r.kind} ${r.label}`), ['computed isMuted', 'subscriber renderMute']);
+    assert.equal(typeof flush.duration, 'number');
+    assert.deepEqual(seen, [flush]);
+  });
+
+  it('records errors, and keeps only the latest flushes', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const api = enableDevtools({ limit: 2 });
+    const count = signal(0, { name: 'count' });
+    count.subscribe(function explode(n) { if (n === 3) throw new Error('boom'); });
+    for (let n = 1; n <= 3; n++) batch(() => count.set(n));
+
+    const flushes = api.flushes();
+    assert.equal(flushes.length, 2);
+    assert.deepEqual(flushes.at(-1).errors.map(e => `${e.label}: ${e.message}`), ['explode: boom']);
+  });
+
+  it('leaves out what runs muted', () => {
+    const api = enableDevtools();
+    const shown = signal(0, { name: 'shown' });
+    const hidden = api.muted(() => signal(0, { name: 'panelState' }));
+    hidden.subscribe(() => {});
+    api.muted(() => batch(() => hidden.set(1)));
+    shown.subscribe(() => {});
+    shown.set(1);
+    flushSync();
+
+    assert.deepEqual(api.nodes().filter(n => n.kind === 'signal').map(n => n.label), ['shown']);
+    assert.deepEqual(api.flushes().map(f => f.changed.map(c => c.label)), [['shown']]);
+  });
+});
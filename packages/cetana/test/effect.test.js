@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+
+const tick = () => new Promise(r => queueMicrotask(r));
+
+describe('effect', () => {
+  it('runs immediately and again after its dependencies change', async () => {
+    const title = signal('Nāda');
+    const seen = [];
+    effect(() => { seen.push(title.get()); });
+    assert.deepEqual(seen, ['Nāda']);
+
+    title.set('Rāga');
+    title.set('Tāla');
+    assert.deepEqual(seen, ['Nāda']);
+    await tick();
+    assert.deepEqual(seen, ['Nāda', 'Tāla']);
+  });
+
+  it('tracks a dynamic dependency set', async () => {
+    const showArtist = signal(false);
+    const artist = signal('Ravi');
+    let runs = 0;
+    effect(() => {
+      runs++;
+      if (showArtist.get()) artist.get();
+    });
+
+    artist.set('Anoushka');
+    await tick();
+    assert.equal(runs, 1);
+    showArtist.set(true);
+    await tick();
+    artist.set('Norah');
+    await tick();
+    assert.equal(runs, 3);
+  });
+
+  it('sees computed values consistent with their sources', async () => {
+    const first = signal('a');
+    const upper = computed(() => first.get().toUpperCase());
+    const pairs = [];
+    effect(() => { pairs.push(`${first.get()}${upper.get()}`); });
+    first.set('b');
+    await tick();
+    assert.deepEqual(pairs, ['aA', 'bB']);
+  });
+
+  it('runs cleanup before re-running and on dispose', async () => {
+    const n = signal(0);
+    const log = [];
+    const stop = effect(() => {
+      const v = n.get();
+      log.push(`run ${v}`);
+      return () => log.push(`cleanup ${v}`);
+    });
+    n.set(1);
+    await tick();
+    stop();
+    n.set(2);
+    await tick();
+    assert.deepEqual(log, ['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+  });
+});
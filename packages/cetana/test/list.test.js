@@ -1,4 +1,4 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { signal } from '../src/signal.js';
 import { list } from '../src/list.js';
@@ -9,11 +9,12 @@ function createContainer() {
   const container = {
     get firstChild() { return children[0] || null; },
     get childNodes() { return [...children]; },
+    get children() { return [...children]; },
     get textContent() { return children.map(c => c.textContent).join(''); },
     insertBefore(node, ref) {
-      const refIdx = ref ? children.indexOf(ref) : -1;
       const existIdx = children.indexOf(node);
       if (existIdx >= 0) children.splice(existIdx, 1);
+      const refIdx = ref ? children.indexOf(ref) : -1;
       if (ref && refIdx >= 0) {
         children.splice(refIdx, 0, node);
       } else {
@@ -165,4 +166,261 @@ describe('list', () => {
     // No update after unsubscribe
     assert.equal(children.length, 1);
   });
+
+  it('adopts existing rows instead of rendering them', async () => {
+    const { container, children, makeEl } = createContainer();
+    container.insertBefore(makeEl('a (server)'), null);
+    container.insertBefore(makeEl('b (server)'), null);
+    const [a, b] = children;
+    const items = signal([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    const adopted = [];
+    let renders = 0;
+
+    list(container, items, {
+      key: i => i.id,
+      render: i => { renders++; return makeEl(i.text); },
+      update: (el, i) => { el.textContent = i.text; },
+      adopt: (el, i) => adopted.push([el, i.id]),
+    });
+
+    assert.equal(renders, 0);
+    assert.deepEqual(adopted, [[a, 1], [b, 2]]);
+    assert.equal(children[0].textContent, 'a (server)');
+
+    items.set([{ id: 2, text: 'b2' }]);
+    await new Promise(r => queueMicrotask(r));
+    assert.deepEqual(children, [b]);
+    assert.equal(b.textContent, 'b2');
+  });
+
+  it('renders items the server did not and drops rows it has no item for', () => {
+    const { container, children, makeEl } = createContainer();
+    container.insertBefore(makeEl('a (server)'), null);
+    const items = signal([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+
+    list(container, items, { key: i => i.id, render: i => makeEl(i.text), adopt: () => {} });
+    assert.deepEqual(children.map(c => c.textContent), ['a (server)', 'b']);
+
+    const { container: other, children: rows, makeEl: make } = createContainer();
+    other.insertBefore(make('x'), null);
+    other.insertBefore(make('y'), null);
+    list(other, signal([{ id: 1 }]), { key: i => i.id, render: () => make('new'), adopt: () => {} });
+    assert.deepEqual(rows.map(c => c.textContent), ['x']);
+  });
+});
+
+// A scrollable container whose rows know their attributes and position
+function createScroller({ clientHeight = 100 } = {}) {
+  const shim = createContainer();
+  const listeners = {};
+  Object.assign(shim.container, {
+    style: {},
+    scrollTop: 0,
+    clientHeight,
+    addEventListener(type, fn) { listeners[type] = fn; },
+    removeEventListener(type) { delete listeners[type]; },
+  });
+  const makeRow = text => {
+    const el = shim.makeEl(text);
+    el.attributes = {};
+    el.setAttribute = (name, value) => { el.attributes[name] = value; };
+    el.getBoundingClientRect = () => ({ left: 0, top: shim.children.indexOf(el) * 10 });
+    return el;
+  };
+  const scrollTo = top => {
+    shim.container.scrollTop = top;
+    listeners.scroll?.();
+  };
+  return { ...shim, makeRow, scrollTo, listeners };
+}
+
+const tracks = count => Array.from({ length: count }, (_, i) => ({ id: i, text: `t${i}` }));
+
+describe('list — virtual', () => {
+  it('renders only the rows in view, with their position in the set', () => {
+    const { container, children, makeRow } = createScroller();
+    list(container, signal(tracks(20000)), {
+      key: i => i.id,
+      render: i => makeRow(i.text),
+      virtual: { rowHeight: 20, overscan: 2 },
+    });
+
+    // 100px of 20px rows: 5 in view, plus 2 after (none before the first)
+    assert.equal(children.length, 7);
+    assert.equal(children[0].attributes['aria-posinset'], '1');
+    assert.equal(children[6].attributes['aria-posinset'], '7');
+    assert.equal(children[0].attributes['aria-setsize'], '20000');
+    assert.equal(container.style.paddingTop, '0px');
+    assert.equal(container.style.paddingBottom, `${(20000 - 7) * 20}px`);
+  });
+
+  it('moves the window as the container scrolls, reusing rows still in view', () => {
+    const { container, children, makeRow, scrollTo } = createScroller();
+    let renders = 0;
+    list(container, signal(tracks(1000)), {
+      key: i => i.id,
+      render: i => { renders++; return makeRow(i.text); },
+      virtual: { rowHeight: 20, overscan: 2 },
+    });
+
+    renders = 0;
+    scrollTo(100);
+    assert.deepEqual(children.map(c => c.textContent), ['t3', 't4', 't5', 't6', 't7', 't8', 't9', 't10', 't11']);
+    assert.equal(renders, 5);
+    assert.equal(children[0].attributes['aria-posinset'], '4');
+    assert.equal(container.style.paddingTop, '60px');
+  });
+
+  it('stops listening to scrolls when stopped', () => {
+    const { container, makeRow, listeners } = createScroller();
+    const stop = list(container, signal(tracks(50)), {
+      key: i => i.id,
+      render: i => makeRow(i.text),
+      virtual: { rowHeight: 20 },
+    });
+    assert.equal(typeof listeners.scroll, 'function');
+    stop();
+    assert.equal(listeners.scroll, undefined);
+  });
+
+  it('requires a row height', () => {
+    const { container, makeRow } = createScroller();
+    assert.throws(() => list(container, signal([]), { key: i => i, render: makeRow, virtual: {} }), /rowHeight/);
+  });
+});
+
+describe('list — animate', () => {
+  const original = globalThis.matchMedia;
+  afterEach(() => { globalThis.matchMedia = original; });
+
+  function animated() {
+    const { container, children, makeRow } = createScroller();
+    const calls = [];
+    const items = signal([{ id: 1, text: 'a' }, { id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    let finish;
+    list(container, items, {
+      key: i => i.id,
+      render: i => makeRow(i.text),
+      animate: {
+        move: (el, { dy }) => calls.push(`move ${el.textContent} ${dy}`),
+        enter: el => calls.push(`enter ${el.textContent}`),
+        exit: el => {
+          calls.push(`exit ${el.textContent}`);
+          return new Promise(r => { finish = r; });
+        },
+      },
+    });
+    return { children, calls, items, done: () => finish() };
+  }
+
+  it('slides moved rows from their old place, and enters and exits others', async () => {
+    const { children, calls, items, done } = animated();
+    assert.deepEqual(calls, []);
+
+    items.set([{ id: 3, text: 'c' }, { id: 4, text: 'd' }, { id: 1, text: 'a' }]);
+    await new Promise(r => queueMicrotask(r));
+    assert.deepEqual(calls, ['exit b', 'move c 20', 'enter d', 'move a -20']);
+
+    // The exiting row stays until its animation finishes
+    assert.ok(children.some(c => c.textContent === 'b'));
+    done();
+    await new Promise(r => setTimeout(r, 0));
+    assert.deepEqual(children.map(c => c.textContent), ['c', 'd', 'a']);
+  });
+
+  it('does not animate when the user prefers reduced motion', async () => {
+    globalThis.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+    const { children, calls, items } = animated();
+    items.set([{ id: 3, text: 'c' }, { id: 1, text: 'a' }]);
+    await new Promise(r => queueMicrotask(r));
+    assert.deepEqual(calls, []);
+    assert.deepEqual(children.map(c => c.textContent), ['c', 'a']);
+  });
+});
+
+describe('list — minimal moves', () => {
+  const letters = text => [...text].map(c => ({ id: c, text: c }));
+
+  function counted(initial) {
+    const shim = createContainer();
+    const moved = [];
+    const insertBefore = shim.container.insertBefore;
+    shim.container.insertBefore = (node, ref) => {
+      moved.push(node.textContent);
+      insertBefore(node, ref);
+    };
+    const items = signal(letters(initial));
+    list(shim.container, items, { key: i => i.id, render: i => shim.makeEl(i.text) });
+    moved.length = 0;
+    const set = async text => {
+      items.set(letters(text));
+      await new Promise(r => queueMicrotask(r));
+      return shim.children.map(c => c.textContent).join('');
+    };
+    return { moved, set };
+  }
+
+  it('inserts at the front with a single DOM operation', async () => {
+    const { moved, set } = counted('abcde');
+    assert.equal(await set('xabcde'), 'xabcde');
+    assert.deepEqual(moved, ['x']);
+  });
+
+  it('reverses a list moving all but one node', async () => {
+    const { moved, set } = counted('abcdef');
+    assert.equal(await set('fedcba'), 'fedcba');
+    assert.equal(moved.length, 5);
+  });
+
+  it('moves only the row that moved', async () => {
+    const { moved, set } = counted('abcdef');
+    assert.equal(await set('bcdefa'), 'bcdefa');
+    assert.deepEqual(moved, ['a']);
+    moved.length = 0;
+    assert.equal(await set('cebfda'), 'cebfda');
+    assert.deepEqual(moved, ['b', 'd']);
+  });
+
+  it('keeps focus on a row it moves', async (t) => {
+    const { container, children, makeEl } = createContainer();
+    const focusable = text => {
+      const el = makeEl(text);
+      el.isConnected = true;
+      el.focus = () => { globalThis.document.activeElement = el; };
+      return el;
+    };
+    container.contains = el => children.includes(el);
+    const insertBefore = container.insertBefore;
+    container.insertBefore = (node, ref) => {
+      // Browsers blur an element when it is moved
+      if (globalThis.document.activeElement === node) globalThis.document.activeElement = null;
+      insertBefore(node, ref);
+    };
+    globalThis.document = { activeElement: null, body: {} };
+    t.after(() => { delete globalThis.document; });
+
+    const items = signal(letters('abc'));
+    list(container, items, { key: i => i.id, render: i => focusable(i.text) });
+    children[0].focus();
+    items.set(letters('bca'));
+    await new Promise(r => queueMicrotask(r));
+    assert.equal(globalThis.document.activeElement.textContent, 'a');
+  });
+
+  it('rejects duplicate keys before touching the DOM', async (t) => {
+    const { container, children, makeEl } = createContainer();
+    assert.throws(
+      () => list(container, signal(letters('aba')), { key: i => i.id, render: i => makeEl(i.text) }),
+      /key "a" is used by items 0 and 2; keys must be unique/,
+    );
+    assert.equal(children.length, 0);
+
+    const reported = t.mock.method(console, 'error', () => {});
+    const items = signal(letters('ab'));
+    list(container, items, { key: i => i.id, render: i => makeEl(i.text) });
+    items.set(letters('abb'));
+    await new Promise(r => queueMicrotask(r));
+    assert.match(reported.mock.calls[0].arguments[0].message, /key "b" is used by items 1 and 2/);
+    assert.deepEqual(children.map(c => c.textContent), ['a', 'b']);
+  });
 });
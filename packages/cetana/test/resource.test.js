@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signal } from '../src/signal.js';
+import { resource } from '../src/resource.js';
+import { mount } from '../src/component.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+// A fetcher whose requests the test settles by hand
+function deferredFetcher() {
+  const calls = [];
+  const fetcher = (value, { signal }) => new Promise((resolve, reject) => {
+    calls.push({ value, signal, resolve, reject });
+  });
+  return { fetcher, calls };
+}
+
+describe('resource', () => {
+  it('loads from the source and reports loading, then the value', async () => {
+    const id = signal(1);
+    const { fetcher, calls } = deferredFetcher();
+    const album = resource(fetcher, id);
+    assert.equal(album.loading.get(), true);
+    assert.equal(album.status.get(), 'loading');
+    assert.equal(calls[0].value, 1);
+
+    calls[0].resolve({ title: 'Kind of Blue' });
+    await tick();
+    assert.equal(album.loading.get(), false);
+    assert.equal(album.status.get(), 'ready');
+    assert.deepEqual(album.value.get(), { title: 'Kind of Blue' });
+    assert.deepEqual(album.get(), { title: 'Kind of Blue' });
+  });
+
+  it('aborts a stale request and ignores its result', async () => {
+    const id = signal(1);
+    const { fetcher, calls } = deferredFetcher();
+    const album = resource(fetcher, id);
+    id.set(2);
+    await tick();
+    assert.equal(calls.length, 2);
+    assert.equal(calls[0].signal.aborted, true);
+    assert.equal(calls[1].signal.aborted, false);
+
+    calls[1].resolve('second');
+    calls[0].resolve('first');
+    await tick();
+    assert.equal(album.value.get(), 'second');
+  });
+
+  it('keeps the error, and the previous value, when a request fails', async () => {
+    const id = signal(1);
+    const { fetcher, calls } = deferredFetcher();
+    const album = resource(fetcher, id);
+    calls[0].resolve('first');
+    await tick();
+
+    id.set(2);
+    await tick();
+    calls[1].reject(new Error('offline'));
+    await tick();
+    assert.equal(album.status.get(), 'error');
+    assert.equal(album.error.get().message, 'offline');
+    assert.equal(album.value.get(), 'first');
+
+    const retried = album.refetch();
+    assert.equal(calls[2].value, 2);
+    calls[2].resolve('second');
+    assert.equal(await retried, 'second');
+    assert.equal(album.error.get(), null);
+  });
+
+  it('reports a synchronous throw as an error', async () => {
+    const album = resource(() => { throw new Error('bad input'); });
+    await tick();
+    assert.equal(album.status.get(), 'error');
+    assert.equal(album.error.get().message, 'bad input');
+  });
+
+  it('stays idle while the source is empty, and reports empty results', async () => {
+    const folder = signal(null);
+    let requests = 0;
+    const tracks = resource(files => {
+      requests++;
+      return files.filter(f => f.endsWith('.flac'));
+    }, folder);
+    assert.equal(tracks.status.get(), 'idle');
+    assert.equal(requests, 0);
+
+    folder.set(['cover.jpg']);
+    await tick();
+    assert.equal(tracks.status.get(), 'empty');
+    assert.deepEqual(tracks.value.get(), []);
+  });
+
+  it('runs once without a source, and mutate() sets the value', async () => {
+    const settings = resource(() => Promise.resolve({ theme: 'dark' }));
+    await tick();
+    assert.deepEqual(settings.value.get(), { theme: 'dark' });
+
+    settings.mutate({ theme: 'light' });
+    assert.deepEqual(settings.value.get(), { theme: 'light' });
+    assert.equal(settings.status.get(), 'ready');
+  });
+
+  it('aborts and stops following the source when its mount unmounts', async () => {
+    const id = signal(1);
+    const { fetcher, calls } = deferredFetcher();
+    let album;
+    const unmount = mount({}, () => {
+      album = resource(fetcher, id);
+    });
+    unmount();
+    assert.equal(calls[0].signal.aborted, true);
+    assert.equal(album.loading.get(), false);
+    assert.equal(id.size, 0);
+
+    id.set(2);
+    await tick();
+    assert.equal(calls.length, 1);
+  });
+});
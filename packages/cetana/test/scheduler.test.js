@@ -0,0 +1,125 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { signal } from '../src/signal.js';
+import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+import { batch, untrack, flushSync, setScheduler } from '../src/scheduler.js';
+
+const tick = () => new Promise(r => queueMicrotask(r));
+
+describe('batch', () => {
+  it('notifies once, synchronously, when the batch ends', () => {
+    const view = signal('artists');
+    const page = signal(3);
+    const seen = [];
+    effect(() => { seen.push(`${view.get()}:${page.get()}`); });
+
+    const result = batch(() => {
+      view.set('albums');
+      page.set(0);
+      assert.deepEqual(seen, ['artists:3']);
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(seen, ['artists:3', 'albums:0']);
+  });
+
+  it('flushes nested batches with the outermost', () => {
+    const n = signal(0);
+    const calls = [];
+    n.subscribe(v => calls.push(v));
+    batch(() => {
+      batch(() => n.set(1));
+      assert.deepEqual(calls, []);
+      n.set(2);
+    });
+    assert.deepEqual(calls, [2]);
+  });
+
+  it('still flushes when the batch throws', () => {
+    const n = signal(0);
+    const calls = [];
+    n.subscribe(v => calls.push(v));
+    assert.throws(() => batch(() => {
+      n.set(1);
+      throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(calls, [1]);
+  });
+});
+
+describe('untrack', () => {
+  it('reads without subscribing the running computation', async () => {
+    const page = signal(0);
+    const pageSize = signal(12);
+    let runs = 0;
+    effect(() => {
+      runs++;
+      page.get();
+      untrack(() => pageSize.get());
+    });
+    pageSize.set(24);
+    await tick();
+    assert.equal(runs, 1);
+    page.set(1);
+    await tick();
+    assert.equal(runs, 2);
+  });
+
+  it('returns what the function returns', () => {
+    const s = signal(5);
+    const c = computed(() => untrack(() => s.get()) * 2);
+    assert.equal(c.get(), 10);
+  });
+});
+
+describe('flushSync', () => {
+  it('runs pending subscribers and effects immediately', () => {
+    const s = signal('a');
+    const calls = [];
+    s.subscribe(v => calls.push(v));
+    s.set('b');
+    assert.deepEqual(calls, []);
+    flushSync();
+    assert.deepEqual(calls, ['b']);
+  });
+
+  it('is a no-op with nothing pending', () => {
+    flushSync();
+  });
+});
+
+describe('setScheduler', () => {
+  afterEach(() => setScheduler(null));
+
+  it('requests flushes through the given scheduler', async () => {
+    const frames = [];
+    setScheduler(run => frames.push(run));
+    const s = signal(0);
+    const calls = [];
+    s.subscribe(v => calls.push(v));
+
+    s.set(1);
+    s.set(2);
+    await tick();
+    assert.deepEqual(calls, []);
+    assert.equal(frames.length, 1);
+    frames[0]();
+    assert.deepEqual(calls, [2]);
+  });
+
+  it('returns to microtasks when reset', async () => {
+    setScheduler(() => {});
+    setScheduler(null);
+    const s = signal(0);
+    const calls = [];
+    s.subscribe(v => calls.push(v));
+    s.set(1);
+    await tick();
+    assert.deepEqual(calls, [1]);
+  });
+
+  it('rejects anything but a function or null', () => {
+    assert.throws(() => setScheduler('raf'), TypeError);
+  });
+});
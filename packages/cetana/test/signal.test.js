@@ -79,3 +79,38 @@ describe('signal', () => {
     assert.equal(s.size, 0);
   });
 });
+
+describe('signal — equals', () => {
+  const tick = () => new Promise(r => queueMicrotask(r));
+
+  it('skips notification when a custom equals says unchanged', async () => {
+    const sameTrack = (a, b) => a?.path === b?.path;
+    const current = signal({ path: 'a.mp3', position: 0 }, { equals: sameTrack });
+    const calls = [];
+    current.subscribe(v => calls.push(v.position));
+
+    current.set({ path: 'a.mp3', position: 12 });
+    await tick();
+    assert.deepEqual(calls, []);
+    assert.equal(current.get().position, 0);
+
+    current.set({ path: 'b.mp3', position: 0 });
+    await tick();
+    assert.deepEqual(calls, [0]);
+  });
+
+  it('notifies on every set() with equals: false', async () => {
+    const items = [1, 2];
+    const s = signal(items, { equals: false });
+    const calls = [];
+    s.subscribe(v => calls.push(v.length));
+    items.push(3);
+    s.set(items);
+    await tick();
+    assert.deepEqual(calls, [3]);
+  });
+
+  it('rejects an equals that is not a function or false', () => {
+    assert.throws(() => signal(0, { equals: true }), TypeError);
+  });
+});
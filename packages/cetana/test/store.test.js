@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { store, unwrapStore } from '../src/store.js';
+import { computed } from '../src/computed.js';
+import { effect } from '../src/effect.js';
+
+const tick = () => new Promise(r => queueMicrotask(r));
+
+describe('store', () => {
+  const library = () => store({
+    artists: ['Ravi Shankar'],
+    tracks: [
+      { title: 'Raga Jog', duration: 0 },
+      { title: 'Dhun', duration: 0 },
+    ],
+  });
+
+  it('reads and writes like the object it wraps', () => {
+    const raw = { tracks: [{ title: 'Dhun' }] };
+    const lib = store(raw);
+    lib.tracks[0].title = 'Dhun (live)';
+    assert.equal(raw.tracks[0].title, 'Dhun (live)');
+    assert.equal(lib.tracks.length, 1);
+    assert.equal(unwrapStore(lib.tracks), raw.tracks);
+  });
+
+  it('notifies only the computations that read a changed path', async () => {
+    const lib = library();
+    const runs = { first: 0, second: 0 };
+    effect(() => { runs.first++; lib.tracks[0].duration; });
+    effect(() => { runs.second++; lib.tracks[1].duration; });
+
+    lib.tracks[0].duration = 312;
+    await tick();
+    assert.deepEqual(runs, { first: 2, second: 1 });
+
+    lib.tracks[0].duration = 312;
+    await tick();
+    assert.equal(runs.first, 2, 'writing an equal value is not a change');
+  });
+
+  it('notifies iteration when items are added or removed', async () => {
+    const lib = library();
+    const titles = computed(() => lib.tracks.map(t => t.title).join(', '));
+    const keys = computed(() => Object.keys(lib).join(','));
+    assert.equal(titles.get(), 'Raga Jog, Dhun');
+
+    lib.tracks.push({ title: 'Pancham', duration: 0 });
+    assert.equal(titles.get(), 'Raga Jog, Dhun, Pancham');
+    lib.tracks.splice(0, 1);
+    assert.equal(titles.get(), 'Dhun, Pancham');
+
+    assert.equal(keys.get(), 'artists,tracks');
+    lib.albums = [];
+    assert.equal(keys.get(), 'artists,tracks,albums');
+    delete lib.albums;
+    assert.equal(keys.get(), 'artists,tracks');
+  });
+
+  it('tracks properties that do not exist yet', () => {
+    const state = store({});
+    const label = computed(() => state.current?.title ?? 'Nothing playing');
+    assert.equal(label.get(), 'Nothing playing');
+    state.current = { title: 'Dhun' };
+    assert.equal(label.get(), 'Dhun');
+    state.current.title = 'Raga';
+    assert.equal(label.get(), 'Raga');
+  });
+
+  it('stores plain objects, not the proxies assigned to it', () => {
+    const state = store({ a: { n: 1 }, b: null });
+    state.b = state.a;
+    assert.equal(unwrapStore(state).b, unwrapStore(state).a);
+    assert.equal(state.a, state.b);
+  });
+
+  it('only wraps plain objects and arrays', () => {
+    assert.throws(() => store(new Map()), TypeError);
+    const state = store({ when: new Date(0) });
+    assert.ok(state.when instanceof Date);
+  });
+});
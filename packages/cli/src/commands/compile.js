@@ -1,15 +1,49 @@
 /**
- * bodhi compile <spec> — Compile a Bodhi YAML component spec
+ * bodhi compile [spec] — Compile Bodhi YAML component specs
  *
- * Reads a .bodhi.yaml file, validates it against the Yantra/Mudra schema,
- * and emits semantic HTML + CSS + JS to the output directory.
+ * With a spec: reads the .bodhi.yaml file, validates it against the
+ * Yantra/Mudra schema, runs the M1–M9 ethics markers on the spec tree
+ * (warnings by default, errors with --mode dogmatic), and emits semantic
+ * HTML + CSS + JS to the output directory.
+ *
+ * Without a spec: compiles the whole project described by
+ * bodhi.config.js, rebuilding only entries whose specs or Rūpa file
+ * changed. --watch keeps rebuilding as files change (the whole project
+ * only: it cannot be combined with a spec). With `target:
+ * 'wordpress'` (or --target wordpress) the output is a block theme; with
+ * --target element, one custom element module per entry; with --target
+ * react, a React component (.jsx) and its CSS per entry.
+ *
+ * Either way, project Yantras and Mudrās in bodhi.config.js (`yantras:`,
+ * `mudras:`) are registered first, so specs can use them.
  */
 
-import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
-import { resolve, basename, dirname } from 'node:path';
-import { compile } from '@bodhi/compiler';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { resolve, basename, relative, join, dirname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { compile, compileProject, watchProject, writeOutputs, registerVocabulary, emitWordPressTheme, formatDiagnostic, TARGETS } from '@bodhi/compiler';
+
+const MODES = ['lenient', 'dogmatic'];
+
+export async function compileCommand(spec, options) {
+  if (options.mode !== undefined && !MODES.includes(options.mode)) {
+    console.error(`Unknown mode "${options.mode}". Valid modes: ${MODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (options.target !== undefined && !TARGETS.includes(options.target)) {
+    console.error(`Unknown target "${options.target}". Valid targets: ${TARGETS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (spec && options.watch) {
+    console.error('--watch recompiles the whole project; run it without a spec.');
+    process.exit(1);
+  }
+  if (!spec) {
+    await compileProjectCommand(options);
+    return;
+  }
 
-export function compileCommand(spec, options) {
   const specPath = resolve(spec);
   const outputDir = resolve(options.output || 'dist');
 
@@ -23,32 +57,98 @@ export function compileCommand(spec, options) {
     process.exit(1);
   }
 
+  // Project Yantras and Mudrās from bodhi.config.js
+  reportDiagnostics(registerVocabulary(await loadConfig()));
+
   // Compile
-  const result = compile(yamlContent, { js: options.js !== false });
+  const result = compile(yamlContent, {
+    js: options.js !== false,
+    filename: relative(process.cwd(), specPath),
+    ethics: options.mode || 'lenient',
+    sourceMap: Boolean(options.sourceMap),
+    dev: Boolean(options.dev),
+    element: options.target === 'element',
+    react: options.target === 'react',
+  });
 
-  // Report errors
+  // Report diagnostics with a code frame under the offending key
+  reportDiagnostics(result.diagnostics);
   if (result.errors.length > 0) {
-    console.error('Compilation errors:');
-    for (const err of result.errors) {
-      console.error(`  - ${err}`);
-    }
+    console.error(`Compilation failed with ${result.errors.length} error(s).`);
     process.exit(1);
   }
 
   // Write output
-  mkdirSync(outputDir, { recursive: true });
   const name = basename(specPath, '.bodhi.yaml');
+  let files;
+  if (options.target === 'wordpress') files = writeTheme(outputDir, [{ name, spec: result.spec }]);
+  else if (options.target === 'element') files = writeOutputs(outputDir, name, { js: result.js, maps: result.maps });
+  else if (options.target === 'react') files = writeOutputs(outputDir, name, { css: result.css, jsx: result.jsx, maps: result.maps });
+  else files = writeOutputs(outputDir, name, result);
+  for (const file of files) {
+    console.log(`  → ${file}`);
+  }
 
-  writeFileSync(resolve(outputDir, `${name}.html`), result.html, 'utf8');
-  console.log(`  HTML → ${name}.html`);
+  console.log(`Compiled ${basename(specPath)} → ${outputDir}/`);
+}
 
-  writeFileSync(resolve(outputDir, `${name}.css`), result.css, 'utf8');
-  console.log(`  CSS  → ${name}.css`);
+/**
+ * Compile every entry spec of the project in the current directory.
+ * Command-line flags override bodhi.config.js.
+ */
+async function compileProjectCommand(options) {
+  const config = { ...await loadConfig(), root: process.cwd() };
+  if (options.output) config.outDir = options.output;
+  if (options.mode) config.mode = options.mode;
+  if (options.js === false) config.js = false;
+  if (options.sourceMap) config.sourceMap = true;
+  if (options.dev) config.dev = true;
+  if (options.target) config.target = options.target;
 
-  if (result.js) {
-    writeFileSync(resolve(outputDir, `${name}.js`), result.js, 'utf8');
-    console.log(`  JS   → ${name}.js`);
+  if (!options.watch) {
+    const result = compileProject(config);
+    reportBuild(result);
+    if (result.errors.length > 0) process.exit(1);
+    return;
   }
 
-  console.log(`Compiled ${basename(specPath)} → ${outputDir}/`);
+  const watcher = watchProject(config, reportBuild);
+  console.log('Watching for changes (Ctrl+C to stop)...');
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+}
+
+function writeTheme(outputDir, entries) {
+  const files = emitWordPressTheme(entries);
+  for (const [file, code] of Object.entries(files)) {
+    mkdirSync(dirname(join(outputDir, file)), { recursive: true });
+    writeFileSync(join(outputDir, file), code, 'utf8');
+  }
+  return Object.keys(files);
+}
+
+function reportBuild(result) {
+  reportDiagnostics(result.diagnostics);
+  for (const name of result.compiled) console.log(`  Compiled: ${name}`);
+  for (const name of result.skipped) console.log(`  Unchanged: ${name}`);
+  for (const name of result.removed) console.log(`  Removed: ${name}`);
+  if (result.errors.length > 0) {
+    console.error(`Compilation failed with ${result.errors.length} error(s).`);
+  }
+}
+
+function reportDiagnostics(diagnostics) {
+  for (const d of diagnostics) {
+    console.error(formatDiagnostic(d));
+    console.error('');
+  }
+}
+
+async function loadConfig() {
+  const configPath = resolve('bodhi.config.js');
+  if (!existsSync(configPath)) return {};
+  const module = await import(pathToFileURL(configPath).href);
+  return module.default || {};
 }
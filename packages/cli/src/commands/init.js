@@ -24,6 +24,10 @@ export default {
   // Path to your brand Rūpa file
   rupa: './bodhi.rupa.json',
 
+  // Where \`bodhi compile\` finds .bodhi.yaml specs and writes its output
+  specs: './src/specs',
+  outDir: './dist',
+
   // Compile target
   target: 'wordpress',
 
@@ -8,7 +8,7 @@
  *   bodhi lint [files...]         Run design ethics linting
  *   bodhi token compile [file]    Compile Rūpa tokens to CSS
  *   bodhi report [files...]       Generate marker violation report
- *   bodhi compile <spec>          Compile Bodhi YAML spec to HTML + CSS + JS
+ *   bodhi compile [spec]          Compile Bodhi YAML specs to HTML + CSS + JS
  */
 
 import { Command } from 'commander';
@@ -60,10 +60,15 @@ program
 
 program
   .command('compile')
-  .description('Compile a Bodhi YAML component spec to semantic HTML + CSS + JS')
-  .argument('<spec>', 'Path to .bodhi.yaml component spec')
-  .option('-o, --output <dir>', 'Output directory', 'dist')
+  .description('Compile Bodhi YAML component specs to semantic HTML + CSS + JS')
+  .argument('[spec]', 'Path to a .bodhi.yaml spec (omit to compile the project in bodhi.config.js)')
+  .option('-o, --output <dir>', 'Output directory (default: dist)')
   .option('--no-js', 'Skip JS output (static-only compilation)')
+  .option('-m, --mode <mode>', 'Ethics marker enforcement: dogmatic (fail) or lenient (warn, default)')
+  .option('-w, --watch', 'Recompile the project whenever a spec or the Rūpa file changes (not with [spec])')
+  .option('--source-map', 'Write .map files for the CSS and JS, pointing back at the spec')
+  .option('--dev', 'Tag HTML elements with data-bodhi-src="file:line"')
+  .option('-t, --target <target>', 'Compile target: html, element, react or wordpress (default: html, or bodhi.config.js target)')
   .action(compileCommand);
 
 program.parse();
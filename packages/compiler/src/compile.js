@@ -0,0 +1,88 @@
+/**
+ * Bodhi Compile
+ *
+ * YAML spec → parsed, composed and checked spec tree → HTML, CSS and JS
+ * (or a custom element, or a React component).
+ */
+
+import { readFileSync } from 'node:fs';
+import { parse } from './parser.js';
+import { compose } from './compose.js';
+import { toErrorString } from './diagnostics.js';
+import { SourceMapBuilder } from './source-map.js';
+import { emitHtml, renderToString } from './emitters/html.js';
+import { emitCss } from './emitters/css.js';
+import { emitJs } from './emitters/js.js';
+import { emitElement } from './emitters/element.js';
+import { emitReact } from './emitters/react.js';
+
+/**
+ * Compile a Bodhi YAML component spec to HTML, CSS, and JS.
+ *
+ * @param {string} yamlString - Raw .bodhi.yaml content
+ * @param {object} [options] - Compilation options
+ * @param {boolean} [options.js=true] - Whether to emit JS (false for static-only)
+ * @param {boolean} [options.css=true] - Whether to emit CSS (false when a shared
+ *   stylesheet is built with emitStylesheet())
+ * @param {boolean} [options.element=false] - Emit the JS as a custom element module
+ *   (see emitElement()) carrying its own HTML and CSS
+ * @param {boolean} [options.react=false] - Emit a React component as `jsx` (see emitReact())
+ *   instead of JS; the CSS styles it as it does the HTML
+ * @param {string} [options.filename] - Spec file name, used to label diagnostics
+ *   and as the base for resolving `use:` references
+ * @param {(path: string) => string} [options.readFile] - Reads specs referenced with `use:`
+ * @param {'lenient'|'dogmatic'|false} [options.ethics='lenient'] - Ethics markers M1–M9:
+ *   warnings when lenient, errors (failing compilation) when dogmatic, off when false
+ * @param {boolean} [options.sourceMap=false] - Also return v3 source maps for the CSS and
+ *   JS in `maps` ({ css, js }), pointing each rule and statement at its spec node
+ * @param {boolean} [options.dev=false] - Tag HTML elements with `data-bodhi-src="file:line"`
+ * @param {object} [options.rupa] - Parsed brand Rūpa, used for token fallback values in CSS
+ * @param {object} [options.state] - Initial signal values: the HTML is rendered with them
+ *   (see renderToString()) and the JS hydrates that HTML instead of re-rendering it
+ * @returns {{ html: string, css: string, js: string, jsx?: string, errors: string[], diagnostics: object[], dependencies: string[], spec?: object, maps?: { css: object|null, js: object|null } }}
+ */
+export function compile(yamlString, options = {}) {
+  const { js: emitJsFlag = true, css: emitCssFlag = true, element = false, react = false, filename, readFile, ethics = 'lenient', sourceMap = false, dev = false, rupa, state } = options;
+
+  const parsed = parse(yamlString, { filename });
+
+  if (parsed.errors.length > 0) {
+    return { html: '', css: '', js: '', errors: parsed.errors, diagnostics: parsed.diagnostics, dependencies: [] };
+  }
+
+  // The markers run once, on the composed tree (see compose())
+  const composed = compose(parsed.spec, parsed.source, { readFile, ethics });
+  const diagnostics = [...parsed.diagnostics, ...composed.diagnostics];
+  const errors = diagnostics
+    .filter(d => d.severity === 'error')
+    .map(d => toErrorString(d, parsed.source.file));
+
+  if (errors.length > 0) {
+    return { html: '', css: '', js: '', errors, diagnostics, dependencies: composed.dependencies };
+  }
+
+  const spec = composed.spec;
+  const cssMap = sourceMap ? new SourceMapBuilder() : undefined;
+  const jsMap = sourceMap ? new SourceMapBuilder() : undefined;
+  const html = state ? renderToString(spec, state, { dev }) : emitHtml(spec, 0, { dev });
+  const css = emitCssFlag ? emitCss(spec, { map: cssMap, rupa }) : '';
+  let js = '';
+  if (element) js = emitElement(spec, { map: jsMap, rupa });
+  else if (emitJsFlag && !react) js = emitJs(spec, { map: jsMap, hydrate: Boolean(state) });
+
+  const result = { html, css, js, errors: [], diagnostics, dependencies: composed.dependencies, spec };
+  if (react) result.jsx = emitReact(spec, { map: jsMap });
+  if (sourceMap) result.maps = { css: css ? cssMap.toJSON() : null, js: js || result.jsx ? jsMap.toJSON() : null };
+  return result;
+}
+
+/**
+ * Read and compile a .bodhi.yaml file from disk. `use:` references
+ * resolve relative to the file.
+ *
+ * @param {string} file - Path to the root spec
+ * @param {object} [options] - Same options as compile()
+ */
+export function compileFile(file, options = {}) {
+  return compile(readFileSync(file, 'utf8'), { ...options, filename: file });
+}
@@ -0,0 +1,264 @@
+/**
+ * Bodhi Spec Composition
+ *
+ * Resolves `use:` references between .bodhi.yaml files into a single
+ * spec tree. A node with `use: ./queue.bodhi.yaml` becomes the root of
+ * the referenced spec, with the using node's own fields layered on top:
+ *
+ *   - attributes are merged (the using node wins on conflicts)
+ *   - class names are concatenated (referenced first)
+ *   - every other field replaces the referenced value
+ *
+ * References are resolved relative to the file that contains them.
+ * Circular references are reported as diagnostics, never followed.
+ *
+ * A referenced spec can declare `props:` and `slots:` at its root. The
+ * using node passes values with `props:` and content with `slots:`;
+ * `{{ name }}` in the referenced spec is replaced by the prop value and
+ * each `{ slot: name }` placeholder by the passed nodes (or by the
+ * placeholder's own children when nothing is passed).
+ *
+ * The composed tree is then checked as a whole (see checkSemantics()):
+ * an id, label or tablist that one file could not see may be in another.
+ * So are the ethics markers (see lintSpec()), whose pairs — a quiet
+ * cancel beside a loud confirm — often come from different files. Each
+ * finding is located in the file its node came from.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { parse } from './parser.js';
+import { diagnostic, attachLocation } from './diagnostics.js';
+import { componentInterface } from './schema.js';
+import { checkSemantics } from './semantics.js';
+import { lintSpec } from './ethics.js';
+import { keepOrigin, originOf } from './source-map.js';
+
+const PROP_REF = /\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}/g;
+const WHOLE_PROP_REF = /^\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}$/;
+
+/**
+ * Expand every `use:` reference in a parsed spec.
+ *
+ * @param {object} spec - Validated root spec from parse()
+ * @param {object} source - The `source` returned by parse() for that spec
+ * @param {object} [options]
+ * @param {(path: string) => string} [options.readFile] - Reads a referenced spec (defaults to fs)
+ * @param {'lenient'|'dogmatic'|false} [options.ethics=false] - Run the ethics markers on the
+ *   composed tree (warnings when lenient, errors when dogmatic)
+ * @returns {{ spec: object, diagnostics: object[], dependencies: string[] }}
+ */
+export function compose(spec, source, options = {}) {
+  const readFile = options.readFile || (file => readFileSync(file, 'utf8'));
+  const diagnostics = [];
+  const dependencies = new Set();
+  const loaded = new Map(); // absolute path → parse() result
+
+  function load(file) {
+    const abs = resolve(file);
+    if (!loaded.has(abs)) {
+      let text;
+      try {
+        text = readFile(abs);
+      } catch {
+        loaded.set(abs, null);
+        return null;
+      }
+      const result = parse(text, { filename: file });
+      diagnostics.push(...result.diagnostics);
+      loaded.set(abs, result);
+    }
+    return loaded.get(abs);
+  }
+
+  function expand(node, path, src, stack) {
+    if (!node || typeof node !== 'object') return node;
+    if (typeof node.use === 'string') return expandUse(node, path, src, stack);
+
+    const out = keepOrigin({ ...node }, node);
+    if (Array.isArray(node.children)) {
+      out.children = node.children.map((c, i) => expand(c, [...path, 'children', i], src, stack));
+    }
+    if (Array.isArray(node.views)) {
+      out.views = node.views.map((v, i) => expand(v, [...path, 'views', i], src, stack));
+    }
+    return out;
+  }
+
+  function expandUse(node, path, src, stack) {
+    const report = (code, message, at = [...path, 'use']) => diagnostics.push(
+      attachLocation(diagnostic(code, message, { path: at }), src),
+    );
+
+    const file = join(src.file ? dirname(src.file) : '.', node.use);
+    const abs = resolve(file);
+
+    if (stack.includes(abs)) {
+      const cycle = [...stack.slice(stack.indexOf(abs)), abs].map(p => p.split(/[\\/]/).pop());
+      report('use-cycle', `circular "use" reference: ${cycle.join(' → ')}`);
+      return node;
+    }
+
+    const result = load(file);
+    if (!result) {
+      report('use-not-found', `cannot read spec "${node.use}"`);
+      return node;
+    }
+    dependencies.add(abs);
+    // An invalid spec's errors are already reported against its own file;
+    // expanding it further would only trip over the same mistakes
+    if (!result.spec || result.errors.length > 0) return node;
+
+    const { props, slots, ...own } = node;
+    const args = isMap(props) ? props : {};
+    const fills = isMap(slots) ? slots : {};
+    const iface = componentInterface(result.spec);
+    checkArguments(node.use, iface, args, fills, path, report);
+
+    const filled = {};
+    for (const [name, nodes] of Object.entries(fills)) {
+      if (!Array.isArray(nodes)) continue;
+      filled[name] = nodes.map((c, i) => expand(c, [...path, 'slots', name, i], src, stack));
+    }
+
+    const base = expand(result.spec, [], result.source, [...stack, abs]);
+    return overlay(instantiate(base, iface, args, filled), own);
+  }
+
+  const rootStack = source && source.file ? [resolve(source.file)] : [];
+  const expanded = expand(spec, [], source || {}, rootStack);
+  const composed = expanded && typeof expanded === 'object'
+    ? instantiate(expanded, componentInterface(spec), {}, {})
+    : expanded;
+
+  if (composed && typeof composed === 'object' && !diagnostics.some(d => d.severity === 'error')) {
+    const sources = new Map([source, ...[...loaded.values()].map(r => r?.source)].filter(Boolean).map(s => [s.file, s]));
+    const seen = new Set(diagnostics.map(locationKey));
+    const marked = options.ethics ? lintSpec(composed, { mode: options.ethics }) : [];
+    for (const d of [...marked, ...checkSemantics(composed, { composed: true })]) {
+      const located = locateComposed(d, composed, sources);
+      if (!seen.has(locationKey(located))) diagnostics.push(located);
+    }
+  }
+  return { spec: composed, diagnostics, dependencies: [...dependencies] };
+}
+
+/**
+ * Move a diagnostic on the composed tree to the file and path of the
+ * deepest node on its path that came from a spec file.
+ */
+function locateComposed(d, composed, sources) {
+  let node = composed;
+  let origin = originOf(node);
+  let rest = d.path;
+  for (let i = 0; i < d.path.length && node && typeof node === 'object'; i++) {
+    node = node[d.path[i]];
+    if (originOf(node)) {
+      origin = originOf(node);
+      rest = d.path.slice(i + 1);
+    }
+  }
+  const source = origin && sources.get(origin.file);
+  if (!source) return d;
+  d.path = [...origin.path, ...rest];
+  return attachLocation(d, source);
+}
+
+function isMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function locationKey(d) {
+  return [d.code, d.file, d.range?.start.line, d.range?.start.column, d.message].join('\0');
+}
+
+/**
+ * Check the props and slots a using node passes against the
+ * referenced spec's declarations.
+ */
+function checkArguments(use, iface, args, fills, path, report) {
+  for (const [name, value] of Object.entries(args)) {
+    const decl = iface.props.get(name);
+    if (!decl) {
+      report('unknown-prop-arg', `"${use}" declares no prop "${name}"`, [...path, 'props', name]);
+    } else if (typeof value !== decl.type && !(typeof value === 'string' && WHOLE_PROP_REF.test(value))) {
+      report('prop-type', `prop "${name}" of "${use}" must be a ${decl.type}`, [...path, 'props', name]);
+    }
+  }
+  for (const [name, decl] of iface.props) {
+    if (decl.required && !(name in args)) {
+      report('missing-prop', `"${use}" requires prop "${name}"`);
+    }
+  }
+  for (const name of Object.keys(fills)) {
+    if (!iface.slots.has(name)) {
+      report('unknown-slot-fill', `"${use}" declares no slot "${name}"`, [...path, 'slots', name]);
+    }
+  }
+}
+
+/**
+ * Apply prop values and slot content to an expanded component spec.
+ * Props without a value fall back to their default (or an empty string).
+ */
+function instantiate(spec, iface, args, fills) {
+  const values = {};
+  for (const [name, decl] of iface.props) {
+    values[name] = name in args ? args[name] : (decl.default ?? '');
+  }
+  const { props, slots, ...root } = spec;
+  return fillNode(keepOrigin(root, spec), values, fills);
+}
+
+function fillNode(node, values, fills) {
+  const out = keepOrigin({}, node);
+  for (const [key, value] of Object.entries(node)) {
+    out[key] = (key === 'children' || key === 'views') && Array.isArray(value)
+      ? value.flatMap(child => fillChild(child, values, fills))
+      : substitute(value, values);
+  }
+  return out;
+}
+
+/**
+ * A child node, or the nodes that replace a slot placeholder. Passed
+ * content belongs to the caller, so it is inserted as-is.
+ */
+function fillChild(child, values, fills) {
+  if (!child || typeof child !== 'object') return [child];
+  if (child.slot === undefined) return [fillNode(child, values, fills)];
+  if (fills[child.slot]) return fills[child.slot];
+  return (child.children || []).flatMap(c => fillChild(c, values, fills));
+}
+
+/**
+ * Replace `{{ name }}` references. A string that is exactly one
+ * reference takes the prop's value as-is, keeping numbers and booleans.
+ */
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PROP_REF);
+    if (whole && whole[1] in values) return values[whole[1]];
+    return value.replace(PROP_REF, (ref, name) => (name in values ? String(values[name]) : ref));
+  }
+  if (Array.isArray(value)) return value.map(v => substitute(v, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, values)]));
+  }
+  return value;
+}
+
+/**
+ * Layer a using node's fields over the referenced spec's root.
+ */
+function overlay(base, local) {
+  const { use, ...own } = local;
+  const merged = keepOrigin({ ...base, ...own }, base);
+  if (base.attributes || own.attributes) {
+    merged.attributes = { ...base.attributes, ...own.attributes };
+  }
+  if (base.class && own.class) {
+    merged.class = `${base.class} ${own.class}`;
+  }
+  return merged;
+}
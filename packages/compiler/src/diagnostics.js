@@ -0,0 +1,178 @@
+/**
+ * Bodhi Compiler Diagnostics
+ *
+ * Structured errors and warnings that point back into the .bodhi.yaml
+ * source: a stable code, a severity, the spec path, a 1-based
+ * line/column range, and a rendered code frame with a caret under
+ * the offending key.
+ */
+
+import { isMap, isSeq, isPair, isScalar } from 'yaml';
+
+/**
+ * Create a diagnostic. Location fields are filled in later by
+ * `attachLocation()` once the YAML document is known.
+ *
+ * @param {string} code - Stable identifier, e.g. 'unknown-yantra'
+ * @param {string} message - Human-readable description
+ * @param {object} [options]
+ * @param {'error'|'warning'} [options.severity='error']
+ * @param {Array<string|number>} [options.path=[]] - Spec path to the offending node or key
+ * @returns {{ code: string, severity: string, message: string, path: Array<string|number>, file: string|null, range: object|null, frame: string }}
+ */
+export function diagnostic(code, message, { severity = 'error', path = [] } = {}) {
+  return { code, severity, message, path, file: null, range: null, frame: '' };
+}
+
+/**
+ * Format a spec path array as the dotted form used in error strings,
+ * e.g. ['children', 2, 'mudras', 0] → 'root.children[2].mudras[0]'.
+ */
+export function formatPath(path, root = 'root') {
+  let out = root;
+  for (const seg of path) {
+    out += typeof seg === 'number' ? `[${seg}]` : `.${seg}`;
+  }
+  return out;
+}
+
+// Diagnostics about the document as a whole carry no spec path prefix.
+const DOCUMENT_CODES = new Set(['yaml-syntax', 'invalid-root']);
+
+/**
+ * Flatten a diagnostic into the legacy "path: message" string form
+ * returned in `errors` by parse() and compile(). Diagnostics raised in
+ * a file other than `rootFile` (a spec pulled in with `use:`) are
+ * prefixed with that file's name.
+ */
+export function toErrorString(d, rootFile = d.file) {
+  const text = DOCUMENT_CODES.has(d.code) ? d.message : `${formatPath(d.path)}: ${d.message}`;
+  return d.file && d.file !== rootFile ? `${d.file}: ${text}` : text;
+}
+
+/**
+ * Find the YAML node a spec path refers to. When the last segment is
+ * a mapping key, the key node itself is returned so the caret lands
+ * on the key rather than on its (possibly multi-line) value.
+ */
+function findNode(doc, path) {
+  let node = doc.contents;
+  let target = node;
+  for (const seg of path) {
+    if (isMap(node)) {
+      const pair = node.items.find(p => isPair(p) && keyOf(p) === String(seg));
+      if (!pair) break;
+      target = pair.key;
+      node = pair.value;
+    } else if (isSeq(node) && typeof seg === 'number' && node.items[seg]) {
+      node = node.items[seg];
+      target = node;
+    } else {
+      break;
+    }
+  }
+  return target;
+}
+
+function keyOf(pair) {
+  return isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+}
+
+/**
+ * Resolve a [start, end] offset pair to 1-based line/column positions.
+ */
+function toRange(lineCounter, start, end) {
+  const from = lineCounter.linePos(start);
+  const to = lineCounter.linePos(Math.max(start, end));
+  return {
+    start: { line: from.line, column: from.col },
+    end: { line: to.line, column: to.col },
+  };
+}
+
+/**
+ * Locate a spec path in its source: the 1-based line and column where
+ * the node (or key) starts, or null when the path is not in the document.
+ *
+ * @param {object} source - { doc, lineCounter }
+ * @param {Array<string|number>} path
+ * @returns {{ line: number, column: number }|null}
+ */
+export function locate({ doc, lineCounter }, path) {
+  const node = doc && doc.contents ? findNode(doc, path) : null;
+  if (!node || !node.range) return null;
+  const { line, col } = lineCounter.linePos(node.range[0]);
+  return { line, column: col };
+}
+
+/**
+ * Resolve a diagnostic's path against a parsed document and fill in
+ * its range and code frame.
+ *
+ * @param {object} d - Diagnostic from `diagnostic()`
+ * @param {object} source - { doc, lineCounter, text, file }
+ * @param {[number, number]} [offsets] - Explicit offsets (YAML syntax errors)
+ */
+export function attachLocation(d, { doc, lineCounter, text, file = null }, offsets) {
+  d.file = file;
+  let start;
+  let end;
+  if (offsets) {
+    [start, end] = offsets;
+  } else if (doc && doc.contents) {
+    const node = findNode(doc, d.path);
+    if (node && node.range) [start, end] = node.range;
+  }
+  if (start === undefined) return d;
+  d.range = toRange(lineCounter, start, end);
+  d.frame = codeFrame(text, d.range);
+  return d;
+}
+
+/**
+ * Render a code frame: the offending line with a little context above
+ * and below, and a caret row underlining the range on its first line.
+ *
+ * @param {string} text - Full source text
+ * @param {{ start: { line: number, column: number }, end: { line: number, column: number } }} range
+ * @param {object} [options]
+ * @param {number} [options.context=2] - Lines of context around the offending line
+ * @returns {string}
+ */
+export function codeFrame(text, range, { context = 2 } = {}) {
+  const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+  const { line, column } = range.start;
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + context);
+  const gutter = String(last).length;
+
+  const endCol = range.end.line === line
+    ? Math.max(range.end.column, column + 1)
+    : (lines[line - 1] || '').length + 1;
+  const width = Math.max(1, endCol - column);
+
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const marker = n === line ? '>' : ' ';
+    out.push(`${marker} ${String(n).padStart(gutter)} | ${lines[n - 1] ?? ''}`.trimEnd());
+    if (n === line) {
+      out.push(`  ${' '.repeat(gutter)} | ${' '.repeat(column - 1)}${'^'.repeat(width)}`);
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Format a diagnostic for terminal output:
+ *
+ *   queue.bodhi.yaml:12:9 error unknown-mudra: unknown mudra "Fast"
+ *   > 12 |     mudras: [Fast]
+ *        |              ^^^^
+ */
+export function formatDiagnostic(d) {
+  const where = d.range
+    ? `${d.file || '<spec>'}:${d.range.start.line}:${d.range.start.column}`
+    : (d.file || '<spec>');
+  const head = `${where} ${d.severity} ${d.code}: ${d.message}`;
+  return d.frame ? `${head}\n${d.frame}` : head;
+}
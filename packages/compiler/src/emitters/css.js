@@ -3,37 +3,59 @@
  *
  * Mudra definitions → CSS classes referencing Bodhi token variables.
  * Enforces the no-scroll constraint on Garbha yantra.
+ *
+ * emitCss() styles one spec; emitStylesheet() styles many specs at once
+ * as a single layered stylesheet.
  */
 
-import { resolveYantra, resolveMudra } from '@bodhi/tokens';
+import { resolveYantra, resolveMudra, resolveVoice } from '@bodhi/tokens';
+
+// Conditional nodes: `hidden` must win over Mudra display values
+const CONDITIONAL = '[data-bodhi-when][hidden], [data-bodhi-unless][hidden], [data-bodhi-status][hidden]';
 
 /**
- * Collect all unique Yantras and Mudras from a spec tree.
+ * Collect all unique Yantras and Mudras from a spec tree, each with the
+ * first node that uses it (the source map points its rule there).
+ * `flags.conditional` is the first node using when:/unless:/status:.
  */
-function collectUsed(node, yantras = new Set(), mudras = new Set()) {
-  if (node.yantra) yantras.add(node.yantra);
-  if (node.mudras) node.mudras.forEach(m => mudras.add(m));
-  if (node.children) node.children.forEach(c => collectUsed(c, yantras, mudras));
-  if (node.views) node.views.forEach(v => collectUsed(v, yantras, mudras));
-  return { yantras, mudras };
+function collectUsed(node, yantras = new Map(), mudras = new Map(), flags = { conditional: null, voices: new Map() }) {
+  if (node.yantra && !yantras.has(node.yantra)) yantras.set(node.yantra, node);
+  if (node.mudras) node.mudras.forEach(m => mudras.has(m) || mudras.set(m, node));
+  if (node.voice !== undefined) {
+    const voice = resolveVoice(String(node.voice));
+    if (!flags.voices.has(voice.cssProperty)) flags.voices.set(voice.cssProperty, { voice, node });
+  }
+  if (node.when !== undefined || node.unless !== undefined || node.status !== undefined) flags.conditional ||= node;
+  if (node.children) node.children.forEach(c => collectUsed(c, yantras, mudras, flags));
+  if (node.views) node.views.forEach(v => collectUsed(v, yantras, mudras, flags));
+  return { yantras, mudras, flags };
 }
 
 /**
  * Emit a CSS string for all Yantras and Mudras used in a spec.
+ *
+ * @param {object} spec - Spec tree
+ * @param {object} [options]
+ * @param {import('../source-map.js').SourceMapBuilder} [options.map] - Records which
+ *   spec node each generated rule came from
+ * @param {object} [options.rupa] - Brand Rūpa; its values become the token fallbacks
  */
-export function emitCss(spec) {
-  const { yantras, mudras } = collectUsed(spec);
+export function emitCss(spec, options = {}) {
+  const { yantras, mudras, flags } = collectUsed(spec);
   const lines = [];
+  const mapFrom = (start, node) => options.map?.mapLines(start, lines.length, node);
 
   lines.push('/* Bodhi Compiled Styles */');
   lines.push('/* Yantra base styles */');
   lines.push('');
 
   // Yantra base styles
-  for (const name of yantras) {
+  for (const [name, node] of yantras) {
+    const start = lines.length;
     const yantra = resolveYantra(name);
     lines.push(`.${yantra.className} {`);
     lines.push('  box-sizing: border-box;');
+    for (const declaration of cssDeclarations(yantra)) lines.push(`  ${declaration}`);
 
     // Garbha (main content) enforces no-scroll
     if (yantra.className === 'garbha') {
@@ -41,6 +63,7 @@ export function emitCss(spec) {
     }
 
     lines.push('}');
+    mapFrom(start, node);
     lines.push('');
   }
 
@@ -48,21 +71,47 @@ export function emitCss(spec) {
   lines.push('');
 
   // Mudra modifier classes
-  for (const name of mudras) {
+  for (const [name, node] of mudras) {
+    const start = lines.length;
     const mudra = resolveMudra(name);
     lines.push(`.${mudra.className} {`);
     for (const [prop, value] of Object.entries(mudra.css)) {
       lines.push(`  ${prop}: ${value};`);
     }
     lines.push('}');
+    mapFrom(start, node);
     lines.push('');
   }
 
   // Gupta (hidden/revealed) utility classes
   if (mudras.has('Gupta') || mudras.has('gupta')) {
+    const start = lines.length;
     lines.push('.mudra-gupta[data-bodhi-hidden="true"] {');
     lines.push('  display: none;');
     lines.push('}');
+    mapFrom(start, mudras.get('Gupta') || mudras.get('gupta'));
+    lines.push('');
+  }
+
+  // Voices (Lipi): text size from the brand's voice scale
+  for (const { voice, node } of flags.voices.values()) {
+    const start = lines.length;
+    const key = voice.cssProperty.replace('--bodhi-lipi-', '');
+    const fallback = options.rupa?.lipi?.scale?.[key] ?? voice.defaultValue;
+    lines.push(`[data-bodhi-voice="${key}"] {`);
+    lines.push(`  font-size: var(${voice.cssProperty}, ${fallback});`);
+    lines.push('}');
+    mapFrom(start, node);
+    lines.push('');
+  }
+
+  // Conditional rendering: `hidden` must win over Mudra display values
+  if (flags.conditional) {
+    const start = lines.length;
+    lines.push(`${CONDITIONAL} {`);
+    lines.push('  display: none !important;');
+    lines.push('}');
+    mapFrom(start, flags.conditional);
     lines.push('');
   }
 
@@ -84,3 +133,144 @@ export function emitCss(spec) {
 
   return lines.join('\n');
 }
+
+// ── Layered stylesheet ────────────────────────────────────────
+
+const LAYERS = ['bodhi.base', 'bodhi.yantra', 'bodhi.mudra', 'bodhi.component'];
+
+/**
+ * Emit one stylesheet for many specs. Rules are grouped into cascade
+ * layers, declared up front in a fixed order, and each rule appears once
+ * however many specs need it:
+ *
+ *   bodhi.base       hidden states, focus indicators, reduced motion
+ *   bodhi.yantra     Yantra base styles and voice sizes
+ *   bodhi.mudra      Mudrā rules, matching `.mudra-*` and `data-bodhi-mudra`
+ *   bodhi.component  each `class:` hook with its node's Mudrās, scoped to
+ *                    the component it belongs to
+ *
+ * Unlayered author CSS beats every layer, and an author rule for a class
+ * hook wins over the generic Yantra and Mudrā rules regardless of
+ * specificity or load order.
+ *
+ * @param {object[]} specs - Composed spec trees
+ * @param {object} [options] - Same as emitCss()
+ */
+export function emitStylesheet(specs, options = {}) {
+  const yantras = new Map();
+  const mudras = new Map();
+  const flags = { conditional: null, voices: new Map() };
+  const hooks = new Map();
+  for (const spec of specs) {
+    collectUsed(spec, yantras, mudras, flags);
+    collectHooks(spec, null, hooks);
+  }
+
+  const lines = [];
+  const rule = (selector, declarations, node) => {
+    const start = lines.length;
+    lines.push(`  ${selector} {`);
+    for (const declaration of declarations) lines.push(`    ${declaration}`);
+    lines.push('  }');
+    options.map?.mapLines(start, lines.length, node);
+  };
+  const layer = (name, emit) => {
+    const start = lines.length;
+    lines.push(`@layer ${name} {`);
+    emit();
+    if (lines.length === start + 1) lines.pop();
+    else lines.push('}', '');
+  };
+
+  // Mudrās by class name, so differently spelled names share one rule
+  const byClass = new Map();
+  for (const [name, node] of mudras) {
+    const mudra = resolveMudra(name);
+    if (!byClass.has(mudra.className)) byClass.set(mudra.className, { mudra, node });
+  }
+  const mudraSelector = className =>
+    `.${className}, [data-bodhi-mudra~="${className.replace(/^mudra-/, '')}"]`;
+
+  lines.push('/* Bodhi Compiled Styles */');
+  lines.push(`@layer ${LAYERS.join(', ')};`);
+  lines.push('');
+
+  layer('bodhi.base', () => {
+    if (flags.conditional) {
+      rule(CONDITIONAL, ['display: none !important;'], flags.conditional);
+    }
+    if (byClass.has('mudra-gupta')) {
+      rule('.mudra-gupta[data-bodhi-hidden="true"], [data-bodhi-mudra~="gupta"][data-bodhi-hidden="true"]', ['display: none;'], byClass.get('mudra-gupta').node);
+    }
+    rule('.kriya:focus-visible, .pravesa:focus-visible, [role="tab"]:focus-visible', [
+      'outline: 2px solid currentColor;',
+      'outline-offset: 2px;',
+    ]);
+    // Important declarations in the first layer outrank every later
+    // layer, including the Cala transitions restated on class hooks
+    lines.push('  @media (prefers-reduced-motion: reduce) {');
+    lines.push(`    ${mudraSelector('mudra-cala')} {`);
+    lines.push('      transition-duration: 0ms !important;');
+    lines.push('    }');
+    lines.push('  }');
+  });
+
+  layer('bodhi.yantra', () => {
+    const seen = new Set();
+    for (const [name, node] of yantras) {
+      const yantra = resolveYantra(name);
+      if (seen.has(yantra.className)) continue;
+      seen.add(yantra.className);
+      const declarations = ['box-sizing: border-box;', ...cssDeclarations(yantra)];
+      if (yantra.className === 'garbha') declarations.push('overflow: hidden; /* Bodhi no-scroll constraint */');
+      rule(`.${yantra.className}`, declarations, node);
+    }
+    for (const { voice, node } of flags.voices.values()) {
+      const key = voice.cssProperty.replace('--bodhi-lipi-', '');
+      const fallback = options.rupa?.lipi?.scale?.[key] ?? voice.defaultValue;
+      rule(`[data-bodhi-voice="${key}"]`, [`font-size: var(${voice.cssProperty}, ${fallback});`], node);
+    }
+  });
+
+  layer('bodhi.mudra', () => {
+    for (const [className, { mudra, node }] of byClass) {
+      const declarations = cssDeclarations(mudra);
+      if (declarations.length) rule(mudraSelector(className), declarations, node);
+    }
+  });
+
+  layer('bodhi.component', () => {
+    for (const { selector, declarations, node } of hooks.values()) rule(selector, declarations, node);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Collect a rule for every `class:` hook on a node with Mudrās. The hook
+ * is scoped with `:where()` to the nearest enclosing component, so the
+ * same class name in two components yields two rules without raising
+ * specificity above the class itself. Identical rules are kept once.
+ */
+function collectHooks(node, scope, hooks) {
+  const own = node.component ? String(node.component) : null;
+  if (node.class && node.mudras?.length) {
+    const hook = `.${String(node.class).trim().split(/\s+/).join('.')}`;
+    let selector = hook;
+    if (own) selector = `${hook}:where([data-bodhi-component="${own}"])`;
+    else if (scope) selector = `:where([data-bodhi-component="${scope}"]) ${hook}`;
+    const declarations = node.mudras.flatMap(m => cssDeclarations(resolveMudra(m)));
+    const key = `${selector} { ${declarations.join(' ')} }`;
+    if (declarations.length && !hooks.has(key)) hooks.set(key, { selector, declarations, node });
+  }
+  const inner = own || scope;
+  if (node.children) node.children.forEach(c => collectHooks(c, inner, hooks));
+  if (node.views) node.views.forEach(v => collectHooks(v, inner, hooks));
+}
+
+/**
+ * The declarations of a Yantra's or Mudrā's `css` map.
+ */
+function cssDeclarations({ css = {} }) {
+  return Object.entries(css).map(([prop, value]) => `${prop}: ${value};`);
+}
@@ -0,0 +1,167 @@
+/**
+ * Bodhi Custom Element Emitter
+ *
+ * Wraps a spec's `component:` in a self-contained custom element, so a
+ * compiled component can drop into any page:
+ *
+ *   <bodhi-queue-view></bodhi-queue-view>
+ *
+ * The compiled HTML becomes the shadow root's template and the compiled
+ * CSS a constructable stylesheet adopted by every instance. Each bound
+ * signal is an instance property, and each `on:` handler is dispatched
+ * as a CustomEvent named after it (`removeFromQueue` → `remove-from-queue`)
+ * that bubbles out of the shadow root.
+ */
+
+import { emitHtml } from './html.js';
+import { emitStylesheet } from './css.js';
+import { collectBindings, isInteractive, emitMountBody, emitHelpers, mountImports } from './js.js';
+
+/**
+ * Emit an ES module defining the custom element for a spec.
+ *
+ * @param {object} spec - Spec tree
+ * @param {object} [options]
+ * @param {string} [options.css] - Stylesheet for the shadow root (default: the
+ *   spec's layered stylesheet, see emitStylesheet())
+ * @param {object} [options.rupa] - Brand Rūpa for the default stylesheet's token fallbacks
+ * @param {import('../source-map.js').SourceMapBuilder} [options.map] - Records which
+ *   spec node each generated statement came from
+ */
+export function emitElement(spec, options = {}) {
+  const collected = collectBindings(spec);
+  const interactive = isInteractive(collected);
+  const componentName = spec.component || 'App';
+  const tagName = elementName(spec);
+  const className = `${componentName}Element`;
+
+  const lines = [];
+  const mapFrom = (start, node) => options.map?.mapLines(start, lines.length, node);
+
+  // Per-instance signals, in declaration order (lists start empty)
+  const signals = new Map();
+  for (const { name, node } of collected.targets) signals.has(name) || signals.set(name, { initial: 'null', node });
+  for (const { each, node } of collected.lists) signals.set(each, { initial: '[]', node });
+
+  if (interactive) {
+    const imports = ['signal', 'mount', ...mountImports(collected)];
+    lines.push(`import { ${imports.join(', ')} } from '@bodhi/cetana';`);
+    lines.push('');
+    lines.push(...emitHelpers(collected.targets, collected.lists));
+  }
+
+  lines.push('const template = document.createElement(\'template\');');
+  lines.push(`template.innerHTML = ${literal(emitHtml(spec))};`);
+  lines.push('');
+  lines.push('const styles = new CSSStyleSheet();');
+  lines.push(`styles.replaceSync(${literal(`:host { display: block; }\n:host([hidden]) { display: none; }\n\n${options.css ?? emitStylesheet([spec], { rupa: options.rupa })}`)});`);
+  lines.push('');
+
+  if (interactive) {
+    const handlers = new Set(collected.events.map(e => e.handler));
+    lines.push('// Wire the shadow content to the instance\'s signals; `on:` handlers');
+    lines.push('// become CustomEvents dispatched from the host');
+    lines.push(`function connect(root, { ${[...signals.keys()].join(', ')} }, emit) {`);
+    for (const handler of handlers) {
+      lines.push(`  const ${handler} = event => emit('${eventName(handler)}', { sourceEvent: event });`);
+    }
+    lines.push('  return mount(root, (el) => {');
+    emitMountBody(lines, collected, mapFrom, {
+      handler: handler => handler,
+      rowHandler: handler => `event => emit('${eventName(handler)}', { item: itemOf.get(node), sourceEvent: event })`,
+    });
+    lines.push('  });');
+    lines.push('}');
+    lines.push('');
+  }
+
+  lines.push('/**');
+  lines.push(` * <${tagName}> — ${componentName} as a custom element.`);
+  lines.push(' */');
+  lines.push(`export class ${className} extends HTMLElement {`);
+  if (interactive) {
+    lines.push('  #signals = {');
+    for (const [name, { initial, node }] of signals) {
+      lines.push(`    ${name}: signal(${initial}),`);
+      mapFrom(lines.length - 1, node);
+    }
+    lines.push('  };');
+    lines.push('  #dispose = null;');
+    lines.push('');
+  }
+  lines.push('  constructor() {');
+  lines.push('    super();');
+  lines.push('    const shadow = this.attachShadow({ mode: \'open\' });');
+  lines.push('    shadow.adoptedStyleSheets = [styles];');
+  lines.push('    shadow.append(template.content.cloneNode(true));');
+  if (signals.size) {
+    lines.push('    // Properties set before the element was defined shadow the accessors');
+    lines.push(`    for (const name of [${[...signals.keys()].map(name => `'${name}'`).join(', ')}]) {`);
+    lines.push('      if (Object.hasOwn(this, name)) {');
+    lines.push('        const value = this[name];');
+    lines.push('        delete this[name];');
+    lines.push('        this[name] = value;');
+    lines.push('      }');
+    lines.push('    }');
+  }
+  lines.push('  }');
+
+  for (const name of signals.keys()) {
+    lines.push('');
+    lines.push(`  get ${name}() {`);
+    lines.push(`    return this.#signals.${name}.get();`);
+    lines.push('  }');
+    lines.push('');
+    lines.push(`  set ${name}(value) {`);
+    lines.push(`    this.#signals.${name}.set(value);`);
+    lines.push('  }');
+  }
+
+  if (interactive) {
+    lines.push('');
+    lines.push('  connectedCallback() {');
+    lines.push(`    this.#dispose ??= connect(this.shadowRoot.firstElementChild, this.#signals, (type, detail) => {`);
+    lines.push('      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));');
+    lines.push('    });');
+    lines.push('  }');
+    lines.push('');
+    lines.push('  disconnectedCallback() {');
+    lines.push('    this.#dispose?.();');
+    lines.push('    this.#dispose = null;');
+    lines.push('  }');
+  }
+  lines.push('}');
+  lines.push('');
+  lines.push(`if (!customElements.get('${tagName}')) customElements.define('${tagName}', ${className});`);
+
+  return lines.join('\n');
+}
+
+/**
+ * The custom element name for a spec: 'QueueView' → 'bodhi-queue-view'.
+ */
+export function elementName(spec) {
+  return `bodhi-${kebab(spec.component || 'App')}`;
+}
+
+/**
+ * The CustomEvent type for an `on:` handler: 'removeFromQueue' → 'remove-from-queue'.
+ */
+function eventName(handler) {
+  return kebab(handler);
+}
+
+function kebab(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * A JS template literal holding `text` verbatim.
+ */
+function literal(text) {
+  return `\`${text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\``;
+}
@@ -2,14 +2,30 @@
  * Bodhi HTML Emitter
  *
  * Yantra spec nodes → semantic HTML with data attributes and ARIA roles.
+ *
+ * emitHtml() leaves bound content empty for the runtime to fill;
+ * renderToString() fills it from initial state, for pages that read
+ * right before (or without) JavaScript and hydrate afterwards.
  */
 
-import { resolveYantra } from '@bodhi/tokens';
+import { resolveYantra, resolveVoice } from '@bodhi/tokens';
+import { originOf, keepOrigin } from '../source-map.js';
+import { collectBindings, statusOf } from './js.js';
+
+// Properties that render as boolean attributes when true
+const BOOLEAN_PROPS = { checked: 'checked', disabled: 'disabled', selected: 'selected', open: 'open', required: 'required', readOnly: 'readonly', multiple: 'multiple' };
 
 /**
  * Emit HTML string from a component spec node.
+ *
+ * @param {object} node - Spec node
+ * @param {number} [indent=0] - Nesting depth
+ * @param {object} [options]
+ * @param {boolean} [options.dev=false] - Tag elements with `data-bodhi-src="file:line"`
+ * @param {object} [options.state] - Initial signal values; bound content, attributes
+ *   and lists render with them (see renderToString())
  */
-export function emitHtml(node, indent = 0) {
+export function emitHtml(node, indent = 0, options = {}) {
   const pad = '  '.repeat(indent);
   const yantra = resolveYantra(node.yantra);
 
@@ -17,7 +33,16 @@ export function emitHtml(node, indent = 0) {
   const element = node.element || yantra.element;
 
   // Build attributes
-  const attrs = buildAttributes(node, yantra);
+  const read = name => readState(name, options);
+  const attrs = buildAttributes(node, yantra, options.state ? read : () => undefined);
+  if (options.dev && originOf(node)) {
+    const { file, line } = originOf(node);
+    attrs.push(`data-bodhi-src="${escapeHtml(`${file || '<spec>'}:${line}`)}"`);
+  }
+  if (options.rootAttrs) {
+    attrs.push(...options.rootAttrs);
+    options = { ...options, rootAttrs: undefined };
+  }
   const attrStr = attrs.length ? ' ' + attrs.join(' ') : '';
 
   // Self-closing elements
@@ -30,28 +55,45 @@ export function emitHtml(node, indent = 0) {
   const lines = [];
   lines.push(`${pad}<${element}${attrStr}>`);
 
-  // Content
+  // Content (a bound value, once known, replaces the static content)
+  const bound = node.bind ? read(node.bind) : undefined;
   if (node.content !== undefined) {
     if (node.bind) {
-      lines.push(`${pad}  <span data-bodhi-bind="${node.bind}">${escapeHtml(node.content)}</span>`);
+      lines.push(`${pad}  <span data-bodhi-bind="${node.bind}">${escapeHtml(bound ?? node.content)}</span>`);
     } else {
       lines.push(`${pad}  ${escapeHtml(node.content)}`);
     }
   } else if (node.bind && !node.children && !node.views) {
-    lines.push(`${pad}  <span data-bodhi-bind="${node.bind}"></span>`);
+    lines.push(`${pad}  <span data-bodhi-bind="${node.bind}">${escapeHtml(bound ?? '')}</span>`);
   }
 
   // Children
-  if (node.children) {
+  if (node.children && node.each !== undefined) {
+    // Repeat: the single child is the per-item template, cloned at runtime
+    const template = { ...options, state: undefined, item: undefined };
+    lines.push(`${pad}  <template>`);
+    for (const child of node.children) {
+      lines.push(emitHtml(child, indent + 2, options.state ? template : options));
+    }
+    lines.push(`${pad}  </template>`);
+    // Rendering: one row per initial item, which the runtime adopts
+    const items = read(node.each);
+    if (Array.isArray(items)) {
+      for (const item of items) {
+        lines.push(emitHtml(node.children[0], indent + 1, { ...options, item: { as: node.as || 'item', value: item } }));
+      }
+    }
+  } else if (node.children) {
     for (const child of node.children) {
-      lines.push(emitHtml(child, indent + 1));
+      lines.push(emitHtml(child, indent + 1, options));
     }
   }
 
   // Views (tab/conditional content regions)
   if (node.views) {
     for (const view of node.views) {
-      lines.push(emitHtml({ ...view, attributes: { ...view.attributes, 'data-bodhi-view': view.id } }, indent + 1));
+      const tagged = keepOrigin({ ...view, attributes: { ...view.attributes, 'data-bodhi-view': view.id } }, view);
+      lines.push(emitHtml(tagged, indent + 1, options));
     }
   }
 
@@ -59,7 +101,42 @@ export function emitHtml(node, indent = 0) {
   return lines.join('\n');
 }
 
-function buildAttributes(node, yantra) {
+/**
+ * Render a spec as HTML with its initial state filled in: bound text,
+ * `when:`/`unless:`/`status:` visibility, bound attributes and properties, and
+ * one row per item of each `each:` list. The root element carries the
+ * state in `data-bodhi-state`, which JS emitted with `hydrate: true`
+ * reads back to seed its signals without re-rendering.
+ *
+ * @param {object} spec - Spec tree
+ * @param {object} [state={}] - Initial signal values by name
+ * @param {object} [options] - Same as emitHtml()
+ */
+export function renderToString(spec, state = {}, options = {}) {
+  const { targets, lists } = collectBindings(spec);
+  const names = new Set([...targets.map(t => t.name), ...lists.map(l => l.each)]);
+  const used = Object.fromEntries(Object.entries(state).filter(([name]) => names.has(name)));
+  return emitHtml(spec, 0, {
+    ...options,
+    state,
+    rootAttrs: [`data-bodhi-state="${escapeHtml(JSON.stringify(used))}"`],
+  });
+}
+
+/**
+ * The value of a bound name while rendering: list item fields
+ * (`item.title`) from the current row, anything else from the state.
+ * Undefined (or null) means "not known": the markup keeps its default.
+ */
+function readState(name, { state, item }) {
+  if (!state) return undefined;
+  const [head, ...path] = String(name).split('.');
+  let value = item && head === item.as ? item.value : state[head];
+  for (const key of path) value = value?.[key];
+  return value;
+}
+
+function buildAttributes(node, yantra, read) {
   const attrs = [];
 
   // Class: combine yantra className, mudra classNames, and explicit class
@@ -78,6 +155,10 @@ function buildAttributes(node, yantra) {
     attrs.push(`data-bodhi-mudra="${mudraNames.join(' ')}"`);
   }
 
+  if (node.voice !== undefined) {
+    attrs.push(`data-bodhi-voice="${voiceKey(node.voice)}"`);
+  }
+
   // ARIA role from Yantra (unless element already implies it)
   if (yantra.role) {
     const implicitRoles = { nav: 'navigation', main: 'main', header: 'banner', footer: 'contentinfo', button: 'button' };
@@ -124,6 +205,47 @@ function buildAttributes(node, yantra) {
     attrs.push(`data-bodhi-bind="${node.bind}"`);
   }
 
+  // Attribute and property bindings (targets for the JS emitter), with
+  // their rendered values once known
+  for (const [attr, name] of Object.entries(node.bindAttrs || {})) {
+    attrs.push(`data-bodhi-attr-${attr}="${name}"`);
+    const value = read(name);
+    if (value == null || (value === false && !attr.startsWith('aria-'))) continue;
+    if (value === true && !attr.startsWith('aria-')) attrs.push(attr);
+    else attrs.push(`${attr}="${escapeHtml(value)}"`);
+  }
+  for (const [prop, name] of Object.entries(node.bindProps || {})) {
+    attrs.push(`data-bodhi-prop-${prop}="${name}"`);
+    const value = read(name);
+    if (prop === 'value' && value != null) attrs.push(`value="${escapeHtml(value)}"`);
+    else if (BOOLEAN_PROPS[prop] && value) attrs.push(BOOLEAN_PROPS[prop]);
+  }
+
+  // Conditional rendering: `when:` starts hidden (its signal starts empty),
+  // `unless:` starts visible; the JS emitter keeps `hidden` in sync
+  if (node.when !== undefined) {
+    const value = read(node.when);
+    attrs.push(`data-bodhi-when="${node.when}"`);
+    if (!value) attrs.push('hidden');
+  }
+  if (node.unless !== undefined) {
+    attrs.push(`data-bodhi-unless="${node.unless}"`);
+    if (read(node.unless)) attrs.push('hidden');
+  }
+  if (node.status !== undefined) {
+    const { name, status } = statusOf(node);
+    attrs.push(`data-bodhi-status="${node.status}"`);
+    if (read(name) !== status) attrs.push('hidden');
+  }
+
+  // Repeat source and item key
+  if (node.each !== undefined) {
+    attrs.push(`data-bodhi-each="${node.each}"`);
+    if (node.key !== undefined) {
+      attrs.push(`data-bodhi-key="${[].concat(node.key).join(' ')}"`);
+    }
+  }
+
   // Event handlers as data attributes
   if (node.on) {
     for (const [event, handler] of Object.entries(node.on)) {
@@ -141,3 +263,10 @@ function escapeHtml(str) {
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;');
 }
+
+/**
+ * Lookup key of a voice as written in a spec: 'Ghoṣaṇā' → 'ghosana'.
+ */
+function voiceKey(name) {
+  return resolveVoice(String(name)).cssProperty.replace('--bodhi-lipi-', '');
+}
@@ -3,83 +3,423 @@
  *
  * Generates Cetana integration code from bind/on properties in specs.
  * Only emits JS when the spec contains interactive bindings.
+ *
+ * Every reactive property (bind, when/unless, status, bindAttrs, bindProps)
+ * becomes a "target": a data-attribute selector plus a statement that
+ * applies a signal value to each matching element.
  */
 
+import { resolveYantra } from '@bodhi/tokens';
+import { TWO_WAY_PROPS } from '../schema.js';
+
+const NUMERIC_INPUT_TYPES = ['range', 'number'];
+
 /**
- * Collect all bindings and event handlers from a spec tree.
+ * Collect all reactive targets, two-way inputs and event handlers from
+ * a spec tree.
+ *
+ * Targets and events inside an `each:` template are collected onto
+ * that list block instead: item-scoped names (`item.title`) are applied
+ * to each cloned row, and template events are called with the row's
+ * item. Global signals read inside a template are also applied to each
+ * new row (field: null) so rows cloned after mount start in sync.
  */
-function collectBindings(node, bindings = [], events = [], path = 'root') {
-  if (node.bind) {
-    bindings.push({ bind: node.bind, path, component: node.component });
+export function collectBindings(node, acc = { targets: [], events: [], lists: [], inputs: [] }, path = 'root', block = null) {
+  let scope = block;
+  if (node.each !== undefined) {
+    scope = { each: node.each, key: node.key, as: node.as || 'item', targets: [], events: [], path, node };
+    acc.lists.push(scope);
+  }
+
+  for (const target of targetsOf(node)) {
+    const field = block && itemField(target.name, block.as);
+    if (block) block.targets.push({ ...target, field });
+    if (!field) acc.targets.push({ ...target, path, node });
   }
+
+  for (const input of twoWayInputs(node)) {
+    if (!(block && itemField(input.name, block.as))) acc.inputs.push({ ...input, path, node });
+  }
+
   if (node.on) {
     for (const [event, handler] of Object.entries(node.on)) {
-      events.push({ event, handler, path, component: node.component });
+      (block ? block.events : acc.events).push({ event, handler, path, component: node.component, node });
     }
   }
   if (node.children) {
-    node.children.forEach((c, i) => collectBindings(c, bindings, events, `${path}.children[${i}]`));
+    node.children.forEach((c, i) => collectBindings(c, acc, `${path}.children[${i}]`, scope));
   }
   if (node.views) {
-    node.views.forEach((v, i) => collectBindings(v, bindings, events, `${path}.views[${i}]`));
+    node.views.forEach((v, i) => collectBindings(v, acc, `${path}.views[${i}]`, block));
+  }
+  return acc;
+}
+
+/**
+ * The reactive targets declared on a single node.
+ */
+function targetsOf(node) {
+  const targets = [];
+  if (node.bind) {
+    targets.push({
+      label: `Bind: ${node.bind}`,
+      fn: camel('bind', node.bind),
+      name: node.bind,
+      selector: `[data-bodhi-bind="${node.bind}"]`,
+      apply: v => `target.textContent = ${v} ?? '';`,
+    });
+  }
+  if (node.when !== undefined) {
+    targets.push({
+      label: `When: ${node.when}`,
+      fn: camel('when', node.when),
+      name: node.when,
+      selector: `[data-bodhi-when="${node.when}"]`,
+      apply: v => `target.hidden = !${v};`,
+    });
+  }
+  if (node.unless !== undefined) {
+    targets.push({
+      label: `Unless: ${node.unless}`,
+      fn: camel('unless', node.unless),
+      name: node.unless,
+      selector: `[data-bodhi-unless="${node.unless}"]`,
+      apply: v => `target.hidden = !!${v};`,
+    });
+  }
+  if (node.status !== undefined) {
+    const { name, status } = statusOf(node);
+    targets.push({
+      label: `Status: ${node.status}`,
+      fn: camel('status', node.status),
+      name,
+      selector: `[data-bodhi-status="${node.status}"]`,
+      apply: v => `target.hidden = ${v} !== '${status}';`,
+    });
+  }
+  for (const [attr, name] of Object.entries(node.bindAttrs || {})) {
+    targets.push({
+      label: `Attribute: ${attr} ← ${name}`,
+      fn: camel('attr', attr, name),
+      name,
+      selector: `[data-bodhi-attr-${attr}="${name}"]`,
+      apply: v => `setAttr(target, '${attr}', ${v});`,
+      attr: true,
+    });
+  }
+  for (const [prop, name] of Object.entries(node.bindProps || {})) {
+    targets.push({
+      label: `Property: ${prop} ← ${name}`,
+      fn: camel('prop', prop, name),
+      name,
+      selector: `[data-bodhi-prop-${prop}="${name}"]`,
+      apply: v => (prop === 'value' ? `target.value = ${v} ?? '';` : `target.${prop} = ${v};`),
+    });
+  }
+  return targets;
+}
+
+/**
+ * Praveśa inputs with a bound `value` or `checked` property write the
+ * user's edits back to the signal.
+ */
+function twoWayInputs(node) {
+  if (!node.bindProps || !isPravesa(node)) return [];
+  const numeric = NUMERIC_INPUT_TYPES.includes(node.attributes?.type);
+  return Object.entries(node.bindProps)
+    .filter(([prop]) => TWO_WAY_PROPS[prop])
+    .map(([prop, name]) => ({
+      name,
+      prop,
+      event: TWO_WAY_PROPS[prop],
+      numeric: prop === 'value' && numeric,
+      selector: `[data-bodhi-prop-${prop}="${name}"]`,
+    }));
+}
+
+/**
+ * The signal a `status:` node follows, and the status it shows in:
+ * `albums.loading` → { name: 'albumsStatus', status: 'loading' }.
+ */
+export function statusOf(node) {
+  const [source, status] = node.status.split('.');
+  return { name: `${source}Status`, status };
+}
+
+/**
+ * Build an identifier from a prefix and names: ('attr', 'aria-pressed', 'isPlaying')
+ * → 'attrAriaPressedIsPlaying'.
+ */
+function camel(prefix, ...parts) {
+  const words = parts.join(' ').split(/[^A-Za-z0-9$]+/).filter(Boolean);
+  return prefix + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function isPravesa(node) {
+  try {
+    return resolveYantra(node.yantra).className === 'pravesa';
+  } catch {
+    return false;
   }
-  return { bindings, events };
+}
+
+/**
+ * For a name inside an `each:` template, return the item field it reads
+ * ('item.album.title' → 'album.title'), or null for a global signal.
+ */
+function itemField(name, as) {
+  return name.startsWith(`${as}.`) ? name.slice(as.length + 1) : null;
+}
+
+/**
+ * Property access on a list item: ('item', 'album.title') → 'item?.album?.title'.
+ */
+function access(name, field) {
+  return [name, ...field.split('.')].join('?.');
+}
+
+/**
+ * Key function source for an `each:` block. Without `key:` items are
+ * keyed by identity; several key fields are combined into one string.
+ */
+function keyFn(key) {
+  if (key === undefined) return 'item => item';
+  if (Array.isArray(key)) {
+    return `item => JSON.stringify([${key.map(k => access('item', k)).join(', ')}])`;
+  }
+  return `item => ${access('item', key)}`;
 }
 
 /**
  * Emit JS module code for Cetana integration.
  * Returns empty string if no bindings or events exist.
+ *
+ * @param {object} spec - Spec tree
+ * @param {object} [options]
+ * @param {import('../source-map.js').SourceMapBuilder} [options.map] - Records which
+ *   spec node each generated statement came from
+ * @param {boolean} [options.hydrate=false] - Attach to HTML from renderToString():
+ *   seed the signals from its `data-bodhi-state` and adopt its list rows,
+ *   leaving the rendered DOM as it is
  */
-export function emitJs(spec) {
-  const { bindings, events } = collectBindings(spec);
+export function emitJs(spec, options = {}) {
+  const collected = collectBindings(spec);
+  const { targets, lists } = collected;
 
-  if (bindings.length === 0 && events.length === 0) {
+  if (!isInteractive(collected)) {
     return '';
   }
 
   const lines = [];
-  lines.push("import { signal, computed, mount } from '@bodhi/cetana';");
+  const mapFrom = (start, node) => options.map?.mapLines(start, lines.length, node);
+  const imports = ['signal', 'computed', 'mount', ...mountImports(collected)];
+  lines.push(`import { ${imports.join(', ')} } from '@bodhi/cetana';`);
   lines.push('');
 
-  // Generate signal declarations for each unique binding
-  const uniqueBinds = [...new Set(bindings.map(b => b.bind))];
-  for (const name of uniqueBinds) {
-    lines.push(`export const ${name} = signal(null);`);
+  // Generate signal declarations for each unique binding (lists start empty)
+  const signals = new Map();
+  for (const { name, node } of targets) signals.has(name) || signals.set(name, { initial: 'null', node });
+  for (const { each, node } of lists) signals.set(each, { initial: '[]', node });
+  for (const [name, { initial, node }] of signals) {
+    lines.push(`export const ${name} = signal(${initial});`);
+    mapFrom(lines.length - 1, node);
   }
 
-  if (uniqueBinds.length) lines.push('');
+  if (signals.size) lines.push('');
+
+  lines.push(...emitHelpers(targets, lists));
 
   // Generate mount function
   const componentName = spec.component || 'App';
   lines.push(`export function init${componentName}(root) {`);
   lines.push('  return mount(root, (el) => {');
-  lines.push('    const unsubs = [];');
-  lines.push('');
+  if (options.hydrate) {
+    lines.push('    // Hydrate: the server rendered this state; seed the signals without re-rendering');
+    lines.push(`    const signals = { ${[...signals.keys()].join(', ')} };`);
+    lines.push("    const state = JSON.parse(el.getAttribute('data-bodhi-state') || '{}');");
+    lines.push('    for (const [name, value] of Object.entries(state)) {');
+    lines.push('      if (Object.hasOwn(signals, name)) signals[name].set(value);');
+    lines.push('    }');
+    lines.push('');
+  }
+  emitMountBody(lines, collected, mapFrom, {
+    handler: handler => handler,
+    rowHandler: handler => `event => ${handler}(itemOf.get(node), event)`,
+    hydrate: Boolean(options.hydrate),
+  });
+  lines.push('  });');
+  lines.push('}');
 
-  // Bind subscriptions
-  for (const { bind } of bindings) {
-    lines.push(`    // Bind: ${bind}`);
-    lines.push(`    unsubs.push(${bind}.subscribe(value => {`);
-    lines.push(`      const target = el.querySelector('[data-bodhi-bind="${bind}"]');`);
-    lines.push('      if (target) target.textContent = value ?? \'\';');
-    lines.push('    }));');
+  return lines.join('\n');
+}
+
+/**
+ * Whether a spec has anything for the runtime to wire up.
+ */
+export function isInteractive({ targets, events, lists }) {
+  return targets.length > 0 || events.length > 0 || lists.length > 0;
+}
+
+/**
+ * The @bodhi/cetana imports emitMountBody() output needs, besides mount.
+ */
+export function mountImports({ events, lists, inputs }) {
+  const imports = [];
+  if (events.length || inputs.length) imports.push('onCleanup');
+  if (lists.length) imports.push('list');
+  return imports;
+}
+
+/**
+ * Emit the body of a mount() setup callback: apply and subscribe every
+ * reactive target, and wire two-way inputs, lists and event listeners.
+ * Subscriptions and lists belong to the mount() and end on unmount;
+ * listeners are removed with onCleanup(). `el` is the root element, and
+ * every signal is in scope under its own name.
+ *
+ * @param {string[]} lines - Output lines to append to
+ * @param {object} collected - Result of collectBindings()
+ * @param {(start: number, node: object) => void} mapFrom - Maps lines from `start` to a node
+ * @param {object} wiring - Listeners for `on:` handlers: `handler(name)` names a
+ *   function in scope, `rowHandler(name)` is a listener expression for list
+ *   rows, where `node` is the row and `itemOf.get(node)` its item. With
+ *   `hydrate`, current values are not applied (the DOM already shows them)
+ *   and list rows are adopted rather than rendered.
+ */
+export function emitMountBody(lines, { targets, events, lists, inputs }, mapFrom, wiring) {
+  // Reactive targets: apply the current value now (unless still unset, so the
+  // compiled HTML's static state stands) and on every change
+  const seenTargets = new Set();
+  for (const { label, fn, name, selector, apply, node } of targets) {
+    if (seenTargets.has(selector)) continue;
+    seenTargets.add(selector);
+    const start = lines.length;
+    lines.push(`    // ${label}`);
+    lines.push(`    const ${fn} = value => {`);
+    lines.push(`      for (const target of queryAll(el, '${selector}')) ${apply('value')}`);
+    lines.push('    };');
+    if (!wiring.hydrate) lines.push(`    if (${name}.get() != null) ${fn}(${name}.get());`);
+    lines.push(`    ${name}.subscribe(${fn});`);
+    mapFrom(start, node);
     lines.push('');
   }
 
-  // Event handlers
-  for (const { event, handler } of events) {
+  // Two-way inputs: user edits write back to the signal
+  for (const { name, prop, event, numeric, selector, node } of inputs) {
+    const start = lines.length;
+    const read = numeric ? 'target.valueAsNumber' : `target.${prop}`;
+    lines.push(`    // Two-way: ${prop} → ${name}`);
+    lines.push(`    for (const target of queryAll(el, '${selector}')) {`);
+    lines.push(`      const write = () => ${name}.set(${read});`);
+    lines.push(`      target.addEventListener('${event}', write);`);
+    lines.push(`      onCleanup(() => target.removeEventListener('${event}', write));`);
+    lines.push('    }');
+    mapFrom(start, node);
+    lines.push('');
+  }
+
+  // Repeated lists: clone the <template> row per item, keyed diffing via list()
+  for (const block of lists) {
+    const start = lines.length;
+    lines.push(...emitEach(block, wiring));
+    mapFrom(start, block.node);
+  }
+
+  // Event handlers (one listener per matching element, once per event/handler pair)
+  const seenEvents = new Set();
+  for (const { event, handler, node } of events) {
+    if (seenEvents.has(`${event}:${handler}`)) continue;
+    seenEvents.add(`${event}:${handler}`);
+    const start = lines.length;
     lines.push(`    // Event: ${event} → ${handler}`);
-    lines.push(`    const ${handler}El = el.querySelector('[data-bodhi-on-${event}="${handler}"]');`);
-    lines.push(`    if (${handler}El) {`);
-    lines.push(`      ${handler}El.addEventListener('${event}', ${handler});`);
-    lines.push(`      unsubs.push(() => ${handler}El.removeEventListener('${event}', ${handler}));`);
+    lines.push(`    for (const target of el.querySelectorAll('[data-bodhi-on-${event}="${handler}"]')) {`);
+    const listener = wiring.handler(handler);
+    lines.push(`      target.addEventListener('${event}', ${listener});`);
+    lines.push(`      onCleanup(() => target.removeEventListener('${event}', ${listener}));`);
     lines.push('    }');
+    mapFrom(start, node);
     lines.push('');
   }
 
-  lines.push('    return () => unsubs.forEach(fn => fn());');
-  lines.push('  });');
-  lines.push('}');
+  // Nothing to return: mount() disposes all of the above on unmount
+  while (lines.at(-1) === '') lines.pop();
+}
 
-  return lines.join('\n');
+/**
+ * Module-level helpers, emitted only when the generated code uses them.
+ */
+export function emitHelpers(targets, lists) {
+  const lines = [];
+  if (targets.length || lists.length) {
+    lines.push('// Match the node itself as well as its descendants');
+    lines.push('function queryAll(node, selector) {');
+    lines.push('  const found = [...node.querySelectorAll(selector)];');
+    lines.push('  return node.matches(selector) ? [node, ...found] : found;');
+    lines.push('}');
+    lines.push('');
+  }
+  if ([...targets, ...lists.flatMap(l => l.targets)].some(t => t.attr)) {
+    lines.push('// ARIA states keep explicit "false"; other attributes are removed when falsy');
+    lines.push('function setAttr(node, name, value) {');
+    lines.push("  if (name.startsWith('aria-') && typeof value === 'boolean') node.setAttribute(name, String(value));");
+    lines.push('  else if (value === false || value == null) node.removeAttribute(name);');
+    lines.push("  else node.setAttribute(name, value === true ? '' : String(value));");
+    lines.push('}');
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * Emit the mount-time wiring for one `each:` block.
+ */
+function emitEach({ each, key, targets, events }, { rowHandler, hydrate }) {
+  const lines = [];
+  const keyNote = key === undefined ? 'by identity' : `by ${[].concat(key).join(', ')}`;
+  lines.push(`    // Each: ${each} (keyed ${keyNote})`);
+  lines.push(`    for (const container of el.querySelectorAll('[data-bodhi-each="${each}"]')) {`);
+  lines.push("      const template = container.querySelector(':scope > template');");
+  lines.push('      const itemOf = new WeakMap();');
+  lines.push('      const fill = (node, item) => {');
+  lines.push('        itemOf.set(node, item);');
+  for (const { name, field, selector, apply } of targets) {
+    const value = field ? access('item', field) : `${name}.get()`;
+    lines.push(`        for (const target of queryAll(node, '${selector}')) ${apply(value)}`);
+  }
+  lines.push('      };');
+  // Row listeners: inline in render(), or shared with adopt() when hydrating
+  const listeners = [];
+  const seen = new Set();
+  for (const { event, handler } of events) {
+    if (seen.has(`${event}:${handler}`)) continue;
+    seen.add(`${event}:${handler}`);
+    listeners.push(`for (const target of queryAll(node, '[data-bodhi-on-${event}="${handler}"]')) {`);
+    listeners.push(`  target.addEventListener('${event}', ${rowHandler(handler)});`);
+    listeners.push('}');
+  }
+  if (hydrate) {
+    lines.push('      const listen = node => {');
+    for (const line of listeners) lines.push(`        ${line}`);
+    lines.push('      };');
+  }
+  lines.push(`      list(container, ${each}, {`);
+  lines.push(`        key: ${keyFn(key)},`);
+  lines.push('        render: item => {');
+  lines.push('          const node = template.content.firstElementChild.cloneNode(true);');
+  if (hydrate) lines.push('          listen(node);');
+  else for (const line of listeners) lines.push(`          ${line}`);
+  lines.push('          fill(node, item);');
+  lines.push('          return node;');
+  lines.push('        },');
+  lines.push('        update: fill,');
+  if (hydrate) {
+    lines.push('        adopt: (node, item) => {');
+    lines.push('          itemOf.set(node, item);');
+    lines.push('          listen(node);');
+    lines.push('        },');
+  }
+  lines.push('      });');
+  lines.push('    }');
+  lines.push('');
+  return lines;
 }
@@ -0,0 +1,363 @@
+/**
+ * Bodhi React Emitter
+ *
+ * Emits a spec as a React function component in JSX, for teams that
+ * consume components through React, and so that eslint-plugin-bodhi
+ * can audit compiled output with the same nine markers it runs on
+ * hand-written JSX:
+ *
+ *   Yantra     → element, with its class, role and default attributes
+ *   Mudras     → className (`mudra-stupa`)
+ *   bind:      → props rendered as text, attributes and properties
+ *   when:      → conditional rendering (and status:, on a `<name>Status` prop)
+ *   each:      → `items.map(item => …)` with `key:` as the React key
+ *   on:        → callback props (`on: { click: play }` → `onClick={play}`)
+ *
+ * The component holds no state: every signal is a prop, and Praveśa
+ * inputs with a bound `value`/`checked` report edits through an
+ * `on<Name>Change` callback prop. Styles come from the spec's CSS
+ * output, which targets the same classes.
+ */
+
+import { resolveYantra, resolveMudra, resolveVoice } from '@bodhi/tokens';
+import { keepOrigin } from '../source-map.js';
+import { collectBindings, statusOf } from './js.js';
+
+// HTML attribute names React spells differently
+const JSX_ATTRIBUTES = {
+  for: 'htmlFor',
+  tabindex: 'tabIndex',
+  readonly: 'readOnly',
+  maxlength: 'maxLength',
+  minlength: 'minLength',
+  autocomplete: 'autoComplete',
+  autofocus: 'autoFocus',
+  contenteditable: 'contentEditable',
+  spellcheck: 'spellCheck',
+  colspan: 'colSpan',
+  rowspan: 'rowSpan',
+  enctype: 'encType',
+  novalidate: 'noValidate',
+  inputmode: 'inputMode',
+  enterkeyhint: 'enterKeyHint',
+  crossorigin: 'crossOrigin',
+  srcset: 'srcSet',
+  datetime: 'dateTime',
+  accesskey: 'accessKey',
+  formaction: 'formAction',
+  referrerpolicy: 'referrerPolicy',
+  playsinline: 'playsInline',
+};
+
+// Static `checked`/`value` is an initial state the user can change; in
+// React that is the uncontrolled default, not the controlled prop
+const FORM_DEFAULTS = { checked: 'defaultChecked', value: 'defaultValue' };
+const FORM_ELEMENTS = ['input', 'textarea', 'select'];
+
+// DOM event names → React handler names, where the words run together
+const EVENT_NAMES = {
+  dblclick: 'DoubleClick',
+  contextmenu: 'ContextMenu',
+  beforeinput: 'BeforeInput',
+  timeupdate: 'TimeUpdate',
+  volumechange: 'VolumeChange',
+  loadedmetadata: 'LoadedMetadata',
+  canplay: 'CanPlay',
+};
+const EVENT_PREFIXES = ['mouse', 'pointer', 'key', 'touch', 'drag', 'animation', 'transition', 'composition', 'focus'];
+
+// React reports both `input` and `change` edits of a form control as onChange
+const TWO_WAY_EVENTS = { input: 'onChange', change: 'onChange' };
+
+const VOID_ELEMENTS = ['input', 'br', 'hr', 'img'];
+
+/**
+ * Emit a JSX module exporting the spec as a React function component.
+ *
+ * @param {object} spec - Spec tree
+ * @param {object} [options]
+ * @param {import('../source-map.js').SourceMapBuilder} [options.map] - Records which
+ *   spec node each generated line came from
+ */
+export function emitReact(spec, options = {}) {
+  const collected = collectBindings(spec);
+  const componentName = spec.component || 'App';
+
+  // Props: signals in declaration order, then change callbacks and handlers
+  const props = new Set();
+  for (const { name } of collected.targets) props.add(rootName(name));
+  for (const { each } of collected.lists) props.add(rootName(each));
+  for (const { name } of collected.inputs) props.add(changeCallback(name));
+  for (const { handler } of [...collected.events, ...collected.lists.flatMap(l => l.events)]) props.add(handler);
+
+  const lines = [];
+  lines.push('/**');
+  lines.push(` * ${componentName} — compiled from a Bodhi spec.`);
+  lines.push(' */');
+  lines.push(`export function ${componentName}(${props.size ? `{ ${[...props].join(', ')} }` : ''}) {`);
+
+  // JSX lines carry the node they came from, for the source map
+  const root = emitNode(spec, 2, { item: null, inputs: collected.inputs });
+  const body = root.condition
+    ? [line(`  return ${root.condition} (`, spec), ...root.lines, line(`  )${root.otherwise};`, spec)]
+    : [line('  return (', spec), ...root.lines, line('  );', spec)];
+  for (const { text, node } of body) {
+    lines.push(text);
+    options.map?.mapLines(lines.length - 1, lines.length, node);
+  }
+
+  lines.push('}');
+  lines.push('');
+  lines.push(`export default ${componentName};`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Emit one node as JSX lines ({ text, node }), indented to `depth`.
+ * A `when:`/`unless:`/`status:` node also returns the condition its caller
+ * renders it under. `rowKey` marks the root of an `each:` row.
+ */
+function emitNode(node, depth, scope, rowKey) {
+  const pad = '  '.repeat(depth);
+  const inner = '  '.repeat(depth + 1);
+  const yantra = resolveYantra(node.yantra);
+  const element = node.element || yantra.element;
+  const attrs = buildProps(node, yantra, element, scope);
+  if (rowKey) attrs.unshift(`key={${rowKey}}`);
+  const children = [];
+
+  // Content: a bound value, once known, replaces the static content
+  if (node.content !== undefined && node.bind) {
+    children.push(line(`${inner}{${expression(node.bind, scope)} ?? ${quote(node.content)}}`, node));
+  } else if (node.content !== undefined) {
+    children.push(line(`${inner}${text(node.content)}`, node));
+  } else if (node.bind && !node.children && !node.views) {
+    children.push(line(`${inner}{${expression(node.bind, scope)}}`, node));
+  }
+
+  if (node.children && node.each !== undefined) {
+    // Repeat: the first child renders once per item
+    const item = { as: node.as || 'item', key: node.key };
+    const template = node.children[0];
+    const row = emitNode(template, depth + 2, { ...scope, item }, keyExpression(item));
+    children.push(line(`${inner}{(${expression(node.each, scope)} ?? []).map(${item.as} => ${row.condition ? `${row.condition} (` : '('}`, node));
+    children.push(...row.lines);
+    children.push(line(`${inner})${row.otherwise})}`, node));
+  } else if (node.children) {
+    for (const child of node.children) children.push(...childLines(child, depth + 1, scope));
+  }
+
+  // Views (tab/conditional content regions)
+  if (node.views) {
+    for (const view of node.views) {
+      const tagged = keepOrigin({ ...view, attributes: { ...view.attributes, 'data-bodhi-view': view.id } }, view);
+      children.push(...childLines(tagged, depth + 1, scope));
+    }
+  }
+
+  const lines = [];
+  const open = `<${element}${attrs.length ? ' ' + attrs.join(' ') : ''}`;
+  if (!children.length || VOID_ELEMENTS.includes(element)) {
+    lines.push(line(`${pad}${open} />`, node));
+  } else {
+    lines.push(line(`${pad}${open}>`, node), ...children, line(`${pad}</${element}>`, node));
+  }
+
+  // Conditional rendering
+  let condition = null;
+  let otherwise = '';
+  if (node.when !== undefined && node.unless !== undefined) {
+    condition = `${expression(node.when, scope)} && !${expression(node.unless, scope)} ?`;
+    otherwise = ' : null';
+  } else if (node.when !== undefined) {
+    condition = `${expression(node.when, scope)} ?`;
+    otherwise = ' : null';
+  } else if (node.unless !== undefined) {
+    condition = `${expression(node.unless, scope)} ? null :`;
+  } else if (node.status !== undefined) {
+    const { name, status } = statusOf(node);
+    condition = `${name} === '${status}' ?`;
+    otherwise = ' : null';
+  }
+  return { lines, condition, otherwise };
+}
+
+/**
+ * A child node's lines inside its parent's JSX, wrapped in its condition.
+ */
+function childLines(child, depth, scope) {
+  const conditional = child.when !== undefined || child.unless !== undefined || child.status !== undefined;
+  const { lines, condition, otherwise } = emitNode(child, conditional ? depth + 1 : depth, scope);
+  if (!condition) return lines;
+  const pad = '  '.repeat(depth);
+  return [line(`${pad}{${condition} (`, child), ...lines, line(`${pad})${otherwise}}`, child)];
+}
+
+function line(text, node) {
+  return { text, node };
+}
+
+function buildProps(node, yantra, element, scope) {
+  const attrs = [];
+
+  // Class: yantra className, mudra classNames, and explicit class
+  const classes = [yantra.className];
+  for (const mudra of node.mudras || []) classes.push(resolveMudra(mudra).className);
+  if (node.class) classes.push(node.class);
+  attrs.push(`className=${attribute(classes.join(' '))}`);
+
+  attrs.push(`data-bodhi-yantra="${yantra.className}"`);
+  if (node.voice !== undefined) {
+    attrs.push(`data-bodhi-voice="${resolveVoice(String(node.voice)).cssProperty.replace('--bodhi-lipi-', '')}"`);
+  }
+
+  // ARIA role from Yantra (unless element already implies it)
+  const explicit = node.attributes || {};
+  if (yantra.role && explicit.role === undefined) {
+    const implicitRoles = { nav: 'navigation', main: 'main', header: 'banner', footer: 'contentinfo', button: 'button' };
+    if (implicitRoles[element] !== yantra.role) attrs.push(`role="${yantra.role}"`);
+  }
+
+  // Yantra default attributes, then explicit ones (which override them)
+  const merged = { ...yantra.defaultAttributes, ...explicit };
+  for (const [k, v] of Object.entries(merged)) {
+    if (k === 'class') continue; // class handled above
+    if (k === 'role' && explicit.role === undefined) continue; // handled above
+    if (node.bindProps?.[k] !== undefined) continue; // bound below
+    attrs.push(jsxAttribute(k, v, element));
+  }
+
+  if (node.component) attrs.push(`data-bodhi-component="${node.component}"`);
+  if (node.id) attrs.push(`id=${attribute(node.id)}`);
+
+  // Bound attributes and properties
+  for (const [attr, name] of Object.entries(node.bindAttrs || {})) {
+    attrs.push(`${attributeName(attr)}={${expression(name, scope)}}`);
+  }
+  for (const [prop, name] of Object.entries(node.bindProps || {})) {
+    const value = expression(name, scope);
+    attrs.push(prop === 'value' ? `value={${value} ?? ''}` : `${prop}={${value}}`);
+  }
+
+  // Handlers: two-way inputs report edits, `on:` calls its callback prop
+  const handlers = new Map();
+  const handle = (event, call) => handlers.set(event, [...(handlers.get(event) || []), call]);
+  for (const input of scope.inputs.filter(i => i.node === node)) {
+    const read = input.prop === 'checked' ? 'event.target.checked' : input.numeric ? 'event.target.valueAsNumber' : 'event.target.value';
+    handle(TWO_WAY_EVENTS[input.event], { fn: changeCallback(input.name), args: [read] });
+  }
+  for (const [event, handler] of Object.entries(node.on || {})) {
+    handle(handlerName(event), scope.item ? { fn: handler, args: [scope.item.as, 'event'] } : { fn: handler });
+  }
+  for (const [event, calls] of handlers) {
+    if (calls.length === 1 && !calls[0].args) {
+      attrs.push(`${event}={${calls[0].fn}}`);
+      continue;
+    }
+    const statements = calls.map(({ fn, args = ['event'] }) => `${fn}?.(${args.join(', ')})`);
+    attrs.push(statements.length === 1
+      ? `${event}={event => ${statements[0]}}`
+      : `${event}={event => { ${statements.join('; ')}; }}`);
+  }
+
+  return attrs;
+}
+
+/**
+ * A spec attribute as a JSX prop.
+ */
+function jsxAttribute(name, value, element) {
+  if (name === 'style' && typeof value === 'string') return `style={${styleObject(value)}}`;
+  const jsx = FORM_ELEMENTS.includes(element) && FORM_DEFAULTS[name] ? FORM_DEFAULTS[name] : attributeName(name);
+  if (value === true) return jsx;
+  if (typeof value === 'string') return `${jsx}=${attribute(value)}`;
+  return `${jsx}={${JSON.stringify(value)}}`;
+}
+
+function attributeName(name) {
+  return JSX_ATTRIBUTES[name] || name;
+}
+
+/**
+ * A string attribute value: quoted when JSX reads it verbatim, an
+ * expression otherwise.
+ */
+function attribute(value) {
+  const str = String(value);
+  return /["&\n]/.test(str) ? `{${quote(str)}}` : `"${str}"`;
+}
+
+/**
+ * Static text as a JSX child, kept as plain JSX text where that reads
+ * back unchanged.
+ */
+function text(content) {
+  const str = String(content);
+  return /[{}<>&\n]|^\s|\s$/.test(str) || str === '' ? `{${quote(str)}}` : str;
+}
+
+/**
+ * An inline style string as a React style object: 'max-width: 60ch'
+ * → `{ maxWidth: '60ch' }`. Custom properties keep their names.
+ */
+function styleObject(css) {
+  const entries = css.split(';')
+    .map(decl => decl.trim())
+    .filter(Boolean)
+    .map(decl => {
+      const colon = decl.indexOf(':');
+      const prop = decl.slice(0, colon).trim();
+      const value = decl.slice(colon + 1).trim();
+      const key = prop.startsWith('--') ? `'${prop}'` : prop.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      return `${key}: ${quote(value)}`;
+    });
+  return `{ ${entries.join(', ')} }`;
+}
+
+/**
+ * The JS expression for a bound name: item fields from the current
+ * row ('item.album.title' → 'item.album?.title'), props otherwise.
+ */
+function expression(name, scope) {
+  const [head, ...path] = String(name).split('.');
+  if (!path.length) return head;
+  return `${head}${scope.item?.as === head ? '.' : '?.'}${path.join('?.')}`;
+}
+
+/**
+ * The React key for a row: its `key:` field(s), else the item itself.
+ */
+function keyExpression({ as, key }) {
+  if (key === undefined) return as;
+  if (Array.isArray(key)) return `JSON.stringify([${key.map(k => `${as}.${k}`).join(', ')}])`;
+  return `${as}.${key}`;
+}
+
+/**
+ * A single-quoted JS string literal.
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+function rootName(name) {
+  return String(name).split('.')[0];
+}
+
+/**
+ * The callback prop a two-way input reports edits through: 'volume' → 'onVolumeChange'.
+ */
+function changeCallback(name) {
+  const root = rootName(name);
+  return `on${root[0].toUpperCase()}${root.slice(1)}Change`;
+}
+
+/**
+ * React's handler prop for a DOM event: 'click' → 'onClick', 'keydown' → 'onKeyDown'.
+ */
+function handlerName(event) {
+  if (EVENT_NAMES[event]) return `on${EVENT_NAMES[event]}`;
+  const prefix = EVENT_PREFIXES.find(p => event.startsWith(p) && event.length > p.length);
+  const words = prefix ? [prefix, event.slice(prefix.length)] : [event];
+  return `on${words.map(w => w[0].toUpperCase() + w.slice(1)).join('')}`;
+}
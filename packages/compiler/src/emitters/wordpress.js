@@ -0,0 +1,369 @@
+/**
+ * Bodhi WordPress Emitter
+ *
+ * Compiled specs + brand Rūpa → a WordPress block theme:
+ *
+ *   style.css           theme header, Rūpa tokens and the layered stylesheet
+ *   theme.json          palette, font families, voice sizes and spacing from Rūpa
+ *   functions.php       loads style.css on the front end and in the editor
+ *   parts/header.html   from the first Śiras
+ *   parts/footer.html   from the first Pāda
+ *   templates/*.html    from entries with a Garbha
+ *   patterns/*.php      from every other entry
+ *
+ * Static structure becomes native blocks (groups, headings, paragraphs)
+ * that stay editable in the site editor. Anything with bindings, events
+ * or conditions is kept as compiled HTML in a Custom HTML block.
+ */
+
+import { resolveYantra, resolveMudra, resolveVoice, voiceTokens, spatialTokens } from '@bodhi/tokens';
+import { emitHtml } from './html.js';
+import { emitStylesheet } from './css.js';
+
+const THEME_JSON_SCHEMA = 'https://schemas.wp.org/trunk/theme.json';
+
+// Elements a core/group block can render as
+const GROUP_TAGS = ['div', 'header', 'main', 'section', 'article', 'aside', 'footer'];
+
+// Keys that make a node dynamic: it needs the runtime, not a static block
+const DYNAMIC_KEYS = ['bind', 'bindAttrs', 'bindProps', 'on', 'when', 'unless', 'status', 'each', 'views', 'attributes', 'id'];
+
+/**
+ * Emit the files of a block theme.
+ *
+ * @param {{ name: string, spec: object }[]} entries - Composed entry specs
+ * @param {object} [options]
+ * @param {object} [options.rupa] - Parsed brand Rūpa
+ * @param {{ name?: string, slug?: string, version?: string, description?: string }} [options.theme]
+ *   Theme metadata; the name defaults to the Rūpa name
+ * @param {boolean} [options.dev=false] - Tag compiled HTML with `data-bodhi-src`
+ * @returns {Record<string, string>} File contents by path, relative to the theme directory
+ */
+export function emitWordPressTheme(entries, options = {}) {
+  const rupa = options.rupa || {};
+  const name = options.theme?.name || rupa.name || 'Bodhi';
+  const slug = options.theme?.slug || slugify(name);
+  const theme = { ...options.theme, name, slug };
+  const ctx = { dev: Boolean(options.dev), parts: {} };
+
+  const files = {};
+  const templates = [];
+  let index = null;
+
+  for (const entry of entries) {
+    const markup = blocks(entry.spec, ctx);
+    if (!contains(entry.spec, 'garbha')) {
+      files[`patterns/${entry.name}.php`] = pattern(entry.name, theme, markup);
+      continue;
+    }
+    if (!index) {
+      index = entry.name;
+      files['templates/index.html'] = `${markup}\n`;
+    } else {
+      templates.push(entry.name);
+      files[`templates/${entry.name}.html`] = `${markup}\n`;
+    }
+  }
+
+  for (const [part, markup] of Object.entries(ctx.parts)) {
+    files[`parts/${part}.html`] = `${markup}\n`;
+  }
+
+  files['theme.json'] = `${JSON.stringify(themeJson(rupa, Object.keys(ctx.parts), templates), null, 2)}\n`;
+  files['style.css'] = styleCss(theme, rupa, emitStylesheet(entries.map(e => e.spec), { rupa }));
+  files['functions.php'] = functionsPhp(theme);
+  return files;
+}
+
+// ── Blocks ────────────────────────────────────────────────────
+
+/**
+ * Block markup for a spec node. The first Śiras and Pāda become the
+ * header and footer template parts; later ones reference the same part.
+ */
+function blocks(node, ctx, depth = 0) {
+  const yantra = resolveYantra(node.yantra);
+  const pad = '  '.repeat(depth);
+
+  const area = { siras: 'header', pada: 'footer' }[yantra.className];
+  if (area && isStatic(node) && node.content === undefined) {
+    ctx.parts[area] ??= (node.children || []).map(child => blocks(child, ctx)).join('\n');
+    const attrs = { slug: area, tagName: yantra.element, className: classNames(node, yantra) };
+    return `${pad}<!-- wp:template-part ${blockAttrs(attrs)} /-->`;
+  }
+
+  const element = node.element || yantra.element;
+  if (isStatic(node) && node.children && node.content === undefined && GROUP_TAGS.includes(element)) {
+    const attrs = { tagName: element, ...styleAttrs(node, yantra) };
+    if (node.component) attrs.metadata = { name: String(node.component) };
+    const inner = node.children.map(child => blocks(child, ctx, depth + 1));
+    return [
+      `${pad}<!-- wp:group ${blockAttrs(attrs)} -->`,
+      `${pad}<${element} class="${renderedClass('wp-block-group', attrs)}">`,
+      ...inner,
+      `${pad}</${element}>`,
+      `${pad}<!-- /wp:group -->`,
+    ].join('\n');
+  }
+
+  if (isStatic(node) && !node.children && yantra.className === 'vakya' && node.content !== undefined) {
+    const level = /^h([1-6])$/.exec(element);
+    if (level) return heading(node.content, Number(level[1]), styleAttrs(node, yantra), pad);
+    if (element === 'p') return paragraph(node.content, styleAttrs(node, yantra), pad);
+  }
+
+  return [
+    `${pad}<!-- wp:html -->`,
+    emitHtml(node, depth, { dev: ctx.dev }),
+    `${pad}<!-- /wp:html -->`,
+  ].join('\n');
+}
+
+function heading(content, level, attrs, pad = '') {
+  return [
+    `${pad}<!-- wp:heading ${blockAttrs({ level, ...attrs })} -->`,
+    `${pad}<h${level} class="${renderedClass('wp-block-heading', attrs)}">${escapeHtml(content)}</h${level}>`,
+    `${pad}<!-- /wp:heading -->`,
+  ].join('\n');
+}
+
+function paragraph(content, attrs, pad = '') {
+  return [
+    `${pad}<!-- wp:paragraph ${blockAttrs(attrs)} -->`,
+    `${pad}<p class="${renderedClass('', attrs)}">${escapeHtml(content)}</p>`,
+    `${pad}<!-- /wp:paragraph -->`,
+  ].join('\n');
+}
+
+/**
+ * A node is static when nothing about it changes at runtime.
+ */
+function isStatic(node) {
+  return DYNAMIC_KEYS.every(key => node[key] === undefined);
+}
+
+/**
+ * Block attributes carrying a node's look: its Yantra, Mudrā and
+ * `class:` names, and its voice as a font size preset.
+ */
+function styleAttrs(node, yantra) {
+  const attrs = { className: classNames(node, yantra) };
+  if (node.voice !== undefined) attrs.fontSize = resolveVoice(String(node.voice)).cssProperty.replace('--bodhi-lipi-', '');
+  return attrs;
+}
+
+/**
+ * The class attribute WordPress renders for a block with these attributes.
+ */
+function renderedClass(base, attrs) {
+  const classes = [base];
+  if (attrs.fontSize) classes.push(`has-${attrs.fontSize}-font-size`);
+  classes.push(attrs.className);
+  return classes.filter(Boolean).join(' ');
+}
+
+function classNames(node, yantra) {
+  const mudras = (node.mudras || []).map(m => resolveMudra(m).className);
+  return [yantra.className, ...mudras, node.class].filter(Boolean).join(' ');
+}
+
+function contains(node, className) {
+  if (resolveYantra(node.yantra).className === className) return true;
+  return [...(node.children || []), ...(node.views || [])].some(child => contains(child, className));
+}
+
+/**
+ * Serialize block attributes the way WordPress does: JSON with `--`,
+ * `<`, `>` and `&` escaped so the comment delimiter stays intact.
+ */
+function blockAttrs(attrs) {
+  return JSON.stringify(attrs)
+    .replace(/--/g, '\\u002d\\u002d')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+}
+
+// ── theme.json ────────────────────────────────────────────────
+
+function themeJson(rupa, parts, templates) {
+  const varna = rupa.varna || {};
+  const colors = Object.entries(varna).filter(([, value]) => typeof value === 'string');
+  const families = Object.entries(rupa.lipi?.family || {});
+
+  const settings = {
+    appearanceTools: true,
+    color: {
+      defaultPalette: false,
+      palette: colors.map(([slug, color]) => ({ slug, name: title(slug), color })),
+    },
+    typography: {
+      defaultFontSizes: false,
+      fontFamilies: families.map(([slug, fontFamily]) => ({ slug, name: title(slug), fontFamily })),
+      // Voices, not sizes: the Lipi scale names how loudly text speaks
+      fontSizes: Object.entries(voiceTokens).map(([slug, voice]) => ({
+        slug,
+        name: `${voice.sanskrit} — ${voice.intent.split(' — ')[0]}`,
+        size: rupa.lipi?.scale?.[slug] ?? voice.defaultValue,
+      })),
+    },
+    spacing: {
+      defaultSpacingSizes: false,
+      spacingSizes: Object.entries(spatialTokens).map(([slug, token]) => ({
+        slug,
+        name: token.sanskrit,
+        size: rupa.akasa?.[slug] ?? token.defaultValue,
+      })),
+    },
+  };
+  if (rupa.pramana?.['content-width']) {
+    settings.layout = { contentSize: rupa.pramana['content-width'] };
+  }
+
+  const styles = { color: {}, typography: {} };
+  const background = varna.background ?? varna.surface;
+  const text = varna.foreground ?? varna.text;
+  if (background) styles.color.background = presetVar('color', varna.background ? 'background' : 'surface');
+  if (text) styles.color.text = presetVar('color', varna.foreground ? 'foreground' : 'text');
+  if (rupa.lipi?.family?.body) styles.typography.fontFamily = presetVar('font-family', 'body');
+  styles.typography.fontSize = presetVar('font-size', 'katha');
+  if (rupa.lipi?.family?.heading) {
+    styles.elements = { heading: { typography: { fontFamily: presetVar('font-family', 'heading') } } };
+  }
+
+  const json = { $schema: THEME_JSON_SCHEMA, version: 3, settings, styles };
+  if (parts.length) {
+    json.templateParts = parts.map(area => ({ name: area, title: title(area), area }));
+  }
+  if (templates.length) {
+    json.customTemplates = templates.map(name => ({ name, title: title(name), postTypes: ['page'] }));
+  }
+  return json;
+}
+
+function presetVar(kind, slug) {
+  return `var(--wp--preset--${kind}--${slug})`;
+}
+
+// ── style.css ─────────────────────────────────────────────────
+
+/**
+ * The theme header, then the Rūpa tokens as `--bodhi-*` properties, then
+ * the compiled stylesheet. Tokens that theme.json turns into presets
+ * point at the preset, so changes made in the site editor reach
+ * compiled components too.
+ */
+function styleCss(theme, rupa, stylesheet) {
+  const header = [
+    '/*',
+    `Theme Name: ${theme.name}`,
+    `Text Domain: ${theme.slug}`,
+    `Version: ${theme.version || '1.0.0'}`,
+    'Requires at least: 6.6',
+  ];
+  if (theme.description) header.push(`Description: ${theme.description}`);
+  header.push('*/', '');
+
+  const tokens = [];
+  const dark = [];
+  for (const [slug, value] of Object.entries(rupa.varna || {})) {
+    if (typeof value === 'string') tokens.push(`  --bodhi-varna-${slug}: ${presetVar('color', slug)};`);
+  }
+  for (const [slug, value] of Object.entries(rupa.varna?.dark || {})) {
+    dark.push(`    --bodhi-varna-${slug}: ${value};`);
+  }
+  for (const slug of Object.keys(rupa.lipi?.family || {})) {
+    tokens.push(`  --bodhi-lipi-family-${slug}: ${presetVar('font-family', slug)};`);
+  }
+  for (const slug of Object.keys(voiceTokens)) {
+    tokens.push(`  --bodhi-lipi-${slug}: ${presetVar('font-size', slug)};`);
+  }
+  for (const slug of Object.keys(spatialTokens)) {
+    tokens.push(`  --bodhi-akasa-${slug}: ${presetVar('spacing', slug)};`);
+  }
+  for (const [category, values] of Object.entries(rupa)) {
+    if (['varna', 'lipi', 'akasa'].includes(category) || !values || typeof values !== 'object') continue;
+    for (const [property, value] of flatten(values, `--bodhi-${category}`)) {
+      tokens.push(`  ${property}: ${value};`);
+    }
+  }
+  for (const group of ['weight', 'leading']) {
+    for (const [property, value] of flatten(rupa.lipi?.[group] || {}, `--bodhi-lipi-${group}`)) {
+      tokens.push(`  ${property}: ${value};`);
+    }
+  }
+
+  const lines = [...header, '/* Rūpa tokens */', ':root {', ...tokens, '}', ''];
+  if (dark.length) {
+    lines.push('@media (prefers-color-scheme: dark) {', '  :root {', ...dark, '  }', '}', '');
+  }
+  lines.push(stylesheet);
+  return lines.join('\n');
+}
+
+function flatten(values, prefix, out = []) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value && typeof value === 'object') flatten(value, `${prefix}-${key}`, out);
+    else out.push([`${prefix}-${key}`, String(value)]);
+  }
+  return out;
+}
+
+// ── PHP ───────────────────────────────────────────────────────
+
+function functionsPhp(theme) {
+  const prefix = theme.slug.replace(/-/g, '_');
+  return `<?php
+/**
+ * ${theme.name} — generated by Bodhi. Edit the specs, not this file.
+ */
+
+add_action( 'wp_enqueue_scripts', function () {
+\twp_enqueue_style( '${theme.slug}', get_stylesheet_uri(), array(), wp_get_theme()->get( 'Version' ) );
+} );
+
+add_action( 'after_setup_theme', function () {
+\tadd_editor_style( 'style.css' );
+} );
+
+// Patterns live in patterns/; group them under the theme's name
+add_action( 'init', function () {
+\tregister_block_pattern_category( '${prefix}', array( 'label' => '${escapePhp(theme.name)}' ) );
+} );
+`;
+}
+
+function pattern(name, theme, markup) {
+  return `<?php
+/**
+ * Title: ${title(name)}
+ * Slug: ${theme.slug}/${name}
+ * Categories: ${theme.slug.replace(/-/g, '_')}
+ */
+?>
+${markup}
+`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+
+function slugify(name) {
+  return name.normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bodhi';
+}
+
+function title(slug) {
+  return slug.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapePhp(str) {
+  return String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
@@ -0,0 +1,297 @@
+/**
+ * Bodhi Compile-Time Ethics Linting
+ *
+ * Runs the nine design ethics markers (M1–M9) on the spec tree, the
+ * same patterns eslint-plugin-bodhi looks for in JSX. Specs carry more
+ * meaning than markup — a Kriyā is an action, a voice is a loudness —
+ * so most checks read Yantras, Mudras and voices rather than guessing
+ * from class names.
+ *
+ * Findings are diagnostics coded by the ESLint rule name, with the
+ * marker in `marker`. In lenient mode they are warnings, and a node
+ * carrying a `data-bodhi-justify` attribute is skipped. In dogmatic
+ * mode they are errors and fail compilation.
+ */
+
+import { resolveYantra, resolveVoice } from '@bodhi/tokens';
+import { diagnostic } from './diagnostics.js';
+
+const MARKERS = {
+  M1: { rule: 'no-manufactured-urgency', name: 'manufactured urgency' },
+  M2: { rule: 'no-obstructed-exit', name: 'obstructed exit' },
+  M3: { rule: 'no-attention-capture', name: 'attention capture' },
+  M4: { rule: 'no-consent-erosion', name: 'consent erosion' },
+  M5: { rule: 'no-false-social-proof', name: 'false social proof' },
+  M6: { rule: 'no-cognitive-overload', name: 'cognitive overload' },
+  M7: { rule: 'no-asymmetric-salience', name: 'asymmetric salience' },
+  M8: { rule: 'no-anchoring-manipulation', name: 'anchoring manipulation' },
+  M9: { rule: 'no-enforced-continuity', name: 'enforced continuity' },
+};
+
+// Keyword lists follow the ESLint rules; matched as whole words.
+const CONSENT = words('consent', 'agree', 'accept', 'subscribe', 'newsletter', 'marketing', 'terms',
+  'privacy', 'opt-in', 'opt-out', 'notifications', 'emails', 'updates', 'tracking', 'cookies',
+  'analytics', 'third-party', 'share', 'data');
+const NON_CONSENT = words('remember', 'show-password', 'toggle', 'filter', 'sort', 'dark-mode',
+  'theme', 'setting', 'preference', 'display');
+const AUTO_RENEW = words('auto-renew', 'autorenew', 'auto-renewal', 'automatic renewal', 'recurring',
+  'renews automatically', 'will be charged');
+const URGENCY = words('hurry', 'limited time', 'expires', 'act now', 'ending soon', 'last chance',
+  "don't miss", 'running out', 'almost gone', 'selling fast', 'flash sale', 'deadline');
+const COUNTDOWN = words('countdown', 'timer', 'time-left', 'time-remaining', 'urgent', 'hurry');
+const SOCIAL_PROOF = /\d[\d,.]*\s*\+?\s*(people|viewing|bought|reviews|customers|users|watching|online|signed up|joined|downloaded|purchased|in (their )?carts?)\b/i;
+const CONFIRM = words('accept', 'agree', 'confirm', 'subscribe', 'continue', 'yes', 'ok', 'okay',
+  'submit', 'sign up', 'get started', 'join', 'buy', 'purchase', 'checkout', 'proceed', 'enable',
+  'allow', 'activate', 'upgrade');
+const EXIT = words('decline', 'reject', 'cancel', 'skip', 'no thanks', 'not now', 'maybe later',
+  'dismiss', 'close', 'no', 'deny', 'opt out', 'unsubscribe', 'go back', 'nevermind', 'exit');
+const INFINITE_MOTION = words('infinite', 'animate-spin', 'animate-pulse', 'animate-bounce', 'animate-ping');
+const ANCHOR_PRICE = words('original-price', 'was-price', 'old-price', 'strikethrough', 'line-through',
+  'regular-price', 'list-price', 'msrp', 'rrp');
+const PRICE = /[$€£¥₹]\s?\d|\b\d+[.,]\d{2}\b/;
+const TIME = /\d{1,2}:\d{2}(:\d{2})?/;
+
+const STRUCK_ELEMENTS = ['del', 's', 'strike'];
+const DECISION_ELEMENTS = ['form', 'dialog'];
+const DECISION_ROLES = ['dialog', 'alertdialog', 'form'];
+const INTERACTIVE_ELEMENTS = ['button', 'a', 'input', 'select', 'textarea'];
+const MAX_CHOICES = 5;
+
+// Voice loudness: Japa murmurs, Kathā speaks (the default), Ghoṣaṇā proclaims
+const LOUDNESS = { '--bodhi-lipi-japa': 0, '--bodhi-lipi-katha': 1, '--bodhi-lipi-ghosana': 2 };
+
+/**
+ * Run the ethics markers over a spec tree.
+ *
+ * @param {object} spec - Validated spec (before or after composition)
+ * @param {object} [options]
+ * @param {'lenient'|'dogmatic'} [options.mode='lenient']
+ * @returns {object[]} Diagnostics with `marker` set ('M1'–'M9')
+ */
+export function lintSpec(spec, { mode = 'lenient' } = {}) {
+  const out = [];
+  const report = (marker, node, message, path, severity = mode === 'dogmatic' ? 'error' : 'warning') => {
+    if (mode === 'lenient' && node.attributes?.['data-bodhi-justify'] !== undefined) return;
+    const { rule, name } = MARKERS[marker];
+    const d = diagnostic(rule, `${marker} ${name}: ${message}`, { severity, path });
+    d.marker = marker;
+    out.push(d);
+  };
+
+  walk(spec, [], null, (node, path, siblings) => {
+    checkUrgency(node, path, report);
+    checkDecision(node, path, report);
+    checkMotion(node, path, report);
+    checkPreChecked(node, path, siblings, mode, report);
+    checkSocialProof(node, path, report);
+    checkSalience(node, path, report);
+    checkAnchoring(node, path, siblings, report);
+    checkBuriedRenewal(node, path, report);
+  });
+
+  return out;
+}
+
+/**
+ * Visit every node with its path and the list of its siblings. Slot
+ * content passed to a `use:` node is visited too.
+ */
+function walk(node, path, siblings, visit) {
+  if (!node || typeof node !== 'object') return;
+  visit(node, path, siblings || [node]);
+  for (const key of ['children', 'views']) {
+    if (Array.isArray(node[key])) {
+      node[key].forEach((child, i) => walk(child, [...path, key, i], node[key], visit));
+    }
+  }
+  if (node.use !== undefined && node.slots && typeof node.slots === 'object') {
+    for (const [name, nodes] of Object.entries(node.slots)) {
+      if (Array.isArray(nodes)) nodes.forEach((child, i) => walk(child, [...path, 'slots', name, i], nodes, visit));
+    }
+  }
+}
+
+// ── M1: Manufactured urgency ──────────────────────────────────
+
+function checkUrgency(node, path, report) {
+  if (node.bind) return; // live values come from somewhere real
+  const content = contentOf(node);
+  if (URGENCY.test(content)) {
+    report('M1', node, `urgency wording "${content}" is fixed in the spec; tie it to a real deadline or remove it`, [...path, 'content']);
+  } else if (TIME.test(content) && COUNTDOWN.test(cluesOf(node))) {
+    report('M1', node, `countdown "${content}" is a fixed value; bind it to a verifiable deadline`, [...path, 'content']);
+  }
+}
+
+// ── M2 / M6: Decision contexts ────────────────────────────────
+
+function checkDecision(node, path, report) {
+  if (!isDecisionContext(node)) return;
+
+  const actions = [];
+  collect(node, n => isAction(n) && actions.push(n));
+  const exits = actions.filter(n => EXIT.test(labelOf(n)));
+  if (actions.some(n => CONFIRM.test(labelOf(n)))) {
+    if (exits.length === 0) {
+      report('M2', node, 'this decision offers a way forward but no way out; add a cancel or close action', path);
+    } else if (exits.every(isHidden)) {
+      report('M2', node, 'every exit action in this decision starts hidden; show cancel alongside confirm', path);
+    }
+  }
+
+  const choices = (node.children || []).filter(c => c && (isAction(c) || isInteractive(c)));
+  if (choices.length > MAX_CHOICES) {
+    report('M6', node, `${choices.length} interactive choices in one decision (at most ${MAX_CHOICES}); group or stage them`, path);
+  }
+}
+
+// ── M3: Attention capture ─────────────────────────────────────
+
+function checkMotion(node, path, report) {
+  const attrs = node.attributes || {};
+  const cala = (node.mudras || []).some(m => normalize(m) === 'cala');
+  if (cala && (INFINITE_MOTION.test(String(node.class || '')) || /\binfinite\b/.test(String(attrs.style || '')))) {
+    report('M3', node, 'Cala motion repeats forever; give it a finite iteration count or a pause control', [...path, 'mudras']);
+  }
+  for (const attr of ['autoplay', 'loop']) {
+    if (isSet(attrs[attr]) && ['video', 'audio', 'iframe'].includes(node.element)) {
+      report('M3', node, `"${attr}" starts motion the user did not ask for; let them press play`, [...path, 'attributes', attr]);
+    }
+  }
+}
+
+// ── M4 / M9: Pre-checked choices ──────────────────────────────
+
+function checkPreChecked(node, path, siblings, mode, report) {
+  const attrs = node.attributes || {};
+  if (yantraOf(node) !== 'pravesa' || !['checkbox', 'radio'].includes(attrs.type) || !isSet(attrs.checked)) return;
+
+  const at = [...path, 'attributes', 'checked'];
+  const context = [cluesOf(node), ...siblings.filter(s => s !== node).map(contentOf)].join(' ');
+  if (AUTO_RENEW.test(context)) {
+    report('M9', node, 'auto-renewal is switched on before the user chooses it; leave it unchecked', at);
+  } else if (CONSENT.test(context)) {
+    report('M4', node, 'consent is pre-checked; consent must be an affirmative act, so leave it unchecked', at);
+  } else if (mode === 'dogmatic' && !NON_CONSENT.test(context)) {
+    report('M4', node, 'checkbox is pre-checked; make sure the default is not a choice made for the user', at, 'warning');
+  }
+}
+
+// ── M5: False social proof ────────────────────────────────────
+
+function checkSocialProof(node, path, report) {
+  if (node.bind) return;
+  const content = contentOf(node);
+  if (SOCIAL_PROOF.test(content)) {
+    report('M5', node, `"${content}" is a fixed number; social proof must come from live data (bind it)`, [...path, 'content']);
+  }
+}
+
+// ── M7: Asymmetric salience ───────────────────────────────────
+
+function checkSalience(node, path, report) {
+  const actions = (node.children || []).map((c, i) => [c, i]).filter(([c]) => c && isAction(c));
+  const confirms = actions.filter(([c]) => CONFIRM.test(labelOf(c)));
+  for (const [exit, i] of actions.filter(([c]) => EXIT.test(labelOf(c)))) {
+    const louder = confirms.find(([c]) => loudness(c) > loudness(exit));
+    if (louder) {
+      report('M7', exit, `"${labelOf(exit)}" speaks more quietly than "${labelOf(louder[0])}"; give both the same voice`,
+        [...path, 'children', i, exit.voice !== undefined ? 'voice' : 'yantra']);
+    }
+  }
+}
+
+// ── M8: Anchoring manipulation ────────────────────────────────
+
+function checkAnchoring(node, path, siblings, report) {
+  const struck = STRUCK_ELEMENTS.includes(node.element) || ANCHOR_PRICE.test(String(node.class || ''));
+  if (!struck || !PRICE.test(contentOf(node))) return;
+  if (siblings.some(s => s !== node && PRICE.test(contentOf(s)))) {
+    report('M8', node, 'a struck-through reference price anchors the real one; show the price on its own', path);
+  }
+}
+
+// ── M9: Buried renewal terms ──────────────────────────────────
+
+function checkBuriedRenewal(node, path, report) {
+  const content = contentOf(node);
+  if (!AUTO_RENEW.test(content)) return;
+  if (node.voice !== undefined && loudness(node) === 0) {
+    report('M9', node, 'renewal terms are murmured in Japa; state them in the same voice as the offer', [...path, 'voice']);
+  } else if (isHidden(node) || node.element === 'details') {
+    report('M9', node, 'renewal terms are hidden until expanded; show them before the user commits', path);
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+
+function words(...list) {
+  const escaped = list.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+  return new RegExp(`\\b(?:${escaped.join('|')})s?\\b`, 'i');
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+}
+
+function yantraOf(node) {
+  try {
+    return resolveYantra(node.yantra).className;
+  } catch {
+    return null;
+  }
+}
+
+function loudness(node) {
+  if (node.voice === undefined) return LOUDNESS['--bodhi-lipi-katha'];
+  try {
+    return LOUDNESS[resolveVoice(String(node.voice)).cssProperty] ?? 1;
+  } catch {
+    return 1;
+  }
+}
+
+function isAction(node) {
+  return yantraOf(node) === 'kriya' || node.element === 'button';
+}
+
+function isInteractive(node) {
+  return yantraOf(node) === 'pravesa' || INTERACTIVE_ELEMENTS.includes(node.element);
+}
+
+function isDecisionContext(node) {
+  const role = node.attributes?.role;
+  return DECISION_ELEMENTS.includes(node.element) || DECISION_ROLES.includes(role);
+}
+
+function isHidden(node) {
+  const attrs = node.attributes || {};
+  return isSet(attrs.hidden) || attrs['data-bodhi-hidden'] === 'true' || attrs['data-bodhi-hidden'] === true;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== false && value !== 'false';
+}
+
+function contentOf(node) {
+  return node && node.content !== undefined && typeof node.content !== 'object' ? String(node.content) : '';
+}
+
+// What the user reads or hears: visible content, then the accessible name
+function labelOf(node) {
+  const attrs = node.attributes || {};
+  return [contentOf(node), attrs['aria-label'], attrs.title].filter(Boolean).join(' ').trim();
+}
+
+// Everything that hints at a node's purpose, for keyword matching
+function cluesOf(node) {
+  const attrs = node.attributes || {};
+  return [labelOf(node), node.id, node.class, attrs.id, attrs.name, attrs.value].filter(Boolean).join(' ');
+}
+
+function collect(node, fn) {
+  fn(node);
+  for (const key of ['children', 'views']) {
+    if (Array.isArray(node[key])) node[key].forEach(c => c && typeof c === 'object' && collect(c, fn));
+  }
+}
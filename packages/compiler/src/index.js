@@ -1,43 +1,24 @@
 /**
  * Bodhi Semantic Compiler
  *
- * Public API: compile(yamlString, options) → { html, css, js }
+ * Public API: compile(yamlString, options) → { html, css, js, errors, diagnostics }
  *
  * Takes YAML component specifications written in Bodhi's Yantra/Mudra
- * vocabulary and emits semantic HTML + CSS + JS.
+ * vocabulary and emits semantic HTML + CSS + JS (or a React component).
  */
 
-import { parse } from './parser.js';
-import { emitHtml } from './emitters/html.js';
-import { emitCss } from './emitters/css.js';
-import { emitJs } from './emitters/js.js';
-
-/**
- * Compile a Bodhi YAML component spec to HTML, CSS, and JS.
- *
- * @param {string} yamlString - Raw .bodhi.yaml content
- * @param {object} [options] - Compilation options
- * @param {boolean} [options.js=true] - Whether to emit JS (false for static-only)
- * @returns {{ html: string, css: string, js: string, errors: string[] }}
- */
-export function compile(yamlString, options = {}) {
-  const { js: emitJsFlag = true } = options;
-
-  const { spec, errors } = parse(yamlString);
-
-  if (errors.length > 0) {
-    return { html: '', css: '', js: '', errors };
-  }
-
-  const html = emitHtml(spec);
-  const css = emitCss(spec);
-  const js = emitJsFlag ? emitJs(spec) : '';
-
-  return { html, css, js, errors: [] };
-}
-
+export { compile, compileFile } from './compile.js';
 export { parse } from './parser.js';
-export { emitHtml } from './emitters/html.js';
-export { emitCss } from './emitters/css.js';
+export { compose } from './compose.js';
+export { emitHtml, renderToString } from './emitters/html.js';
+export { emitCss, emitStylesheet } from './emitters/css.js';
 export { emitJs } from './emitters/js.js';
-export { validate } from './schema.js';
+export { emitElement, elementName } from './emitters/element.js';
+export { emitReact } from './emitters/react.js';
+export { emitWordPressTheme } from './emitters/wordpress.js';
+export { validate, validateSpec, componentInterface } from './schema.js';
+export { compileProject, watchProject, writeOutputs, registerVocabulary, TARGETS } from './project.js';
+export { lintSpec } from './ethics.js';
+export { checkSemantics } from './semantics.js';
+export { SourceMapBuilder, originOf } from './source-map.js';
+export { formatDiagnostic, codeFrame } from './diagnostics.js';
@@ -2,29 +2,55 @@
  * Bodhi YAML Parser
  *
  * Parses .bodhi.yaml component specs and validates against schema.
+ * Validation problems are reported as structured diagnostics located
+ * in the YAML source via the document's node ranges.
  */
 
-import { parse as parseYaml } from 'yaml';
-import { validate } from './schema.js';
+import { parseDocument, LineCounter } from 'yaml';
+import { validateSpec } from './schema.js';
+import { lintSpec } from './ethics.js';
+import { annotate } from './source-map.js';
+import { diagnostic, attachLocation, toErrorString } from './diagnostics.js';
 
 /**
  * Parse a YAML string into a validated component spec.
  *
  * @param {string} yamlString - Raw YAML content
- * @returns {{ spec: object, errors: string[] }}
+ * @param {object} [options]
+ * @param {string} [options.filename] - Source file name used in diagnostics
+ * @param {'lenient'|'dogmatic'|false} [options.ethics=false] - Run the M1–M9
+ *   ethics markers on a valid spec (warnings when lenient, errors when dogmatic)
+ * @returns {{ spec: object, errors: string[], diagnostics: object[], source: object }}
  */
-export function parse(yamlString) {
-  let spec;
-  try {
-    spec = parseYaml(yamlString);
-  } catch (err) {
-    return { spec: null, errors: [`YAML parse error: ${err.message}`] };
+export function parse(yamlString, options = {}) {
+  const source = { text: yamlString, file: options.filename || null, lineCounter: new LineCounter(), doc: null };
+  source.doc = parseDocument(yamlString, { lineCounter: source.lineCounter, prettyErrors: false });
+
+  if (source.doc.errors.length > 0) {
+    const diagnostics = source.doc.errors.map(err =>
+      attachLocation(diagnostic('yaml-syntax', `YAML parse error: ${err.message}`), source, err.pos));
+    return fail(diagnostics, source);
+  }
+
+  const spec = source.doc.toJS();
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    const d = diagnostic('invalid-root', 'YAML must contain an object at root level');
+    return fail([attachLocation(d, source)], source);
   }
 
-  if (!spec || typeof spec !== 'object') {
-    return { spec: null, errors: ['YAML must contain an object at root level'] };
+  annotate(spec, source);
+  const diagnostics = validateSpec(spec).map(d => attachLocation(d, source));
+  if (options.ethics && diagnostics.length === 0) {
+    diagnostics.push(...lintSpec(spec, { mode: options.ethics }).map(d => attachLocation(d, source)));
   }
+  return { spec, errors: errorStrings(diagnostics), diagnostics, source };
+}
+
+function fail(diagnostics, source) {
+  return { spec: null, errors: errorStrings(diagnostics), diagnostics, source };
+}
 
-  const errors = validate(spec);
-  return { spec, errors };
+function errorStrings(diagnostics) {
+  return diagnostics.filter(d => d.severity === 'error').map(d => toErrorString(d));
 }
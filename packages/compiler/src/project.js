@@ -0,0 +1,440 @@
+/**
+ * Bodhi Project Compiler
+ *
+ * Compiles every entry spec in a project into an output directory and
+ * keeps a manifest of what was built from what. Each entry records a
+ * content hash of every file it depends on — the spec itself, each spec
+ * it pulls in with `use:`, and the brand Rūpa file — so a rebuild only
+ * recompiles entries whose inputs changed.
+ *
+ * Entries are the specs no other spec uses, unless listed explicitly.
+ * With `stylesheet` set, entries share one layered stylesheet (see
+ * emitStylesheet()) instead of each writing its own CSS. With
+ * `target: 'wordpress'` the output directory becomes a block theme built
+ * from all entries (see emitWordPressTheme()).
+ *
+ *   compileProject({ specs: 'src/specs', outDir: 'dist', rupa: 'bodhi.rupa.json' })
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, rmSync, watch } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { resolve, relative, dirname, join, basename } from 'node:path';
+import { validateRupa, registerYantra, registerMudra } from '@bodhi/tokens';
+import { compile } from './compile.js';
+import { emitStylesheet } from './emitters/css.js';
+import { emitWordPressTheme } from './emitters/wordpress.js';
+import { SourceMapBuilder } from './source-map.js';
+import { parse } from './parser.js';
+import { diagnostic, toErrorString } from './diagnostics.js';
+
+const MANIFEST = 'bodhi-manifest.json';
+const MANIFEST_VERSION = 1;
+const SPEC_SUFFIX = '.bodhi.yaml';
+
+/** Output targets compileProject() accepts (`target:` or --target) */
+export const TARGETS = ['html', 'element', 'react', 'wordpress'];
+
+/**
+ * Compile all entry specs of a project, skipping entries whose inputs
+ * are unchanged since the last build.
+ *
+ * @param {object} [config] - Project configuration (the shape of bodhi.config.js)
+ * @param {string} [config.root='.'] - Project root; other paths resolve against it
+ * @param {string} [config.specs='src/specs'] - Directory searched for .bodhi.yaml files
+ * @param {string} [config.outDir='dist'] - Output directory (also holds the manifest)
+ * @param {string} [config.rupa] - Brand Rūpa file; its values become CSS token fallbacks
+ * @param {string[]|object} [config.entries] - Entry specs, or a map of output name → spec
+ * @param {'lenient'|'dogmatic'} [config.mode='lenient'] - Ethics marker enforcement
+ * @param {boolean} [config.js=true] - Emit JS
+ * @param {string} [config.stylesheet] - Write one shared stylesheet with this name
+ *   for all entries instead of a CSS file per entry
+ * @param {'html'|'element'|'react'|'wordpress'} [config.target='html'] - Output per-entry
+ *   HTML, CSS and JS, a custom element module per entry, a React component (JSX) and
+ *   CSS per entry, or one WordPress block theme
+ * @param {object} [config.theme] - WordPress theme name, slug, version and description
+ * @param {object} [config.yantras] - Project Yantras by name (see registerVocabulary())
+ * @param {object} [config.mudras] - Project Mudrās by name (see registerVocabulary())
+ * @param {boolean} [config.sourceMap=false] - Write .map files for CSS and JS
+ * @param {boolean} [config.dev=false] - Tag HTML with `data-bodhi-src`
+ * @returns {{ compiled: string[], skipped: string[], removed: string[], errors: string[], diagnostics: object[], manifest: object }}
+ */
+export function compileProject(config = {}) {
+  const root = resolve(config.root || '.');
+  const specsDir = resolve(root, config.specs || 'src/specs');
+  const outDir = resolve(root, config.outDir || 'dist');
+  const options = {
+    ethics: config.mode || 'lenient',
+    js: config.js !== false,
+    sourceMap: Boolean(config.sourceMap),
+    dev: Boolean(config.dev),
+    stylesheet: config.stylesheet || null,
+    target: config.target || 'html',
+    theme: config.theme || null,
+    yantras: config.yantras || null,
+    mudras: config.mudras || null,
+  };
+  if (!TARGETS.includes(options.target)) {
+    throw new Error(`Unknown compile target "${options.target}". Available targets: ${TARGETS.join(', ')}`);
+  }
+
+  const diagnostics = registerVocabulary(config);
+  const hashes = new Map();
+  const hashOf = file => {
+    if (!hashes.has(file)) hashes.set(file, hashFile(file));
+    return hashes.get(file);
+  };
+
+  const rupaFile = config.rupa ? resolve(root, config.rupa) : null;
+  const rupa = rupaFile ? loadRupa(rupaFile, root, diagnostics) : null;
+
+  const previous = readManifest(join(outDir, MANIFEST));
+  const sameOptions = JSON.stringify(previous.options) === JSON.stringify(options);
+  const manifest = { version: MANIFEST_VERSION, options, entries: {} };
+  const compiled = [];
+  const skipped = [];
+  const specs = new Map(); // entry name → composed spec, for shared outputs
+
+  mkdirSync(outDir, { recursive: true });
+
+  const entries = findEntries(config.entries, specsDir, root);
+  for (const { name, file } of entries) {
+    // A configured entry that is not there fails like any other entry
+    if (!existsSync(file)) {
+      const d = diagnostic('entry-not-found', `Entry spec "${relative(root, file)}" does not exist`);
+      d.file = 'bodhi.config.js';
+      diagnostics.push(d);
+      continue;
+    }
+    const before = previous.entries[name];
+    if (sameOptions && before && upToDate(before, file, root, outDir, hashOf)) {
+      manifest.entries[name] = before;
+      skipped.push(name);
+      continue;
+    }
+
+    const result = compile(readFileSync(file, 'utf8'), {
+      ...compileOptions(options, file),
+      rupa: rupa || undefined,
+    });
+    diagnostics.push(...result.diagnostics);
+    if (result.errors.length > 0) continue;
+
+    const inputs = [file, ...result.dependencies];
+    if (rupaFile) inputs.push(rupaFile);
+    // A custom element module carries its own HTML and CSS; a React
+    // component renders its own HTML
+    const own = options.target === 'element' ? { js: result.js, maps: result.maps }
+      : options.target === 'react' ? { css: result.css, jsx: result.jsx, maps: result.maps }
+        : result;
+    const outputs = options.target === 'wordpress' ? [] : writeOutputs(outDir, name, own);
+    for (const output of before?.outputs || []) {
+      if (!outputs.includes(output)) rmSync(join(outDir, output), { force: true });
+    }
+    manifest.entries[name] = {
+      spec: relative(root, file),
+      outputs,
+      dependencies: Object.fromEntries(inputs.map(f => [relative(root, f), hashOf(f)])),
+    };
+    specs.set(name, result.spec);
+    compiled.push(name);
+  }
+
+  // Outputs of entries that no longer exist are stale. An entry that
+  // failed to compile keeps its old outputs but leaves the manifest, so
+  // the next build retries it.
+  const removed = [];
+  for (const [name, entry] of Object.entries(previous.entries)) {
+    if (entries.some(e => e.name === name)) continue;
+    for (const output of entry.outputs || []) {
+      if (!Object.values(manifest.entries).some(e => e.outputs.includes(output))) {
+        rmSync(join(outDir, output), { force: true });
+      }
+    }
+    removed.push(name);
+  }
+
+  // Shared outputs cover every entry, so any change rebuilds them;
+  // unchanged entries are composed again (without emitting) to supply
+  // their specs.
+  const changed = compiled.length > 0 || removed.length > 0;
+  const allSpecs = () => entries
+    .filter(({ name }) => manifest.entries[name])
+    .map(({ name, file }) => ({
+      name,
+      spec: specs.get(name)
+        || compile(readFileSync(file, 'utf8'), { ...compileOptions(options, file), ethics: false, js: false }).spec,
+    }));
+
+  if (options.target === 'wordpress') {
+    manifest.theme = previous.theme || [];
+    if (changed || !manifest.theme.every(file => existsSync(join(outDir, file)))) {
+      const files = emitWordPressTheme(allSpecs(), { rupa: rupa || undefined, theme: config.theme, dev: options.dev });
+      for (const file of manifest.theme) {
+        if (!(file in files)) rmSync(join(outDir, file), { force: true });
+      }
+      for (const [file, code] of Object.entries(files)) writeCode(outDir, file, code);
+      manifest.theme = Object.keys(files);
+    }
+  } else if (options.stylesheet) {
+    const target = join(outDir, options.stylesheet);
+    if (changed || !existsSync(target)) {
+      const map = options.sourceMap ? new SourceMapBuilder() : undefined;
+      const css = emitStylesheet(allSpecs().map(e => e.spec), { map, rupa: rupa || undefined });
+      writeCode(outDir, options.stylesheet, css, map?.toJSON(), cssMapComment);
+    }
+  }
+
+  writeFileSync(join(outDir, MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+
+  const errors = diagnostics.filter(d => d.severity === 'error').map(d => toErrorString(d, null));
+  return { compiled, skipped, removed, errors, diagnostics, manifest };
+}
+
+/**
+ * Compile a project, then recompile whenever a spec or the Rūpa file
+ * changes. Unchanged entries are skipped, as in compileProject().
+ *
+ * @param {object} config - Same as compileProject()
+ * @param {(result: object) => void} [onBuild] - Called after every build
+ * @returns {{ close: () => void }}
+ */
+export function watchProject(config = {}, onBuild = () => {}) {
+  const root = resolve(config.root || '.');
+  const specsDir = resolve(root, config.specs || 'src/specs');
+  const outDir = resolve(root, config.outDir || 'dist');
+  const watchers = new Map(); // directory → FSWatcher
+  let timer = null;
+
+  const build = () => {
+    timer = null;
+    let result;
+    try {
+      result = compileProject(config);
+    } catch (err) {
+      // A build that throws (an unknown target, say) is reported like a
+      // failed one, and the watch goes on
+      const d = diagnostic('build-failed', err.message);
+      result = { compiled: [], skipped: [], removed: [], errors: [err.message], diagnostics: [d], manifest: { entries: {} } };
+    }
+    // Follow `use:` references and the Rūpa file outside the specs directory.
+    // Each directory is watched on its own: recursive watching needs Node
+    // 20 on Linux. A new subdirectory shows up as a change in its parent,
+    // and the build it triggers starts watching it.
+    const dirs = new Set(directoriesUnder(specsDir, outDir));
+    for (const entry of Object.values(result.manifest.entries)) {
+      for (const dep of Object.keys(entry.dependencies)) dirs.add(dirname(resolve(root, dep)));
+    }
+    for (const dir of dirs) {
+      if (!watchers.has(dir) && existsSync(dir)) {
+        watchers.set(dir, watch(dir, (event, file) => {
+          if (file && resolve(dir, String(file)).startsWith(outDir)) return;
+          schedule();
+        }));
+      }
+    }
+    onBuild(result);
+  };
+
+  // Editors often write a file in several steps; build once they settle
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(build, 50);
+  };
+
+  build();
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * A directory and every directory below it, leaving out `skip` (the
+ * output directory, when it sits among the specs).
+ */
+function directoriesUnder(dir, skip) {
+  if (!existsSync(dir) || dir === skip) return [];
+  const dirs = [dir];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) dirs.push(...directoriesUnder(join(dir, entry.name), skip));
+  }
+  return dirs;
+}
+
+/**
+ * Register the project Yantras and Mudrās of a bodhi.config.js, so specs
+ * can use them like the built-in ones:
+ *
+ *   yantras: { Tala: { element: 'div', role: 'toolbar', css: { display: 'flex' } } },
+ *   mudras: { Vistara: { css: { 'padding-inline': '2rem' } } },
+ *
+ * Each definition is validated (see registerYantra() and registerMudra()
+ * in @bodhi/tokens); invalid ones are reported instead of registered.
+ *
+ * @param {object} config - Project configuration
+ * @returns {object[]} Diagnostics for invalid definitions
+ */
+export function registerVocabulary(config = {}) {
+  const diagnostics = [];
+  const sections = [['yantras', registerYantra, 'invalid-yantra'], ['mudras', registerMudra, 'invalid-mudra']];
+  for (const [section, register, code] of sections) {
+    for (const [name, definition] of Object.entries(config[section] || {})) {
+      try {
+        register(name, definition);
+      } catch (err) {
+        const d = diagnostic(code, err.message);
+        d.file = 'bodhi.config.js';
+        diagnostics.push(d);
+      }
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Write a compile() result as `<name>.html`, `<name>.css`, `<name>.js`
+ * and `<name>.jsx`, plus `.map` files next to the CSS and JS when the
+ * result carries source maps. Map sources are rewritten relative to the output.
+ * Empty outputs are not written.
+ *
+ * @returns {string[]} Written file names, relative to outDir
+ */
+export function writeOutputs(outDir, name, result) {
+  mkdirSync(outDir, { recursive: true });
+  const written = [];
+  if (result.html) written.push(...writeCode(outDir, `${name}.html`, result.html));
+  if (result.css) written.push(...writeCode(outDir, `${name}.css`, result.css, result.maps?.css, cssMapComment));
+  if (result.js) written.push(...writeCode(outDir, `${name}.js`, result.js, result.maps?.js, url => `//# sourceMappingURL=${url}`));
+  if (result.jsx) written.push(...writeCode(outDir, `${name}.jsx`, result.jsx, result.maps?.js, url => `//# sourceMappingURL=${url}`));
+  return written;
+}
+
+/**
+ * Write one output file, and its source map when given one.
+ *
+ * @returns {string[]} Written file names, relative to outDir
+ */
+function writeCode(outDir, file, code, map, comment) {
+  const path = join(outDir, file);
+  mkdirSync(dirname(path), { recursive: true });
+  if (!map) {
+    writeFileSync(path, code, 'utf8');
+    return [file];
+  }
+  const sources = map.sources.map(source => relative(dirname(path), resolve(source)));
+  writeFileSync(`${path}.map`, JSON.stringify({ version: map.version, file: basename(file), sources, names: map.names, mappings: map.mappings }), 'utf8');
+  writeFileSync(path, `${code}\n${comment(`${basename(file)}.map`)}\n`, 'utf8');
+  return [`${file}.map`, file];
+}
+
+function cssMapComment(url) {
+  return `/*# sourceMappingURL=${url} */`;
+}
+
+function compileOptions(options, file) {
+  return {
+    ethics: options.ethics,
+    js: options.js && options.target === 'html',
+    css: (options.target === 'html' || options.target === 'react') && !options.stylesheet,
+    element: options.target === 'element',
+    react: options.target === 'react',
+    sourceMap: options.sourceMap,
+    dev: options.dev,
+    filename: relative(process.cwd(), file),
+  };
+}
+
+/**
+ * Resolve the entry specs: the configured list or map, or every spec
+ * in the specs directory that no other spec pulls in with `use:`.
+ */
+function findEntries(entries, specsDir, root) {
+  if (Array.isArray(entries)) {
+    return entries.map(file => ({ name: basename(file, SPEC_SUFFIX), file: resolve(root, file) }));
+  }
+  if (entries && typeof entries === 'object') {
+    return Object.entries(entries).map(([name, file]) => ({ name, file: resolve(root, file) }));
+  }
+
+  const specs = findSpecs(specsDir);
+  const used = new Set();
+  for (const file of specs) {
+    const { spec } = parse(readFileSync(file, 'utf8'));
+    for (const ref of usesOf(spec)) used.add(resolve(dirname(file), ref));
+  }
+  return specs
+    .filter(file => !used.has(file))
+    .map(file => ({ name: basename(file, SPEC_SUFFIX), file }));
+}
+
+// Walked directory by directory: readdirSync()'s `recursive` needs Node 18.17
+function findSpecs(dir) {
+  return directoriesUnder(dir)
+    .flatMap(d => readdirSync(d).filter(file => file.endsWith(SPEC_SUFFIX)).map(file => join(d, file)))
+    .sort();
+}
+
+/**
+ * Every `use:` reference in a spec tree, including slot content.
+ */
+function usesOf(node, found = []) {
+  if (!node || typeof node !== 'object') return found;
+  if (typeof node.use === 'string') found.push(node.use);
+  for (const key of ['children', 'views']) {
+    if (Array.isArray(node[key])) node[key].forEach(child => usesOf(child, found));
+  }
+  if (node.slots && typeof node.slots === 'object' && !Array.isArray(node.slots)) {
+    Object.values(node.slots).forEach(nodes => Array.isArray(nodes) && nodes.forEach(child => usesOf(child, found)));
+  }
+  return found;
+}
+
+/**
+ * An entry is up to date when it was built from the same spec, every
+ * dependency still hashes the same, and its outputs are still there.
+ */
+function upToDate(entry, file, root, outDir, hashOf) {
+  return entry.spec === relative(root, file)
+    && Object.entries(entry.dependencies).every(([dep, hash]) => hashOf(resolve(root, dep)) === hash)
+    && entry.outputs.every(output => existsSync(join(outDir, output)));
+}
+
+function loadRupa(file, root, diagnostics) {
+  const report = message => {
+    const d = diagnostic('invalid-rupa', message);
+    d.file = relative(root, file);
+    diagnostics.push(d);
+  };
+  let rupa;
+  try {
+    rupa = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    report(`cannot read Rūpa file: ${err.message}`);
+    return null;
+  }
+  const { errors } = validateRupa(rupa);
+  errors.forEach(report);
+  return errors.length ? null : rupa;
+}
+
+function readManifest(file) {
+  try {
+    const manifest = JSON.parse(readFileSync(file, 'utf8'));
+    if (manifest.version === MANIFEST_VERSION) return manifest;
+  } catch {
+    // First build, or an unreadable manifest: build everything
+  }
+  return { entries: {} };
+}
+
+function hashFile(file) {
+  try {
+    return createHash('sha1').update(readFileSync(file)).digest('hex');
+  } catch {
+    return null;
+  }
+}
@@ -4,69 +4,254 @@
  * Validates parsed YAML component specs against the Yantra/Mudra schema.
  */
 
-import { resolveYantra, resolveMudra } from '@bodhi/tokens';
+import { resolveYantra, resolveMudra, resolveVoice } from '@bodhi/tokens';
+import { diagnostic, formatPath } from './diagnostics.js';
+import { checkSemantics } from './semantics.js';
 
 const VALID_EVENTS = ['click', 'input', 'change', 'keydown', 'keyup', 'focus', 'blur', 'submit'];
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+// Bound attribute names also appear in selectors (data-bodhi-attr-<name>),
+// so no namespaces (xlink:href) or dots
+const ATTRIBUTE_NAME = /^[A-Za-z][\w-]*$/;
+const EVENT_HANDLER = /^on/i;
+const PROP_TYPES = ['string', 'number', 'boolean'];
+const PROP_REF = /\{\{\s*([^}]*?)\s*\}\}/g;
+const STATUSES = ['idle', 'loading', 'error', 'empty', 'ready'];
+
+/**
+ * Properties that Praveśa inputs write back to their signal, and the
+ * event that reports the change.
+ */
+export const TWO_WAY_PROPS = { value: 'input', checked: 'change' };
+const STATUS_REF = new RegExp(`^[A-Za-z_$][\\w$]*\\.(${STATUSES.join('|')})$`);
 
 /**
  * Validate a component spec node (and its children recursively).
  * Returns an array of error strings. Empty array = valid.
  */
 export function validate(node, path = 'root') {
-  const errors = [];
+  return validateSpec(node).map(d => `${formatPath(d.path, path)}: ${d.message}`);
+}
+
+/**
+ * Validate a component spec and return structured diagnostics.
+ * Each diagnostic carries a `path` array (e.g. ['children', 2, 'mudras', 0])
+ * that the parser resolves to a YAML line/column range. A spec that passes
+ * the schema is then checked for ids, ARIA relationships and accessible
+ * names (see checkSemantics()).
+ */
+export function validateSpec(node) {
+  const diagnostics = [];
+  const report = (code, message, at) => diagnostics.push(diagnostic(code, message, { path: at }));
+  const component = checkInterface(node, report);
+  checkNode(node, [], diagnostics, { component, scope: null });
+  if (diagnostics.length === 0) diagnostics.push(...checkSemantics(node));
+  return diagnostics;
+}
+
+/**
+ * The props and slots a component spec declares at its root:
+ *
+ *   props:
+ *     title: string                          # shorthand for { type: string }
+ *     count: { type: number, default: 0 }
+ *     title: { type: string, required: true }
+ *   slots: [default, actions]
+ *
+ * Malformed entries are skipped here; checkInterface() reports them.
+ *
+ * @returns {{ props: Map<string, { type: string, default: *, required: boolean }>, slots: Set<string> }}
+ */
+export function componentInterface(spec) {
+  const props = new Map();
+  const slots = new Set();
+  if (!spec || typeof spec !== 'object' || spec.use !== undefined) return { props, slots };
+
+  if (isPlainObject(spec.props)) {
+    for (const [name, decl] of Object.entries(spec.props)) {
+      const { type, default: fallback, required = false } = typeof decl === 'string' ? { type: decl } : (decl || {});
+      if (PROP_TYPES.includes(type)) props.set(name, { type, default: fallback, required: required === true });
+    }
+  }
+  if (Array.isArray(spec.slots)) {
+    spec.slots.filter(name => typeof name === 'string').forEach(name => slots.add(name));
+  }
+  return { props, slots };
+}
+
+/**
+ * Validate the root `props:` / `slots:` declarations.
+ */
+function checkInterface(root, report) {
+  if (!root || typeof root !== 'object' || root.use !== undefined) return componentInterface(null);
+
+  if (root.props !== undefined) {
+    if (!isPlainObject(root.props)) {
+      report('invalid-props', '"props" must map prop names to types', ['props']);
+    } else {
+      for (const [name, decl] of Object.entries(root.props)) {
+        const at = ['props', name];
+        const spec = typeof decl === 'string' ? { type: decl } : decl;
+        if (!IDENTIFIER.test(name)) {
+          report('invalid-prop', `invalid prop name "${name}"`, at);
+        } else if (!isPlainObject(spec) || !PROP_TYPES.includes(spec.type)) {
+          report('invalid-prop', `prop "${name}" must have a type: ${PROP_TYPES.join(', ')}`, at);
+        } else if (spec.default !== undefined && typeof spec.default !== spec.type) {
+          report('invalid-prop', `default for prop "${name}" must be a ${spec.type}`, [...at, 'default']);
+        }
+      }
+    }
+  }
+
+  if (root.slots !== undefined) {
+    if (!Array.isArray(root.slots) || !root.slots.every(n => typeof n === 'string' && IDENTIFIER.test(n))) {
+      report('invalid-slots', '"slots" must be a list of slot names', ['slots']);
+    }
+  }
+
+  return componentInterface(root);
+}
+
+/**
+ * @param {object} ctx - { component: declared props/slots, scope: enclosing `each:` template ({ as }) or null }
+ */
+function checkNode(node, path, out, ctx) {
+  const report = (code, message, at = path) => out.push(diagnostic(code, message, { path: at }));
+  const { component, scope } = ctx;
 
   if (!node || typeof node !== 'object') {
-    errors.push(`${path}: spec must be an object`);
-    return errors;
+    report('invalid-node', 'spec must be an object');
+    return;
+  }
+
+  // Slot placeholder: replaced by the caller's nodes (or its own children)
+  if (node.slot !== undefined) {
+    checkSlot(node, path, out, ctx, report);
+    return;
+  }
+
+  checkPropRefs(node, path, component, report);
+  checkComponentFields(node, path, out, ctx, report);
+
+  // A `use:` reference takes its Yantra (and children) from another spec
+  if (node.use !== undefined) {
+    if (typeof node.use !== 'string' || !node.use) {
+      report('invalid-use', '"use" must be a path to a .bodhi.yaml spec', [...path, 'use']);
+    }
+    for (const key of ['children', 'views']) {
+      if (node[key] !== undefined) {
+        report('use-with-children', `"${key}" cannot be combined with "use"`, [...path, key]);
+      }
+    }
   }
 
   // Yantra is required
   if (!node.yantra) {
-    errors.push(`${path}: missing required "yantra" field`);
+    if (node.use === undefined) report('missing-yantra', 'missing required "yantra" field');
   } else {
+    let yantra = null;
     try {
-      resolveYantra(node.yantra);
+      yantra = resolveYantra(node.yantra);
     } catch {
-      errors.push(`${path}: unknown yantra "${node.yantra}"`);
+      report('unknown-yantra', `unknown yantra "${node.yantra}"`, [...path, 'yantra']);
+    }
+
+    // An element override must be one the Yantra's meaning allows
+    const allowed = yantra && [yantra.element, ...(yantra.alternateElements || [])];
+    if (allowed && node.element !== undefined && !allowed.includes(node.element)) {
+      report('invalid-element', `${yantra.sanskrit} renders as ${allowed.map(e => `<${e}>`).join(', ')}, not "${node.element}"`, [...path, 'element']);
+    }
+
+    // Rows are cloned after mount wires the write-back listeners, so an
+    // input in an `each:` template reports edits through `on:` instead
+    if (scope && yantra?.className === 'pravesa') {
+      for (const [prop, event] of Object.entries(TWO_WAY_PROPS)) {
+        if (node.bindProps?.[prop] === undefined) continue;
+        report('two-way-in-each', `"bindProps.${prop}" cannot write back inside an "each" template; handle "on: { ${event}: ... }", which gets the row's item`, [...path, 'bindProps', prop]);
+      }
     }
   }
 
   // Mudras are optional but must be valid
   if (node.mudras) {
     if (!Array.isArray(node.mudras)) {
-      errors.push(`${path}: "mudras" must be an array`);
+      report('invalid-mudras', '"mudras" must be an array', [...path, 'mudras']);
     } else {
-      for (const m of node.mudras) {
+      node.mudras.forEach((m, i) => {
         try {
           resolveMudra(m);
         } catch {
-          errors.push(`${path}: unknown mudra "${m}"`);
+          report('unknown-mudra', `unknown mudra "${m}"`, [...path, 'mudras', i]);
         }
-      }
+      });
+    }
+  }
+
+  // Voice (Lipi) is optional: how loud the node's text speaks
+  if (node.voice !== undefined) {
+    try {
+      resolveVoice(String(node.voice));
+    } catch {
+      report('unknown-voice', `unknown voice "${node.voice}"`, [...path, 'voice']);
     }
   }
 
   // Event handlers must reference valid events
   if (node.on) {
     if (typeof node.on !== 'object') {
-      errors.push(`${path}: "on" must be an object`);
+      report('invalid-on', '"on" must be an object', [...path, 'on']);
     } else {
       for (const event of Object.keys(node.on)) {
         if (!VALID_EVENTS.includes(event)) {
-          errors.push(`${path}: unknown event "${event}" in "on"`);
+          report('unknown-event', `unknown event "${event}" in "on"`, [...path, 'on', event]);
         }
       }
     }
   }
 
+  // Conditional rendering: `when:` shows the node while a signal is truthy,
+  // `unless:` while it is falsy. Inside an `each:` template the name may
+  // read an item field (`item.isPlaying`).
+  if (node.when !== undefined && node.unless !== undefined) {
+    report('when-with-unless', '"when" and "unless" cannot be combined', [...path, 'unless']);
+  }
+  for (const kind of ['when', 'unless']) {
+    if (node[kind] !== undefined && !isSignalRef(node[kind], scope)) {
+      report('invalid-condition', `"${kind}" must name a signal${scopeHint(scope)}`, [...path, kind]);
+    }
+  }
+
+  // Async states: `status: albums.loading` shows the node only while the
+  // `albumsStatus` signal (fed from a Cetanā resource()) is "loading"
+  if (node.status !== undefined) {
+    if (typeof node.status !== 'string' || !STATUS_REF.test(node.status)) {
+      report('invalid-status', `"status" must be a resource name and one of ${STATUSES.join(', ')} (e.g. "albums.loading")`, [...path, 'status']);
+    } else if (node.when !== undefined || node.unless !== undefined) {
+      report('status-with-condition', '"status" cannot be combined with "when" or "unless"', [...path, 'status']);
+    }
+  }
+
+  // Attribute and property bindings: { attribute-or-property: signal }
+  checkBindingMap(node, 'bindAttrs', ATTRIBUTE_NAME, path, scope, report);
+  checkBindingMap(node, 'bindProps', IDENTIFIER, path, scope, report);
+
+  // Repeat: `each:` renders its single child once per item of a list signal
+  let childScope = scope;
+  if (node.each !== undefined) {
+    childScope = checkEach(node, path, scope, report);
+  } else {
+    for (const key of ['key', 'as']) {
+      if (node[key] !== undefined) report('each-option-without-each', `"${key}" requires "each"`, [...path, key]);
+    }
+  }
+
   // Validate children recursively
   if (node.children) {
     if (!Array.isArray(node.children)) {
-      errors.push(`${path}: "children" must be an array`);
+      report('invalid-children', '"children" must be an array', [...path, 'children']);
     } else {
       node.children.forEach((child, i) => {
-        const childPath = `${path}.children[${i}]`;
-        errors.push(...validate(child, childPath));
+        checkNode(child, [...path, 'children', i], out, { ...ctx, scope: childScope });
       });
     }
   }
@@ -74,17 +259,165 @@ export function validate(node, path = 'root') {
   // Validate views (like children but with id)
   if (node.views) {
     if (!Array.isArray(node.views)) {
-      errors.push(`${path}: "views" must be an array`);
+      report('invalid-views', '"views" must be an array', [...path, 'views']);
     } else {
       node.views.forEach((view, i) => {
-        const viewPath = `${path}.views[${i}]`;
-        if (!view.id) {
-          errors.push(`${viewPath}: view missing required "id" field`);
+        const viewPath = [...path, 'views', i];
+        if (view && !view.id) {
+          report('missing-view-id', 'view missing required "id" field', viewPath);
         }
-        errors.push(...validate(view, viewPath));
+        checkNode(view, viewPath, out, ctx);
       });
     }
   }
+}
+
+/**
+ * Validate a `slot:` placeholder node.
+ */
+function checkSlot(node, path, out, ctx, report) {
+  if (typeof node.slot !== 'string' || !ctx.component.slots.has(node.slot)) {
+    report('unknown-slot', `slot "${node.slot}" is not declared in "slots"`, [...path, 'slot']);
+  }
+  for (const key of Object.keys(node)) {
+    if (key !== 'slot' && key !== 'children') {
+      report('invalid-slot-node', `slot placeholders only take "children" (fallback content), not "${key}"`, [...path, key]);
+    }
+  }
+  if (Array.isArray(node.children)) {
+    node.children.forEach((child, i) => checkNode(child, [...path, 'children', i], out, ctx));
+  }
+}
+
+/**
+ * Validate `props:` / `slots:` on a non-root node: arguments when the node
+ * has `use:`, otherwise an error (declarations belong at the root).
+ */
+function checkComponentFields(node, path, out, ctx, report) {
+  if (node.use === undefined) {
+    if (path.length > 0) {
+      for (const key of ['props', 'slots']) {
+        if (node[key] !== undefined) {
+          report('interface-not-root', `"${key}" can only be declared at the root of a component spec`, [...path, key]);
+        }
+      }
+    }
+    return;
+  }
+
+  if (node.props !== undefined && !isPlainObject(node.props)) {
+    report('invalid-props', '"props" passed to "use" must be an object', [...path, 'props']);
+  }
+  if (node.slots !== undefined) {
+    if (!isPlainObject(node.slots)) {
+      report('invalid-slots', '"slots" passed to "use" must map slot names to lists of nodes', [...path, 'slots']);
+      return;
+    }
+    for (const [name, nodes] of Object.entries(node.slots)) {
+      if (!Array.isArray(nodes)) {
+        report('invalid-slots', `slot "${name}" must be a list of nodes`, [...path, 'slots', name]);
+        continue;
+      }
+      nodes.forEach((child, i) => checkNode(child, [...path, 'slots', name, i], out, ctx));
+    }
+  }
+}
 
-  return errors;
+/**
+ * Every `{{ name }}` in a node's own values must name a declared prop.
+ * Child nodes and slot fills are checked when they are visited.
+ */
+function checkPropRefs(node, path, component, report) {
+  const isRoot = path.length === 0;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'children' || key === 'views') continue;
+    if (key === 'slots' && node.use !== undefined) continue;
+    if (isRoot && (key === 'props' || key === 'slots')) continue;
+    for (const name of propRefs(value)) {
+      if (!component.props.has(name)) {
+        report('unknown-prop', `"{{ ${name} }}" does not name a declared prop`, [...path, key]);
+      }
+    }
+  }
+}
+
+function propRefs(value, found = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PROP_REF)) found.push(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => propRefs(v, found));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(v => propRefs(v, found));
+  }
+  return found;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * A signal reference: a plain identifier, or an item field inside an
+ * `each:` template (`item.title`).
+ */
+function isSignalRef(name, scope) {
+  if (typeof name !== 'string') return false;
+  if (IDENTIFIER.test(name)) return true;
+  return Boolean(scope) && name.startsWith(`${scope.as}.`) && name.length > scope.as.length + 1;
+}
+
+function scopeHint(scope) {
+  return scope ? ` or a "${scope.as}." field` : '';
+}
+
+/**
+ * Validate a `bindAttrs:` / `bindProps:` map of target name → signal.
+ */
+function checkBindingMap(node, field, namePattern, path, scope, report) {
+  const map = node[field];
+  if (map === undefined) return;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    report('invalid-binding-map', `"${field}" must be an object`, [...path, field]);
+    return;
+  }
+  for (const [name, ref] of Object.entries(map)) {
+    if (!namePattern.test(name)) {
+      report('invalid-binding-target', `invalid ${field === 'bindAttrs' ? 'attribute' : 'property'} name "${name}" in "${field}"`, [...path, field, name]);
+    } else if (EVENT_HANDLER.test(name)) {
+      report('event-handler-binding', `"${field}.${name}" would let a signal set an event handler; use "on:" instead`, [...path, field, name]);
+    } else if (!isSignalRef(ref, scope)) {
+      report('invalid-binding-signal', `"${field}.${name}" must name a signal${scopeHint(scope)}`, [...path, field, name]);
+    }
+  }
+}
+
+/**
+ * Validate an `each:` repeat node and return the scope its template
+ * children are checked in.
+ */
+function checkEach(node, path, scope, report) {
+  const as = node.as === undefined ? 'item' : node.as;
+
+  if (typeof node.each !== 'string' || !IDENTIFIER.test(node.each)) {
+    report('invalid-each', '"each" must name a list signal', [...path, 'each']);
+  }
+  if (scope) {
+    report('nested-each', '"each" cannot be nested inside another "each" template', [...path, 'each']);
+  }
+  if (node.bind !== undefined) {
+    report('each-with-bind', '"bind" cannot be combined with "each" (the list is already bound)', [...path, 'bind']);
+  }
+  if (typeof as !== 'string' || !IDENTIFIER.test(as)) {
+    report('invalid-each-as', '"as" must be an identifier', [...path, 'as']);
+  }
+  if (node.key !== undefined) {
+    const keys = Array.isArray(node.key) ? node.key : [node.key];
+    if (!keys.length || !keys.every(k => typeof k === 'string' && k)) {
+      report('invalid-each-key', '"key" must be an item field name or a list of field names', [...path, 'key']);
+    }
+  }
+  if (!Array.isArray(node.children) || node.children.length !== 1) {
+    report('each-template', '"each" requires exactly one child to use as the item template', [...path, 'each']);
+  }
+  return { as };
 }
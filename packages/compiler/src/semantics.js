@@ -0,0 +1,269 @@
+/**
+ * Bodhi Semantics Validation
+ *
+ * Checks what no single node can show on its own: that ids are unique,
+ * that `aria-controls` and the other id references point at something,
+ * that ARIA composite roles have the parts they need (a tablist owns
+ * tabs, a grid owns rows of cells), and that every Kriyā and Praveśa
+ * has an accessible name.
+ *
+ * A spec file on its own may not be the whole tree: the element an id
+ * reference names, the label for an input, or the tablist around a tab
+ * can be in another file, and a using node can give the spec's root
+ * another role. Such findings are only reported when checking a
+ * composed tree (`composed: true`), which compose() does for every
+ * compiled spec.
+ */
+
+import { resolveYantra, implicitRoles } from '@bodhi/tokens';
+import { diagnostic } from './diagnostics.js';
+
+// Attributes whose value is an id (or a space-separated list of ids)
+const IDREF_ATTRIBUTES = [
+  'aria-controls', 'aria-labelledby', 'aria-describedby', 'aria-owns', 'aria-activedescendant',
+  'aria-flowto', 'aria-details', 'aria-errormessage', 'for',
+];
+const NAME_ATTRIBUTES = ['aria-label', 'aria-labelledby', 'title'];
+const PROP_REF = /\{\{[^}]*\}\}/;
+
+// Roles that convey nothing, so ownership passes through them
+const TRANSPARENT_ROLES = [null, 'generic', 'none', 'presentation'];
+
+// Composite roles: the roles they must own, and where their parts belong
+const OWNS = { tablist: ['tab'], grid: ['row'], treegrid: ['row'], row: ['gridcell', 'cell', 'columnheader', 'rowheader'] };
+const OWNED_BY = {
+  tab: ['tablist'],
+  row: ['grid', 'treegrid', 'table'],
+  gridcell: ['row'],
+  columnheader: ['row'],
+  rowheader: ['row'],
+};
+// Row groups sit between a grid and its rows
+const PASS_THROUGH = ['rowgroup'];
+
+/**
+ * Check a spec tree's ids, ARIA relationships and accessible names.
+ *
+ * @param {object} spec - Spec tree (a single file, or composed)
+ * @param {object} [options]
+ * @param {boolean} [options.composed=false] - The tree is complete: every
+ *   `use:` is resolved and its root is the page or component root
+ * @returns {object[]} Diagnostics
+ */
+export function checkSemantics(spec, { composed = false } = {}) {
+  const out = [];
+  const report = (code, message, path) => out.push(diagnostic(code, message, { path }));
+
+  const nodes = [];
+  walk(spec, [], [], null, (node, path, ancestors, template) => nodes.push({ node, path, ancestors, template }));
+
+  // Ids: unique across the tree, and not repeated by an `each:` template
+  const ids = new Set();
+  for (const { node, path, template } of nodes) {
+    for (const [id, at] of idsOf(node, path)) {
+      if (ids.has(id)) report('duplicate-id', `id "${id}" is used more than once`, at);
+      else if (template) report('duplicate-id', `id "${id}" is inside an "each" template and repeats for every item`, at);
+      ids.add(id);
+    }
+  }
+
+  // Id references point at an element in the tree
+  const labelled = new Set();
+  for (const { node, path } of nodes) {
+    const attrs = node.attributes || {};
+    for (const attr of IDREF_ATTRIBUTES) {
+      const value = attrs[attr];
+      if (typeof value !== 'string' || PROP_REF.test(value)) continue;
+      if (attr === 'for' && elementOf(node) !== 'label') continue;
+      for (const id of value.trim().split(/\s+/).filter(Boolean)) {
+        if (attr === 'for') labelled.add(id);
+        if (!ids.has(id) && composed) {
+          report('unknown-id-reference', `"${attr}" refers to id "${id}", which no element has`, [...path, 'attributes', attr]);
+        }
+      }
+    }
+  }
+
+  for (const { node, path, ancestors } of nodes) {
+    if (node.use !== undefined || node.slot !== undefined) continue;
+    const role = roleOf(node);
+
+    // Composite roles own their parts (a using node may replace the root's role)...
+    if (OWNS[role] && (composed || path.length > 0)) {
+      const { owned, unknown } = ownedBy(node);
+      if (!unknown && !owned.some(r => OWNS[role].includes(r))) {
+        report('aria-missing-owned', `role "${role}" must contain ${list(OWNS[role])}`, rolePath(node, path));
+      }
+    }
+    // ...and the parts sit inside them
+    if (OWNED_BY[role]) {
+      const owner = ancestors.map(roleOf).filter(r => !TRANSPARENT_ROLES.includes(r) && !PASS_THROUGH.includes(r)).pop();
+      if (owner ? !OWNED_BY[role].includes(owner) : composed) {
+        report('aria-missing-owner', `role "${role}" must be inside ${list(OWNED_BY[role])}`, rolePath(node, path));
+      }
+    }
+    // A tabpanel is named by its tab, or labelled itself
+    if (role === 'tabpanel' && composed && !hasName(node) && !controlledByTab(node, nodes)) {
+      report('missing-accessible-name', 'role "tabpanel" needs a tab with "aria-controls" pointing at it, or an "aria-label"', rolePath(node, path));
+    }
+
+    // Actions and inputs must say what they are
+    const yantra = yantraOf(node);
+    if (yantra === 'kriya' && !hasName(node) && !hasText(node)) {
+      if (composed || !hasOpening(node)) {
+        report('missing-accessible-name', 'Kriyā needs text content, or an "aria-label"', path);
+      }
+    }
+    if (yantra === 'pravesa' && composed && !hasName(node) && !isSelfNamed(node)) {
+      const id = idsOf(node, path).map(([id]) => id)[0];
+      const wrapped = ancestors.some(a => elementOf(a) === 'label');
+      if (!wrapped && !(id && labelled.has(id))) {
+        report('missing-accessible-name', 'Praveśa needs an "aria-label", "aria-labelledby", or a label element pointing at its id', path);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Visit every node with its path, its ancestors, and whether it sits in
+ * an `each:` template. Slot content passed to a `use:` node is visited too.
+ */
+function walk(node, path, ancestors, template, visit) {
+  if (!node || typeof node !== 'object') return;
+  visit(node, path, ancestors, template);
+  const inner = [...ancestors, node];
+  const repeated = template || node.each !== undefined;
+  for (const key of ['children', 'views']) {
+    if (Array.isArray(node[key])) {
+      node[key].forEach((child, i) => walk(child, [...path, key, i], inner, key === 'children' ? repeated : template, visit));
+    }
+  }
+  if (node.use !== undefined && node.slots && typeof node.slots === 'object') {
+    for (const [name, nodes] of Object.entries(node.slots)) {
+      if (Array.isArray(nodes)) nodes.forEach((child, i) => walk(child, [...path, 'slots', name, i], inner, template, visit));
+    }
+  }
+}
+
+/**
+ * The ids a node renders, with the path each is written at.
+ */
+function idsOf(node, path) {
+  const found = [];
+  if (typeof node.id === 'string' && node.id) found.push([node.id, [...path, 'id']]);
+  const attr = node.attributes?.id;
+  if (typeof attr === 'string' && attr && !PROP_REF.test(attr)) found.push([attr, [...path, 'attributes', 'id']]);
+  return found;
+}
+
+/**
+ * The roles a node owns: its descendants' roles, looking through nodes
+ * whose role conveys nothing. `unknown` is set when part of the subtree
+ * comes from a `use:` reference or slot.
+ */
+function ownedBy(node) {
+  const owned = [];
+  let unknown = false;
+  const visit = parent => {
+    for (const child of [...(parent.children || []), ...(parent.views || [])]) {
+      if (!child || typeof child !== 'object') continue;
+      if (child.use !== undefined || child.slot !== undefined) {
+        unknown = true;
+        continue;
+      }
+      const role = roleOf(child);
+      if (TRANSPARENT_ROLES.includes(role) || PASS_THROUGH.includes(role)) visit(child);
+      else owned.push(role);
+    }
+  };
+  visit(node);
+  return { owned, unknown };
+}
+
+/**
+ * A node's role: explicit, else its Yantra's, else its element's own.
+ */
+function roleOf(node) {
+  const explicit = node.attributes?.role;
+  if (typeof explicit === 'string' && explicit.trim()) return explicit.trim().split(/\s+/)[0];
+  let yantra;
+  try {
+    yantra = resolveYantra(node.yantra);
+  } catch {
+    return null;
+  }
+  return yantra.role || implicitRoles[node.element || yantra.element] || null;
+}
+
+function rolePath(node, path) {
+  return node.attributes?.role !== undefined ? [...path, 'attributes', 'role'] : path;
+}
+
+function elementOf(node) {
+  if (node.element) return node.element;
+  try {
+    return resolveYantra(node.yantra).element;
+  } catch {
+    return null;
+  }
+}
+
+function yantraOf(node) {
+  try {
+    return resolveYantra(node.yantra).className;
+  } catch {
+    return null;
+  }
+}
+
+function hasName(node) {
+  const attrs = node.attributes || {};
+  return NAME_ATTRIBUTES.some(a => isFilled(attrs[a]) || node.bindAttrs?.[a] !== undefined);
+}
+
+/**
+ * Whether a node, or anything inside it, shows text.
+ */
+function hasText(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.bind || isFilled(node.content)) return true;
+  return [...(node.children || []), ...(node.views || [])].some(hasText);
+}
+
+/**
+ * Whether a subtree has a `use:` reference or slot that could supply text.
+ */
+function hasOpening(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.use !== undefined || node.slot !== undefined) return true;
+  return [...(node.children || []), ...(node.views || [])].some(hasOpening);
+}
+
+/**
+ * Inputs whose type gives them a name of their own.
+ */
+function isSelfNamed(node) {
+  const attrs = node.attributes || {};
+  if (attrs.type === 'hidden') return true;
+  if (['submit', 'reset', 'button'].includes(attrs.type)) return true;
+  return attrs.type === 'image' && isFilled(attrs.alt);
+}
+
+function controlledByTab(panel, nodes) {
+  const ids = idsOf(panel, []).map(([id]) => id);
+  return nodes.some(({ node }) => roleOf(node) === 'tab'
+    && typeof node.attributes?.['aria-controls'] === 'string'
+    && node.attributes['aria-controls'].split(/\s+/).some(id => ids.includes(id)));
+}
+
+function isFilled(value) {
+  return (typeof value === 'string' && value.trim() !== '') || typeof value === 'number';
+}
+
+function list(roles) {
+  const quoted = roles.map(r => `"${r}"`);
+  const names = quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted.at(-1)}` : quoted[0];
+  return `an element with role ${names}`;
+}
@@ -0,0 +1,123 @@
+/**
+ * Bodhi Source Maps
+ *
+ * Every spec node remembers where it was written: parse() records the
+ * file, line and column of each node, and composition carries that
+ * origin along as nodes are copied and spliced. Emitters read it back
+ * to build v3 source maps for CSS and JS and the dev-mode
+ * `data-bodhi-src` attribute in HTML.
+ *
+ * The origin is stored under a non-enumerable symbol, so specs still
+ * compare and serialize as plain data.
+ */
+
+import { locate } from './diagnostics.js';
+
+const ORIGIN = Symbol('bodhi.origin');
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * @returns {{ file: string|null, line: number, column: number, path: Array<string|number> }|null}
+ */
+export function originOf(node) {
+  return (node && typeof node === 'object' && node[ORIGIN]) || null;
+}
+
+/**
+ * Copy a node's origin onto a copy of it. Returns the copy.
+ */
+export function keepOrigin(copy, from) {
+  const origin = originOf(from);
+  if (origin && copy && typeof copy === 'object') {
+    Object.defineProperty(copy, ORIGIN, { value: origin, configurable: true });
+  }
+  return copy;
+}
+
+/**
+ * Record the source position of every node in a parsed spec.
+ *
+ * @param {object} spec - Spec from the parsed document
+ * @param {object} source - The `source` built by parse()
+ */
+export function annotate(spec, source, path = []) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return;
+  const at = locate(source, path);
+  if (at) Object.defineProperty(spec, ORIGIN, { value: { file: source.file, ...at, path }, configurable: true });
+
+  for (const key of ['children', 'views']) {
+    if (Array.isArray(spec[key])) spec[key].forEach((child, i) => annotate(child, source, [...path, key, i]));
+  }
+  if (spec.use !== undefined && spec.slots && typeof spec.slots === 'object') {
+    for (const [name, nodes] of Object.entries(spec.slots)) {
+      if (Array.isArray(nodes)) nodes.forEach((child, i) => annotate(child, source, [...path, 'slots', name, i]));
+    }
+  }
+}
+
+/**
+ * Builds a v3 source map with line granularity: each generated line
+ * maps to the start of the spec node that produced it.
+ */
+export class SourceMapBuilder {
+  constructor(file = null) {
+    this.file = file;
+    this.lines = [];
+  }
+
+  /**
+   * Map generated lines [start, end) to a node's origin. Lines already
+   * mapped keep their first mapping.
+   */
+  mapLines(start, end, node) {
+    const origin = originOf(node);
+    if (!origin) return;
+    for (let line = start; line < end; line++) {
+      if (!this.lines[line]) this.lines[line] = origin;
+    }
+  }
+
+  /**
+   * @returns {{ version: 3, file?: string, sources: string[], names: string[], mappings: string }}
+   */
+  toJSON() {
+    const sources = [];
+    const prev = { source: 0, line: 0, column: 0 };
+    const rows = [];
+    const count = this.lines.length;
+
+    for (let i = 0; i < count; i++) {
+      const origin = this.lines[i];
+      if (!origin) {
+        rows.push('');
+        continue;
+      }
+      const file = origin.file || '<spec>';
+      if (!sources.includes(file)) sources.push(file);
+      const source = sources.indexOf(file);
+      const line = origin.line - 1;
+      const column = origin.column - 1;
+      rows.push(vlq(0) + vlq(source - prev.source) + vlq(line - prev.line) + vlq(column - prev.column));
+      Object.assign(prev, { source, line, column });
+    }
+
+    const map = { version: 3 };
+    if (this.file) map.file = this.file;
+    return Object.assign(map, { sources, names: [], mappings: rows.join(';') });
+  }
+}
+
+/**
+ * Base64 VLQ encoding of one signed integer.
+ */
+function vlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (rest > 0);
+  return out;
+}
@@ -1,11 +1,22 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { compile } from '../src/index.js';
-import { emitHtml } from '../src/emitters/html.js';
-import { emitCss } from '../src/emitters/css.js';
+import { resolve, join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { compile, registerVocabulary } from '../src/index.js';
+import { emitHtml, renderToString } from '../src/emitters/html.js';
+import { emitCss, emitStylesheet } from '../src/emitters/css.js';
 import { emitJs } from '../src/emitters/js.js';
-import { validate } from '../src/schema.js';
+import { emitReact } from '../src/emitters/react.js';
+import { Linter } from 'eslint';
+import bodhi from 'eslint-plugin-bodhi';
+import { emitElement, elementName } from '../src/emitters/element.js';
+import { validate, validateSpec } from '../src/schema.js';
 import { parse } from '../src/parser.js';
+import { formatDiagnostic } from '../src/diagnostics.js';
+import { lintSpec } from '../src/ethics.js';
+import { checkSemantics } from '../src/semantics.js';
 
 // ── YAML Parsing ──────────────────────────────────────────────
 
@@ -237,6 +248,60 @@ describe('CSS Emitter — Yantra base styles', () => {
   });
 });
 
+// ── CSS Emitter: layered stylesheet ───────────────────────────
+
+describe('CSS Emitter — layered stylesheet', () => {
+  const queue = {
+    component: 'QueueView', yantra: 'Suci', class: 'queue-list', mudras: ['Stupa'],
+    children: [{ yantra: 'Bindu', class: 'item', mudras: ['Saṃkṣipta'] }],
+  };
+  const albums = {
+    component: 'AlbumsView', yantra: 'Sangraha', mudras: ['Jala'],
+    children: [{ yantra: 'Bindu', class: 'item', mudras: ['Samksipta'], voice: 'Japa' }],
+  };
+  const count = (css, text) => css.split(text).length - 1;
+
+  it('declares the layer order before any rule', () => {
+    const css = emitStylesheet([queue]);
+    const statement = '@layer bodhi.base, bodhi.yantra, bodhi.mudra, bodhi.component;';
+    assert.ok(css.includes(statement));
+    assert.ok(css.indexOf(statement) < css.indexOf('{'));
+  });
+
+  it('emits each shared rule once across specs', () => {
+    const css = emitStylesheet([queue, albums, { yantra: 'Garbha', children: [queue] }]);
+    assert.equal(count(css, '.kriya:focus-visible'), 1);
+    assert.equal(count(css, 'prefers-reduced-motion'), 1);
+    assert.equal(count(css, '  .bindu {'), 1);
+    assert.equal(count(css, '.mudra-samksipta, [data-bodhi-mudra~="samksipta"] {'), 1);
+    assert.equal(count(css, '[data-bodhi-voice="japa"] {'), 1);
+  });
+
+  it('puts each kind of rule in its layer', () => {
+    const css = emitStylesheet([queue, albums]);
+    const layer = name => css.slice(css.indexOf(`@layer ${name} {`), css.indexOf('\n}\n', css.indexOf(`@layer ${name} {`)));
+    assert.ok(layer('bodhi.base').includes('outline-offset: 2px'));
+    assert.ok(layer('bodhi.base').includes('transition-duration: 0ms !important;'));
+    assert.ok(layer('bodhi.yantra').includes('.sangraha {'));
+    assert.ok(layer('bodhi.mudra').includes('.mudra-jala, [data-bodhi-mudra~="jala"] {'));
+    assert.ok(layer('bodhi.component').includes('.queue-list:where([data-bodhi-component="QueueView"]) {'));
+  });
+
+  it('scopes class hooks to their component', () => {
+    const css = emitStylesheet([queue, albums]);
+    assert.ok(css.includes(':where([data-bodhi-component="QueueView"]) .item {'));
+    assert.ok(css.includes(':where([data-bodhi-component="AlbumsView"]) .item {'));
+    assert.ok(!css.includes('\n  .item {'));
+  });
+
+  it('skips empty layers and Mudrās without declarations', () => {
+    const css = emitStylesheet([{ yantra: 'Darsana', mudras: ['Gupta'] }]);
+    assert.ok(!css.includes('@layer bodhi.component {'));
+    assert.ok(css.includes('.mudra-gupta[data-bodhi-hidden="true"]'));
+    assert.ok(!css.includes('@layer bodhi.mudra {'));
+  });
+});
+
 // ── JS Emitter ────────────────────────────────────────────────
 
 describe('JS Emitter', () => {
@@ -266,6 +331,14 @@ describe('JS Emitter', () => {
     const js = emitJs({ yantra: 'Kriya', on: { click: 'fn' } });
     assert.ok(js.includes("removeEventListener('click'"));
   });
+
+  it('leaves subscriptions to the mount() and removes listeners with onCleanup()', () => {
+    const js = emitJs({ yantra: 'Kriya', bind: 'label', on: { click: 'fn' } });
+    assert.ok(js.includes("import { signal, computed, mount, onCleanup } from '@bodhi/cetana';"));
+    assert.ok(js.includes('    label.subscribe(bindLabel);'));
+    assert.ok(js.includes("      onCleanup(() => target.removeEventListener('click', fn));"));
+    assert.ok(!js.includes('unsubs'));
+  });
 });
 
 // ── Full compile() integration ────────────────────────────────
@@ -329,3 +402,965 @@ children:
     assert.equal(result.js, '');
   });
 });
+
+// ── Diagnostics ───────────────────────────────────────────────
+
+describe('Diagnostics', () => {
+  const yaml = [
+    'yantra: Garbha',
+    'children:',
+    '  - yantra: Vakya',
+    '    mudras: [Stupa, Fast]',
+    '  - yantra: Kriya',
+    '    on:',
+    '      clik: go',
+    '',
+  ].join('\n');
+
+  it('reports structured diagnostics with code, severity and path', () => {
+    const { diagnostics } = compile(yaml);
+    const d = diagnostics.find(x => x.code === 'unknown-mudra');
+    assert.equal(d.severity, 'error');
+    assert.deepEqual(d.path, ['children', 0, 'mudras', 1]);
+    assert.equal(d.message, 'unknown mudra "Fast"');
+  });
+
+  it('locates diagnostics by YAML line and column', () => {
+    const { diagnostics } = compile(yaml);
+    const mudra = diagnostics.find(x => x.code === 'unknown-mudra');
+    assert.deepEqual(mudra.range.start, { line: 4, column: 21 });
+    assert.deepEqual(mudra.range.end, { line: 4, column: 25 });
+    const event = diagnostics.find(x => x.code === 'unknown-event');
+    assert.deepEqual(event.range.start, { line: 7, column: 7 });
+  });
+
+  it('renders a code frame with a caret under the offending key', () => {
+    const { diagnostics } = compile(yaml, { filename: 'view.bodhi.yaml' });
+    const event = diagnostics.find(x => x.code === 'unknown-event');
+    assert.ok(event.frame.includes('> 7 |       clik: go'));
+    assert.ok(event.frame.includes('|       ^^^^'));
+    assert.ok(formatDiagnostic(event).startsWith('view.bodhi.yaml:7:7 error unknown-event:'));
+  });
+
+  it('keeps legacy error strings alongside diagnostics', () => {
+    const { errors } = compile(yaml);
+    assert.ok(errors.includes('root.children[0].mudras[1]: unknown mudra "Fast"'));
+  });
+
+  it('locates YAML syntax errors', () => {
+    const { diagnostics } = parse('a: [1\nb: 2\n');
+    assert.equal(diagnostics[0].code, 'yaml-syntax');
+    assert.equal(diagnostics[0].range.start.line, 2);
+  });
+
+  it('returns no diagnostics for a valid spec', () => {
+    assert.deepEqual(compile('yantra: Garbha\n').diagnostics, []);
+  });
+});
+
+// ── Composition (use:) ────────────────────────────────────────
+
+// In-memory spec files keyed by absolute path
+function files(map) {
+  const byPath = new Map(Object.entries(map).map(([name, src]) => [resolve('/specs', name), src]));
+  return (path) => {
+    if (!byPath.has(path)) throw new Error(`ENOENT: ${path}`);
+    return byPath.get(path);
+  };
+}
+
+describe('Composition — use:', () => {
+  const readFile = files({
+    'queue.bodhi.yaml': 'component: QueueView\nyantra: Suci\nclass: queue-list\nattributes:\n  aria-label: Queue\n',
+    'a.bodhi.yaml': 'yantra: Darsana\nchildren:\n  - use: ./b.bodhi.yaml\n',
+    'b.bodhi.yaml': 'yantra: Darsana\nchildren:\n  - use: ./a.bodhi.yaml\n',
+    'broken.bodhi.yaml': 'yantra: Darsana\nmudras: [Nope]\n',
+  });
+
+  it('splices a referenced spec into the tree', () => {
+    const yaml = 'yantra: Garbha\nviews:\n  - id: queue\n    use: ./queue.bodhi.yaml\n';
+    const result = compile(yaml, { filename: '/specs/shell.bodhi.yaml', readFile });
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.html.includes('data-bodhi-component="QueueView"'));
+    assert.ok(result.html.includes('id="queue"'));
+    assert.ok(result.css.includes('.suci'));
+    assert.deepEqual(result.dependencies, [resolve('/specs/queue.bodhi.yaml')]);
+  });
+
+  it('layers the using node over the referenced root', () => {
+    const yaml = [
+      'yantra: Garbha',
+      'children:',
+      '  - use: ./queue.bodhi.yaml',
+      '    class: panel',
+      '    attributes:',
+      '      role: tabpanel',
+      '',
+    ].join('\n');
+    const { html } = compile(yaml, { filename: '/specs/shell.bodhi.yaml', readFile });
+    assert.ok(html.includes('class="suci queue-list panel"'));
+    assert.ok(html.includes('role="tabpanel"'));
+    assert.ok(html.includes('aria-label="Queue"'));
+  });
+
+  it('detects circular references', () => {
+    const result = compile(readFile(resolve('/specs/a.bodhi.yaml')), { filename: '/specs/a.bodhi.yaml', readFile });
+    const cycle = result.diagnostics.find(d => d.code === 'use-cycle');
+    assert.ok(cycle, 'expected a use-cycle diagnostic');
+    assert.ok(cycle.message.includes('a.bodhi.yaml → b.bodhi.yaml → a.bodhi.yaml'));
+    assert.equal(result.html, '');
+  });
+
+  it('reports missing referenced specs at the use key', () => {
+    const yaml = 'yantra: Garbha\nchildren:\n  - use: ./missing.bodhi.yaml\n';
+    const { diagnostics } = compile(yaml, { filename: '/specs/shell.bodhi.yaml', readFile });
+    assert.equal(diagnostics[0].code, 'use-not-found');
+    assert.deepEqual(diagnostics[0].range.start, { line: 3, column: 5 });
+  });
+
+  it('reports errors inside referenced specs against that file', () => {
+    const yaml = 'yantra: Garbha\nchildren:\n  - use: ./broken.bodhi.yaml\n';
+    const result = compile(yaml, { filename: '/specs/shell.bodhi.yaml', readFile });
+    assert.ok(result.errors.some(e => e.startsWith('/specs/broken.bodhi.yaml: root.mudras[0]')));
+    assert.equal(result.diagnostics[0].file, '/specs/broken.bodhi.yaml');
+  });
+
+  it('reports an invalid spec two levels down without expanding it', () => {
+    const readNested = files({
+      'b.bodhi.yaml': 'yantra: Darsana\nchildren:\n  - use: ./c.bodhi.yaml\n    slots: [{ yantra: Vakya }]\n',
+      'c.bodhi.yaml': 'yantra: Darsana\nslots: [body]\nchildren:\n  - slot: body\n',
+    });
+    const yaml = 'yantra: Garbha\nchildren:\n  - use: ./b.bodhi.yaml\n';
+    const result = compile(yaml, { filename: '/specs/a.bodhi.yaml', readFile: readNested });
+    const invalid = result.diagnostics.find(d => d.file === '/specs/b.bodhi.yaml');
+    assert.ok(invalid, 'expected a diagnostic against b.bodhi.yaml');
+    assert.equal(invalid.severity, 'error');
+    assert.ok(result.errors.length > 0);
+  });
+
+  it('rejects children alongside use', () => {
+    const errs = validate({ use: './x.bodhi.yaml', children: [] });
+    assert.ok(errs.some(e => e.includes('cannot be combined with "use"')));
+  });
+});
+
+// ── Repeat (each:) ────────────────────────────────────────────
+
+describe('Repeat — each:', () => {
+  const spec = {
+    yantra: 'Suci',
+    each: 'queueItems',
+    key: 'id',
+    children: [{
+      yantra: 'Bindu',
+      children: [
+        { yantra: 'Vakya', element: 'span', bind: 'item.title' },
+        { yantra: 'Kriya', content: 'Remove', on: { click: 'removeFromQueue' } },
+      ],
+    }],
+  };
+
+  it('validates each with a single template child', () => {
+    assert.deepEqual(validate(spec), []);
+    const errs = validate({ yantra: 'Suci', each: 'items', children: [{ yantra: 'Bindu' }, { yantra: 'Bindu' }] });
+    assert.ok(errs.some(e => e.includes('exactly one child')));
+  });
+
+  it('rejects key without each, bind with each, and nested each', () => {
+    assert.ok(validate({ yantra: 'Suci', key: 'id' }).some(e => e.includes('"key" requires "each"')));
+    assert.ok(validate({ ...spec, bind: 'queueItems' }).some(e => e.includes('"bind" cannot be combined with "each"')));
+    const nested = { ...spec, children: [{ ...spec }] };
+    assert.ok(validate(nested).some(e => e.includes('cannot be nested')));
+  });
+
+  it('HTML wraps the item template in <template>', () => {
+    const html = emitHtml(spec);
+    assert.ok(html.includes('data-bodhi-each="queueItems"'));
+    assert.ok(html.includes('data-bodhi-key="id"'));
+    assert.ok(/<template>\s*<article class="bindu"/.test(html));
+  });
+
+  it('JS wires Cetana list() with a keyed render', () => {
+    const js = emitJs(spec);
+    assert.ok(js.includes("import { signal, computed, mount, list } from '@bodhi/cetana';"));
+    assert.ok(js.includes('export const queueItems = signal([]);'));
+    assert.ok(js.includes('list(container, queueItems, {'));
+    assert.ok(js.includes('key: item => item?.id,'));
+    assert.ok(js.includes("target.textContent = item?.title ?? ''"));
+  });
+
+  it('item-scoped binds do not become global signals', () => {
+    const js = emitJs(spec);
+    assert.ok(!js.includes('item.title = signal('));
+  });
+
+  it('template events receive the row item', () => {
+    const js = emitJs(spec);
+    assert.ok(js.includes("addEventListener('click', event => removeFromQueue(itemOf.get(node), event))"));
+  });
+
+  it('combines several key fields', () => {
+    const js = emitJs({ ...spec, key: ['artist', 'title'] });
+    assert.ok(js.includes('key: item => JSON.stringify([item?.artist, item?.title]),'));
+  });
+});
+
+// ── Conditional rendering (when:/unless:) ─────────────────────
+
+describe('Conditional rendering — when:/unless:', () => {
+  it('validates condition names', () => {
+    assert.deepEqual(validate({ yantra: 'Vakya', when: 'isPlaying' }), []);
+    assert.ok(validate({ yantra: 'Vakya', when: 'is playing' }).some(e => e.includes('"when" must name a signal')));
+    assert.ok(validate({ yantra: 'Vakya', when: 'a', unless: 'b' }).some(e => e.includes('cannot be combined')));
+  });
+
+  it('allows item fields inside an each template', () => {
+    const spec = { yantra: 'Suci', each: 'rows', children: [{ yantra: 'Bindu', when: 'item.visible' }] };
+    assert.deepEqual(validate(spec), []);
+    assert.ok(validate({ yantra: 'Bindu', when: 'item.visible' }).length > 0);
+  });
+
+  it('HTML starts when: hidden and unless: visible', () => {
+    assert.ok(emitHtml({ yantra: 'Vakya', when: 'isPlaying' }).includes('data-bodhi-when="isPlaying" hidden'));
+    const unless = emitHtml({ yantra: 'Vakya', unless: 'isPlaying' });
+    assert.ok(unless.includes('data-bodhi-unless="isPlaying"'));
+    assert.ok(!unless.includes('hidden'));
+  });
+
+  it('JS toggles hidden from a signal subscription', () => {
+    const js = emitJs({ yantra: 'Darsana', children: [
+      { yantra: 'Vakya', when: 'isPlaying' },
+      { yantra: 'Vakya', unless: 'isPlaying' },
+    ] });
+    assert.ok(js.includes('export const isPlaying = signal(null);'));
+    assert.ok(js.includes('target.hidden = !value;'));
+    assert.ok(js.includes('target.hidden = !!value;'));
+    assert.ok(js.includes('whenIsPlaying(isPlaying.get());'));
+    assert.ok(js.includes('isPlaying.subscribe(unlessIsPlaying);'));
+  });
+
+  it('CSS keeps hidden authoritative over Mudra display', () => {
+    const css = emitCss({ yantra: 'Darsana', mudras: ['Stupa'], when: 'open' });
+    assert.ok(css.includes('[data-bodhi-when][hidden]'));
+    assert.ok(!emitCss({ yantra: 'Darsana' }).includes('[data-bodhi-when]'));
+  });
+});
+
+describe('Async states — status:', () => {
+  const states = { yantra: 'Darsana', children: [
+    { yantra: 'Vakya', status: 'albums.loading', content: 'Loading albums…' },
+    { yantra: 'Vakya', status: 'albums.empty', content: 'No albums yet' },
+  ] };
+
+  it('validates status references', () => {
+    assert.deepEqual(validate(states), []);
+    assert.ok(validate({ yantra: 'Vakya', status: 'albums' }).some(e => e.includes('"status" must be a resource name')));
+    assert.ok(validate({ yantra: 'Vakya', status: 'albums.pending' }).some(e => e.includes('"status" must be a resource name')));
+    assert.ok(validate({ yantra: 'Vakya', status: 'albums.error', when: 'open' }).some(e => e.includes('cannot be combined')));
+  });
+
+  it('HTML starts hidden unless the rendered state matches', () => {
+    assert.ok(emitHtml(states).includes('data-bodhi-status="albums.loading" hidden'));
+    const html = renderToString(states, { albumsStatus: 'empty' });
+    assert.ok(html.includes('data-bodhi-status="albums.empty">'));
+    assert.ok(html.includes('data-bodhi-status="albums.loading" hidden'));
+  });
+
+  it('JS shows each node while its status signal matches', () => {
+    const js = emitJs(states);
+    assert.ok(js.includes('export const albumsStatus = signal(null);'));
+    assert.ok(js.includes("target.hidden = value !== 'loading';"));
+    assert.ok(js.includes('albumsStatus.subscribe(statusAlbumsEmpty);'));
+  });
+
+  it('CSS and React follow the same status', () => {
+    assert.ok(emitCss(states).includes('[data-bodhi-status][hidden]'));
+    const jsx = emitReact(states);
+    assert.ok(jsx.includes('{ albumsStatus }'));
+    assert.ok(jsx.includes("{albumsStatus === 'loading' ? ("));
+  });
+});
+
+// ── Attribute and property bindings ───────────────────────────
+
+describe('Bindings — bindAttrs:/bindProps:', () => {
+  const play = { yantra: 'Kriya', content: 'Play', bindAttrs: { 'aria-pressed': 'isPlaying', disabled: 'noTracks' } };
+  const slider = { yantra: 'Pravesa', attributes: { type: 'range', 'aria-label': 'Volume' }, bindProps: { value: 'volume' } };
+
+  it('validates binding maps', () => {
+    assert.deepEqual(validate(play), []);
+    assert.deepEqual(validate(slider), []);
+    assert.ok(validate({ yantra: 'Kriya', bindAttrs: 'x' }).some(e => e.includes('"bindAttrs" must be an object')));
+    assert.ok(validate({ yantra: 'Kriya', bindProps: { 'not-a-prop': 'x' } }).some(e => e.includes('invalid property name')));
+    assert.ok(validate({ yantra: 'Kriya', bindAttrs: { title: 'a b' } }).some(e => e.includes('must name a signal')));
+  });
+
+  it('rejects attribute names that cannot appear in a selector', () => {
+    const codes = spec => validateSpec(spec).map(d => d.code);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindAttrs: { 'xlink:href': 'link' } }), ['invalid-binding-target']);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindAttrs: { 'data.x': 'link' } }), ['invalid-binding-target']);
+  });
+
+  it('rejects binding event handler attributes and properties', () => {
+    const codes = spec => validateSpec(spec).map(d => d.code);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindAttrs: { onclick: 'handler' } }), ['event-handler-binding']);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindAttrs: { onMouseOver: 'handler' } }), ['event-handler-binding']);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindProps: { onclick: 'handler' } }), ['event-handler-binding']);
+  });
+
+  it('HTML marks bound attributes and properties', () => {
+    assert.ok(emitHtml(play).includes('data-bodhi-attr-aria-pressed="isPlaying"'));
+    assert.ok(emitHtml(slider).includes('data-bodhi-prop-value="volume"'));
+  });
+
+  it('JS sets attributes through setAttr', () => {
+    const js = emitJs(play);
+    assert.ok(js.includes('function setAttr(node, name, value)'));
+    assert.ok(js.includes("setAttr(target, 'aria-pressed', value);"));
+    assert.ok(js.includes('isPlaying.subscribe(attrAriaPressedIsPlaying);'));
+    assert.ok(js.includes("setAttr(target, 'disabled', value);"));
+  });
+
+  it('JS sets properties and writes Pravesa edits back (two-way)', () => {
+    const js = emitJs(slider);
+    assert.ok(js.includes("target.value = value ?? '';"));
+    assert.ok(js.includes('const write = () => volume.set(target.valueAsNumber);'));
+    assert.ok(js.includes("target.addEventListener('input', write);"));
+  });
+
+  it('checkbox checked binds two-way on change', () => {
+    const js = emitJs({ yantra: 'Pravesa', attributes: { type: 'checkbox' }, bindProps: { checked: 'shuffle' } });
+    assert.ok(js.includes('shuffle.set(target.checked)'));
+    assert.ok(js.includes("addEventListener('change', write)"));
+  });
+
+  it('rejects two-way inputs inside an each template', () => {
+    const row = input => ({ yantra: 'Suci', each: 'tasks', key: 'id', children: [{ yantra: 'Bindu', children: [input] }] });
+    const [d] = validateSpec(row({ yantra: 'Pravesa', attributes: { type: 'checkbox', 'aria-label': 'Done' }, bindProps: { checked: 'item.done' } }));
+    assert.equal(d.code, 'two-way-in-each');
+    assert.deepEqual(d.path, ['children', 0, 'children', 0, 'bindProps', 'checked']);
+    assert.match(d.message, /on: \{ change: \.\.\. \}/);
+    const codes = spec => validateSpec(spec).map(e => e.code);
+    assert.deepEqual(codes(row({ yantra: 'Pravesa', attributes: { 'aria-label': 'Note' }, bindProps: { value: 'draft' } })), ['two-way-in-each']);
+    assert.deepEqual(codes(row({ yantra: 'Pravesa', attributes: { 'aria-label': 'Note' }, on: { input: 'editNote' } })), []);
+  });
+
+  it('non-Pravesa property bindings are one-way', () => {
+    const js = emitJs({ yantra: 'Darsana', bindProps: { value: 'x' } });
+    assert.ok(!js.includes('const write'));
+  });
+
+  it('keeps static HTML state until the signal has a value', () => {
+    const js = emitJs(slider);
+    assert.ok(js.includes('if (volume.get() != null) propValueVolume(volume.get());'));
+  });
+});
+
+// ── Components (props:/slots:) ────────────────────────────────
+
+describe('Components — props:/slots:', () => {
+  const card = [
+    'component: Card',
+    'yantra: Darsana',
+    'class: "card {{ tone }}"',
+    'props:',
+    '  title: { type: string, required: true }',
+    '  tone: { type: string, default: plain }',
+    '  level: { type: number, default: 2 }',
+    'slots: [default, actions]',
+    'attributes:',
+    '  aria-level: "{{ level }}"',
+    'children:',
+    '  - yantra: Vakya',
+    '    content: "{{ title }}"',
+    '  - slot: default',
+    '  - yantra: Pada',
+    '    children:',
+    '      - slot: actions',
+    '        children:',
+    '          - yantra: Kriya',
+    '            content: Close',
+    '',
+  ].join('\n');
+  const readFile = files({ 'card.bodhi.yaml': card });
+  const use = (...lines) => compile(
+    ['yantra: Garbha', 'children:', '  - use: ./card.bodhi.yaml', ...lines, ''].join('\n'),
+    { filename: '/specs/page.bodhi.yaml', readFile },
+  );
+
+  it('substitutes prop values and defaults', () => {
+    const result = use('    props:', '      title: Now playing');
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.html.includes('Now playing'));
+    assert.ok(result.html.includes('card plain'));
+    assert.ok(result.html.includes('aria-level="2"'));
+    assert.ok(!result.html.includes('{{'));
+  });
+
+  it('fills slots with caller nodes and falls back to placeholder children', () => {
+    const { html, errors } = use(
+      '    props: { title: Queue }',
+      '    slots:',
+      '      default:',
+      '        - yantra: Vakya',
+      '          content: Three tracks',
+    );
+    assert.deepEqual(errors, []);
+    assert.ok(html.includes('Three tracks'));
+    assert.ok(html.includes('Close'));
+
+    const filled = use(
+      '    props: { title: Queue }',
+      '    slots:',
+      '      actions:',
+      '        - yantra: Kriya',
+      '          content: Clear',
+    );
+    assert.ok(filled.html.includes('Clear'));
+    assert.ok(!filled.html.includes('Close'));
+  });
+
+  it('reports missing, unknown and mistyped props at the using node', () => {
+    const missing = use('    props: { tone: loud }');
+    assert.equal(missing.diagnostics[0].code, 'missing-prop');
+    assert.deepEqual(missing.diagnostics[0].range.start, { line: 3, column: 5 });
+
+    const unknown = use('    props: { title: Queue, size: 3 }');
+    assert.deepEqual(unknown.diagnostics.map(d => d.code), ['unknown-prop-arg']);
+    assert.deepEqual(unknown.diagnostics[0].path, ['children', 0, 'props', 'size']);
+
+    const mistyped = use('    props: { title: Queue, level: high }');
+    assert.ok(mistyped.errors.some(e => e.includes('prop "level" of "./card.bodhi.yaml" must be a number')));
+  });
+
+  it('reports slot content for undeclared slots', () => {
+    const { diagnostics } = use('    props: { title: Queue }', '    slots:', '      footer: []');
+    assert.equal(diagnostics[0].code, 'unknown-slot-fill');
+  });
+
+  it('forwards the caller\'s own props through arguments', () => {
+    const panel = 'yantra: Garbha\nprops:\n  heading: string\nchildren:\n  - use: ./card.bodhi.yaml\n    props: { title: "{{ heading }}", level: 3 }\n';
+    const result = compile(
+      'yantra: Garbha\nchildren:\n  - use: ./panel.bodhi.yaml\n    props: { heading: Albums }\n',
+      { filename: '/specs/page.bodhi.yaml', readFile: files({ 'card.bodhi.yaml': card, 'panel.bodhi.yaml': panel }) },
+    );
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.html.includes('Albums'));
+    assert.ok(result.html.includes('aria-level="3"'));
+  });
+
+  it('validates declarations and references in the component spec', () => {
+    const codes = spec => validateSpec(spec).map(d => d.code);
+    assert.deepEqual(codes({ yantra: 'Vakya', content: '{{ title }}' }), ['unknown-prop']);
+    assert.deepEqual(codes({ yantra: 'Vakya', props: { title: 'text' } }), ['invalid-prop']);
+    assert.deepEqual(codes({ yantra: 'Vakya', props: { n: { type: 'number', default: 'x' } } }), ['invalid-prop']);
+    assert.deepEqual(codes({ yantra: 'Darsana', children: [{ slot: 'body' }] }), ['unknown-slot']);
+    assert.deepEqual(codes({ yantra: 'Darsana', children: [{ yantra: 'Vakya', props: {} }] }), ['interface-not-root']);
+    assert.deepEqual(codes({ yantra: 'Darsana', slots: ['body'], children: [{ slot: 'body', yantra: 'Vakya' }] }), ['invalid-slot-node']);
+  });
+});
+
+// ── Ethics markers (M1–M9) ────────────────────────────────────
+
+// No built-in Yantra is a form; the fixtures below declare one as a
+// project would in bodhi.config.js
+registerVocabulary({ yantras: { Patra: { element: 'form', purpose: 'A form the user fills in' } } });
+
+describe('Ethics markers', () => {
+  const markers = (spec, mode) => lintSpec(spec, { mode }).map(d => d.marker);
+  const consent = [
+    'yantra: Patra',
+    'children:',
+    '  - yantra: Pravesa',
+    '    attributes:',
+    '      type: checkbox',
+    '      name: marketing-consent',
+    '      checked: true',
+    '      aria-label: Send me offers',
+    '  - yantra: Kriya',
+    '    content: Accept',
+    '  - yantra: Kriya',
+    '    content: Decline',
+    '',
+  ].join('\n');
+
+  it('reports a pre-checked consent checkbox (M4) as a located warning', () => {
+    const result = compile(consent, { filename: 'signup.bodhi.yaml' });
+    assert.deepEqual(result.errors, []);
+    const [d] = result.diagnostics;
+    assert.equal(d.code, 'no-consent-erosion');
+    assert.equal(d.marker, 'M4');
+    assert.equal(d.severity, 'warning');
+    assert.deepEqual(d.range.start, { line: 7, column: 7 });
+    assert.ok(result.html.length > 0);
+  });
+
+  it('fails compilation in dogmatic mode', () => {
+    const result = compile(consent, { ethics: 'dogmatic' });
+    assert.equal(result.html, '');
+    assert.ok(result.errors.some(e => e.startsWith('root.children[0].attributes.checked: M4 consent erosion')));
+  });
+
+  it('can be switched off', () => {
+    assert.deepEqual(compile(consent, { ethics: false }).diagnostics, []);
+  });
+
+  it('reports pre-checked auto-renewal as enforced continuity (M9)', () => {
+    const spec = { yantra: 'Darsana', children: [
+      { yantra: 'Pravesa', attributes: { type: 'checkbox', name: 'auto-renew', checked: true } },
+    ] };
+    assert.deepEqual(markers(spec), ['M9']);
+  });
+
+  it('reports a Japa cancel next to a Ghoṣaṇā confirm (M7)', () => {
+    const spec = { yantra: 'Pada', children: [
+      { yantra: 'Kriya', content: 'Confirm', voice: 'Ghoṣaṇā' },
+      { yantra: 'Kriya', content: 'Cancel', voice: 'Japa' },
+    ] };
+    const [d] = lintSpec(spec);
+    assert.equal(d.marker, 'M7');
+    assert.deepEqual(d.path, ['children', 1, 'voice']);
+    spec.children[1].voice = 'Ghosana';
+    assert.deepEqual(markers(spec), []);
+  });
+
+  it('reports an M7 pair whose buttons come from different specs', () => {
+    const page = 'yantra: Pada\nchildren:\n  - use: ./confirm.bodhi.yaml\n  - yantra: Kriya\n    content: Cancel\n    voice: Japa\n';
+    const result = compile(page, {
+      filename: '/specs/page.bodhi.yaml',
+      readFile: files({ 'confirm.bodhi.yaml': 'yantra: Kriya\ncontent: Confirm\nvoice: Ghoṣaṇā\n' }),
+    });
+    const marked = result.diagnostics.filter(d => d.marker);
+    assert.deepEqual(marked.map(d => d.marker), ['M7']);
+    assert.equal(marked[0].file, '/specs/page.bodhi.yaml');
+    assert.deepEqual(marked[0].path, ['children', 1, 'voice']);
+  });
+
+  it('reports Cala motion with infinite iteration (M3)', () => {
+    const spec = { yantra: 'Bindu', mudras: ['Cala'], attributes: { style: 'animation-iteration-count: infinite' } };
+    assert.deepEqual(markers(spec), ['M3']);
+    assert.deepEqual(markers({ yantra: 'Bindu', mudras: ['Cala'] }), []);
+  });
+
+  it('reports fixed urgency and social proof text (M1, M5) unless bound', () => {
+    assert.deepEqual(markers({ yantra: 'Vakya', content: 'Hurry, offer ends soon' }), ['M1']);
+    assert.deepEqual(markers({ yantra: 'Vakya', content: '1,204 people are viewing this' }), ['M5']);
+    assert.deepEqual(markers({ yantra: 'Vakya', content: '1,204 people are viewing this', bind: 'viewers' }), []);
+  });
+
+  it('reports dialogs without an exit (M2)', () => {
+    const spec = { yantra: 'Darsana', attributes: { role: 'dialog' }, children: [{ yantra: 'Kriya', content: 'Subscribe' }] };
+    assert.deepEqual(markers(spec), ['M2']);
+  });
+
+  it('skips justified nodes in lenient mode only', () => {
+    const spec = { yantra: 'Vakya', content: 'Last chance', attributes: { 'data-bodhi-justify': 'real sale end' } };
+    assert.deepEqual(markers(spec, 'lenient'), []);
+    assert.deepEqual(markers(spec, 'dogmatic'), ['M1']);
+  });
+
+  it('emits voices as data attributes with token-backed sizes', () => {
+    const { html, css } = compile('yantra: Vakya\nvoice: Japa\ncontent: Terms apply\n');
+    assert.ok(html.includes('data-bodhi-voice="japa"'));
+    assert.ok(css.includes('font-size: var(--bodhi-lipi-japa, 0.75rem);'));
+    assert.deepEqual(validate({ yantra: 'Vakya', voice: 'Shout' }), ['root.voice: unknown voice "Shout"']);
+  });
+});
+
+// ── Semantics: elements, ids, ARIA, accessible names ──────────
+
+describe('Semantics validation', () => {
+  const codes = spec => validateSpec(spec).map(d => d.code);
+  const composed = spec => checkSemantics(spec, { composed: true });
+
+  it('checks element overrides against the Yantra\'s alternates', () => {
+    assert.deepEqual(codes({ yantra: 'Vakya', element: 'h2', content: 'Queue' }), []);
+    const [d] = validateSpec({ yantra: 'Kriya', element: 'div', content: 'Play' });
+    assert.equal(d.code, 'invalid-element');
+    assert.deepEqual(d.path, ['element']);
+    assert.equal(d.message, 'Kriyā renders as <button>, not "div"');
+  });
+
+  it('reports duplicate ids, and static ids inside an each: template', () => {
+    const spec = { yantra: 'Garbha', children: [
+      { yantra: 'Vakya', id: 'title', content: 'A' },
+      { yantra: 'Vakya', attributes: { id: 'title' }, content: 'B' },
+      { yantra: 'Suci', each: 'tracks', children: [{ yantra: 'Bindu', attributes: { id: 'track' } }] },
+    ] };
+    const found = validateSpec(spec);
+    assert.deepEqual(found.map(d => d.code), ['duplicate-id', 'duplicate-id']);
+    assert.deepEqual(found[0].path, ['children', 1, 'attributes', 'id']);
+    assert.match(found[1].message, /inside an "each" template/);
+  });
+
+  it('requires id references to point at an element', () => {
+    const spec = { yantra: 'Garbha', children: [
+      { yantra: 'Kriya', content: 'Menu', attributes: { 'aria-controls': 'menu', 'aria-describedby': 'hint gone' } },
+      { yantra: 'Vakya', id: 'menu' },
+      { yantra: 'Vakya', id: 'hint' },
+    ] };
+    assert.deepEqual(validateSpec(spec), [], 'the id may be in a spec that uses this one');
+    const [d, ...rest] = composed(spec);
+    assert.equal(d.code, 'unknown-id-reference');
+    assert.equal(d.message, '"aria-describedby" refers to id "gone", which no element has');
+    assert.deepEqual(rest, []);
+  });
+
+  it('checks tablist/tab/tabpanel and grid/row ownership', () => {
+    const tab = (id, target) => ({ yantra: 'Kriya', content: id, attributes: { role: 'tab', 'aria-controls': target } });
+    const tabs = { yantra: 'Garbha', children: [
+      { yantra: 'Pantha', attributes: { role: 'tablist' }, children: [tab('one', 'p1')] },
+      { yantra: 'Darsana', attributes: { id: 'p1', role: 'tabpanel' } },
+    ] };
+    assert.deepEqual(composed(tabs), []);
+
+    tabs.children.push({ yantra: 'Darsana', attributes: { role: 'tabpanel' } }, tab('stray', 'p1'));
+    assert.deepEqual(composed(tabs).map(d => d.code), ['missing-accessible-name', 'aria-missing-owner']);
+    tabs.children[0].children = [];
+    assert.deepEqual(codes(tabs), ['aria-missing-owned', 'aria-missing-owner']);
+
+    const grid = { yantra: 'Garbha', children: [{ yantra: 'Sangraha', children: [
+      { yantra: 'Bindu', attributes: { role: 'row' }, children: [{ yantra: 'Vakya', attributes: { role: 'gridcell' }, content: 'A' }] },
+    ] }] };
+    assert.deepEqual(codes(grid), []);
+    grid.children[0].children = [{ yantra: 'Bindu' }];
+    assert.deepEqual(validateSpec(grid).map(d => d.message), ['role "grid" must contain an element with role "row"']);
+  });
+
+  it('requires an accessible name on Kriyā and Praveśa', () => {
+    assert.deepEqual(codes({ yantra: 'Kriya' }), ['missing-accessible-name']);
+    assert.deepEqual(codes({ yantra: 'Kriya', children: [{ yantra: 'Vakya', bind: 'label' }] }), []);
+    assert.deepEqual(codes({ yantra: 'Kriya', bindAttrs: { 'aria-label': 'label' } }), []);
+
+    const named = spec => composed(spec).map(d => d.code);
+    assert.deepEqual(named({ yantra: 'Pravesa' }), ['missing-accessible-name']);
+    assert.deepEqual(named({ yantra: 'Pravesa', attributes: { type: 'hidden' } }), []);
+    assert.deepEqual(named({ yantra: 'Patra', children: [
+      { yantra: 'Vakya', element: 'span', attributes: { for: 'email' }, content: 'Email' },
+      { yantra: 'Pravesa', attributes: { id: 'email' } },
+    ] }), ['missing-accessible-name'], 'a <span> is not a label');
+  });
+
+  it('defers what a use: reference could supply to the composed tree', () => {
+    const readFile = files({
+      'tab.bodhi.yaml': 'yantra: Kriya\ncontent: Albums\nattributes: { role: tab, aria-controls: albums }\n',
+      'panel.bodhi.yaml': 'yantra: Darsana\nattributes: { id: albums, role: tabpanel }\n',
+    });
+    const page = 'yantra: Garbha\nchildren:\n  - yantra: Pantha\n    attributes: { role: tablist }\n    children:\n      - use: ./tab.bodhi.yaml\n  - use: ./panel.bodhi.yaml\n';
+    assert.deepEqual(compile(page, { filename: '/specs/page.bodhi.yaml', readFile }).errors, []);
+
+    const alone = compile('yantra: Garbha\nchildren:\n  - use: ./tab.bodhi.yaml\n', { filename: '/specs/page.bodhi.yaml', readFile });
+    assert.deepEqual(alone.diagnostics.map(d => [d.code, d.file, d.range.start.line]), [
+      ['unknown-id-reference', '/specs/tab.bodhi.yaml', 3],
+      ['aria-missing-owner', '/specs/tab.bodhi.yaml', 3],
+    ]);
+  });
+});
+
+// ── Source maps ───────────────────────────────────────────────
+
+describe('Source maps', () => {
+  // Decode a v3 mapping string into one [source, line, column] (0-based) per generated line
+  function decode(mappings) {
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const state = [0, 0, 0, 0];
+    return mappings.split(';').map(row => {
+      if (!row) return null;
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const ch of row) {
+        const digit = BASE64.indexOf(ch);
+        value += (digit & 31) << shift;
+        shift += 5;
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      values.forEach((v, i) => { state[i] = i === 0 ? v : state[i] + v; });
+      return state.slice(1);
+    });
+  }
+  const lineOf = (output, map, text) => decode(map.mappings)[output.split('\n').findIndex(l => l.includes(text))];
+
+  const yaml = [
+    'yantra: Garbha',
+    'children:',
+    '  - yantra: Kriya',
+    '    content: Play',
+    '    on:',
+    '      click: togglePlay',
+    '  - yantra: Vakya',
+    '    mudras: [Cala]',
+    '    bind: trackTitle',
+    '',
+  ].join('\n');
+
+  it('maps CSS rules and JS statements to their spec lines', () => {
+    const result = compile(yaml, { filename: 'player.bodhi.yaml', sourceMap: true });
+    assert.equal(result.maps.css.version, 3);
+    assert.deepEqual(result.maps.css.sources, ['player.bodhi.yaml']);
+    assert.deepEqual(lineOf(result.css, result.maps.css, '.mudra-cala {'), [0, 6, 4]);
+    assert.deepEqual(lineOf(result.css, result.maps.css, '.kriya {'), [0, 2, 4]);
+    assert.deepEqual(lineOf(result.js, result.maps.js, "addEventListener('click', togglePlay)"), [0, 2, 4]);
+    assert.deepEqual(lineOf(result.js, result.maps.js, 'export const trackTitle'), [0, 6, 4]);
+  });
+
+  it('maps composed nodes to the file they were written in', () => {
+    const readFile = files({ 'title.bodhi.yaml': 'yantra: Vakya\nbind: trackTitle\n' });
+    const result = compile('yantra: Garbha\nchildren:\n  - use: ./title.bodhi.yaml\n', {
+      filename: '/specs/player.bodhi.yaml', readFile, sourceMap: true, dev: true,
+    });
+    assert.ok(result.maps.js.sources.includes('/specs/title.bodhi.yaml'));
+    assert.ok(result.html.includes('data-bodhi-src="/specs/title.bodhi.yaml:1"'));
+    assert.ok(result.html.includes('data-bodhi-src="/specs/player.bodhi.yaml:1"'));
+  });
+
+  it('tags HTML with data-bodhi-src only in dev mode', () => {
+    assert.ok(compile(yaml, { filename: 'player.bodhi.yaml', dev: true }).html.includes('data-bodhi-src="player.bodhi.yaml:3"'));
+    const plain = compile(yaml, { filename: 'player.bodhi.yaml' });
+    assert.ok(!plain.html.includes('data-bodhi-src'));
+    assert.equal(plain.maps, undefined);
+  });
+});
+
+// ── Custom elements ───────────────────────────────────────────
+
+describe('Custom element emitter', () => {
+  const queue = {
+    component: 'QueueView', yantra: 'Suci', class: 'queue-list', each: 'queueItems', key: 'id',
+    children: [{
+      yantra: 'Bindu', mudras: ['Samksipta'],
+      children: [
+        { yantra: 'Vakya', element: 'span', bind: 'item.title' },
+        { yantra: 'Kriya', content: 'Remove `x` ${now}', on: { click: 'removeFromQueue' } },
+      ],
+    }],
+  };
+  const player = {
+    component: 'NowPlaying', yantra: 'Darsana',
+    children: [
+      { yantra: 'Vakya', bind: 'trackTitle' },
+      { yantra: 'Kriya', content: 'Pause', on: { click: 'togglePlay' }, bindAttrs: { 'aria-pressed': 'isPlaying' } },
+    ],
+  };
+
+  it('names the element after the component', () => {
+    assert.equal(elementName(queue), 'bodhi-queue-view');
+    assert.equal(elementName({ yantra: 'Garbha' }), 'bodhi-app');
+    assert.ok(emitElement(queue).endsWith("customElements.define('bodhi-queue-view', QueueViewElement);"));
+  });
+
+  it('clones the compiled HTML into a shadow root with an adopted stylesheet', () => {
+    const js = emitElement(queue);
+    assert.ok(js.includes('template.innerHTML = `<ul class="suci queue-list"'));
+    assert.ok(js.includes('Remove \\`x\\` \\${now}'));
+    assert.ok(js.includes('const styles = new CSSStyleSheet();'));
+    assert.ok(js.includes('@layer bodhi.base, bodhi.yantra, bodhi.mudra, bodhi.component;'));
+    assert.ok(js.includes('[data-bodhi-mudra~="samksipta"]'));
+    assert.ok(js.includes('shadow.adoptedStyleSheets = [styles];'));
+  });
+
+  it('exposes each binding as a property backed by a per-instance signal', () => {
+    const js = emitElement(player);
+    assert.ok(js.includes('trackTitle: signal(null),'));
+    assert.ok(js.includes('isPlaying: signal(null),'));
+    assert.ok(js.includes('set trackTitle(value) {\n    this.#signals.trackTitle.set(value);'));
+    assert.ok(js.includes('get isPlaying() {\n    return this.#signals.isPlaying.get();'));
+    assert.ok(!js.includes('export const trackTitle'));
+  });
+
+  it('dispatches on: handlers as composed CustomEvents', () => {
+    const js = emitElement(player);
+    assert.ok(js.includes("const togglePlay = event => emit('toggle-play', { sourceEvent: event });"));
+    assert.ok(js.includes('new CustomEvent(type, { detail, bubbles: true, composed: true })'));
+    const rows = emitElement(queue);
+    assert.ok(rows.includes("event => emit('remove-from-queue', { item: itemOf.get(node), sourceEvent: event })"));
+  });
+
+  it('emits a static element without the runtime', () => {
+    const js = emitElement({ component: 'Banner', yantra: 'Siras', content: 'Hi' });
+    assert.ok(!js.includes('@bodhi/cetana'));
+    assert.ok(!js.includes('connectedCallback'));
+  });
+
+  it('emits valid module syntax', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bodhi-element-'));
+    try {
+      for (const spec of [queue, player, { component: 'Banner', yantra: 'Siras', content: 'Hi' }]) {
+        const file = join(dir, `${spec.component}.mjs`);
+        writeFileSync(file, emitElement(spec));
+        const check = spawnSync(process.execPath, ['--check', file], { encoding: 'utf8' });
+        assert.equal(check.status, 0, check.stderr);
+      }
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('is the JS output of compile() with element: true', () => {
+    const result = compile('component: Banner\nyantra: Siras\ncontent: Hi\n', { element: true });
+    assert.ok(result.js.includes("customElements.define('bodhi-banner', BannerElement)"));
+  });
+});
+
+// ── Server rendering and hydration ────────────────────────────
+
+describe('renderToString() and hydration', () => {
+  const player = {
+    component: 'Player', yantra: 'Darsana',
+    children: [
+      { yantra: 'Vakya', element: 'h2', bind: 'trackTitle', content: 'Nothing playing' },
+      { yantra: 'Vakya', bind: 'artist' },
+      { yantra: 'Kriya', content: 'Pause', when: 'isPlaying', bindAttrs: { 'aria-pressed': 'isPlaying', title: 'hint' } },
+      { yantra: 'Vakya', content: 'Paused', unless: 'isPlaying' },
+      { yantra: 'Pravesa', attributes: { type: 'range' }, bindProps: { value: 'volume' } },
+      { yantra: 'Pravesa', attributes: { type: 'checkbox' }, bindProps: { checked: 'shuffle' } },
+      {
+        yantra: 'Suci', each: 'queue', key: 'id',
+        children: [{ yantra: 'Bindu', children: [{ yantra: 'Vakya', bind: 'item.title' }], on: { click: 'pick' } }],
+      },
+    ],
+  };
+  const state = {
+    trackTitle: 'Blue <in> Green', artist: null, isPlaying: true, hint: false,
+    volume: 0.5, shuffle: true, queue: [{ id: 1, title: 'One' }, { id: 2, title: 'Two' }], unused: 'x',
+  };
+
+  it('fills bound text, keeping the default while a value is unknown', () => {
+    const html = renderToString(player, state);
+    assert.ok(html.includes('<span data-bodhi-bind="trackTitle">Blue &lt;in&gt; Green</span>'));
+    assert.ok(html.includes('<span data-bodhi-bind="artist"></span>'));
+    assert.ok(renderToString(player, {}).includes('<span data-bodhi-bind="trackTitle">Nothing playing</span>'));
+  });
+
+  it('renders when:/unless: visibility and bound attributes and properties', () => {
+    const html = renderToString(player, state);
+    assert.ok(/data-bodhi-attr-aria-pressed="isPlaying" aria-pressed="true" data-bodhi-attr-title="hint" data-bodhi-when="isPlaying"[^>]*>/.test(html));
+    assert.ok(!/data-bodhi-when="isPlaying" hidden/.test(html));
+    assert.ok(html.includes('data-bodhi-unless="isPlaying" hidden'));
+    assert.ok(html.includes('data-bodhi-prop-value="volume" value="0.5"'));
+    assert.ok(html.includes('data-bodhi-prop-checked="shuffle" checked'));
+    assert.ok(renderToString(player, {}).includes('data-bodhi-when="isPlaying" hidden'));
+  });
+
+  it('renders one row per item after the row template', () => {
+    const html = renderToString(player, state);
+    const template = html.slice(html.indexOf('<template>'), html.indexOf('</template>'));
+    assert.ok(template.includes('<span data-bodhi-bind="item.title"></span>'));
+    const rows = html.slice(html.indexOf('</template>'));
+    assert.ok(rows.indexOf('>One</span>') < rows.indexOf('>Two</span>'));
+    assert.equal(rows.split('data-bodhi-on-click="pick"').length - 1, 2);
+  });
+
+  it('embeds the state the spec uses on the root element', () => {
+    const html = renderToString(player, state);
+    const root = html.slice(0, html.indexOf('>'));
+    const embedded = JSON.parse(/data-bodhi-state="([^"]*)"/.exec(root)[1].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+    assert.equal(embedded.trackTitle, 'Blue <in> Green');
+    assert.equal(embedded.unused, undefined);
+    assert.equal(html.split('data-bodhi-state').length - 1, 1);
+  });
+
+  it('hydrating JS seeds signals and adopts rows instead of re-rendering', () => {
+    const js = emitJs(player, { hydrate: true });
+    assert.ok(js.includes("const state = JSON.parse(el.getAttribute('data-bodhi-state') || '{}');"));
+    assert.ok(js.includes('const signals = { trackTitle, artist, isPlaying, hint, volume, shuffle, queue };'));
+    assert.ok(!js.includes('if (trackTitle.get() != null)'));
+    assert.ok(js.includes('trackTitle.subscribe(bindTrackTitle);'));
+    assert.ok(js.includes('adopt: (node, item) => {\n          itemOf.set(node, item);\n          listen(node);'));
+    assert.ok(emitJs(player).includes('if (trackTitle.get() != null)'));
+    assert.ok(!emitJs(player).includes('adopt:'));
+  });
+
+  it('compile() with state renders and hydrates', () => {
+    const result = compile('yantra: Vakya\nbind: greeting\n', { state: { greeting: 'Hello' } });
+    assert.ok(result.html.includes('>Hello</span>'));
+    assert.ok(result.js.includes('data-bodhi-state'));
+    const dir = mkdtempSync(join(tmpdir(), 'bodhi-hydrate-'));
+    try {
+      writeFileSync(join(dir, 'player.mjs'), emitJs(player, { hydrate: true }));
+      const check = spawnSync(process.execPath, ['--check', join(dir, 'player.mjs')], { encoding: 'utf8' });
+      assert.equal(check.status, 0, check.stderr);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ── React components ──────────────────────────────────────────
+
+describe('React emitter', () => {
+  const player = {
+    component: 'Player', yantra: 'Darsana', mudras: ['Stupa'],
+    children: [
+      { yantra: 'Vakya', element: 'h2', voice: 'Ghosana', bind: 'trackTitle', content: "Nothing's playing" },
+      { yantra: 'Kriya', content: 'Pause', when: 'isPlaying', on: { click: 'togglePlay' }, bindAttrs: { 'aria-pressed': 'isPlaying' } },
+      { yantra: 'Vakya', content: 'Paused {for now}', unless: 'isPlaying' },
+      { yantra: 'Pravesa', attributes: { type: 'range', tabindex: 0, style: 'max-width: 60ch' }, bindProps: { value: 'volume' } },
+      {
+        yantra: 'Suci', each: 'queue', key: 'id',
+        children: [{ yantra: 'Bindu', children: [{ yantra: 'Vakya', bind: 'item.album.title' }], on: { dblclick: 'pick' } }],
+      },
+    ],
+  };
+
+  function lint(jsx, rules = bodhi.configs.recommended.rules) {
+    return new Linter().verify(jsx, [{
+      files: ['**/*.jsx'],
+      plugins: { bodhi },
+      languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+      rules,
+    }], 'component.jsx');
+  }
+
+  it('exports a function component taking signals and handlers as props', () => {
+    const jsx = emitReact(player);
+    assert.ok(jsx.includes('export function Player({ trackTitle, isPlaying, volume, queue, onVolumeChange, togglePlay, pick }) {'));
+    assert.ok(jsx.endsWith('export default Player;\n'));
+    assert.ok(emitReact({ yantra: 'Garbha' }).includes('export function App() {'));
+  });
+
+  it('renders Yantras as elements and Mudras as className', () => {
+    const jsx = emitReact(player);
+    assert.ok(jsx.includes('<article className="darsana mudra-stupa" data-bodhi-yantra="darsana" data-bodhi-component="Player">'));
+    assert.ok(jsx.includes('<h2 className="vakya" data-bodhi-yantra="vakya" data-bodhi-voice="ghosana">'));
+    assert.ok(jsx.includes('<ul className="suci" data-bodhi-yantra="suci" role="list">'));
+    assert.ok(jsx.includes('tabIndex={0} style={{ maxWidth: \'60ch\' }}'));
+  });
+
+  it('renders bindings, conditions and lists from props', () => {
+    const jsx = emitReact(player);
+    assert.ok(jsx.includes("{trackTitle ?? 'Nothing\\'s playing'}"));
+    assert.ok(jsx.includes("{'Paused {for now}'}"));
+    assert.ok(jsx.includes('{isPlaying ? (\n        <button'));
+    assert.ok(jsx.includes('{isPlaying ? null : ('));
+    assert.ok(jsx.includes('aria-pressed={isPlaying} onClick={togglePlay}'));
+    assert.ok(jsx.includes("value={volume ?? ''} onChange={event => onVolumeChange?.(event.target.valueAsNumber)}"));
+    assert.ok(jsx.includes('{(queue ?? []).map(item => ('));
+    assert.ok(jsx.includes('<article key={item.id} className="bindu" data-bodhi-yantra="bindu" onDoubleClick={event => pick?.(item, event)}>'));
+    assert.ok(jsx.includes('{item.album?.title}'));
+  });
+
+  it('emits JSX the Bodhi ESLint markers can audit', () => {
+    assert.deepEqual(lint(emitReact(player)), []);
+
+    // A pre-checked consent box is an uncontrolled default, which M4 catches
+    const consent = { yantra: 'Pravesa', attributes: { type: 'checkbox', name: 'newsletter-consent', checked: true } };
+    const jsx = emitReact(consent);
+    assert.ok(jsx.includes('name="newsletter-consent" defaultChecked />'));
+    const messages = lint(jsx);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].ruleId, 'bodhi/no-consent-erosion');
+  });
+
+  it('compile() returns the component as jsx', () => {
+    const result = compile('component: Greeting\nyantra: Vakya\nbind: greeting\n', { react: true, sourceMap: true, filename: 'greeting.bodhi.yaml' });
+    assert.equal(result.js, '');
+    assert.ok(result.jsx.includes('export function Greeting({ greeting }) {'));
+    assert.ok(result.css.includes('.vakya'));
+    assert.deepEqual(result.maps.js.sources, ['greeting.bodhi.yaml']);
+  });
+});
@@ -0,0 +1,287 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compileProject, watchProject } from '../src/index.js';
+
+// ── Project fixture ───────────────────────────────────────────
+
+function project() {
+  const root = mkdtempSync(join(tmpdir(), 'bodhi-project-'));
+  mkdirSync(join(root, 'src/specs'), { recursive: true });
+  const write = (file, text) => writeFileSync(join(root, file), text, 'utf8');
+  write('src/specs/shell.bodhi.yaml', 'yantra: Garbha\nchildren:\n  - use: ./queue.bodhi.yaml\n');
+  write('src/specs/queue.bodhi.yaml', 'yantra: Suci\nvoice: Japa\nbind: queueLength\n');
+  write('src/specs/about.bodhi.yaml', 'yantra: Darsana\ncontent: About\n');
+  write('bodhi.rupa.json', readFileSync(new URL('../../../bodhi.rupa.json', import.meta.url), 'utf8'));
+  return { root, write, read: file => readFileSync(join(root, file), 'utf8') };
+}
+
+// ── compileProject() ──────────────────────────────────────────
+
+describe('compileProject()', () => {
+  let fx;
+  const build = (extra = {}) => compileProject({ root: fx.root, rupa: 'bodhi.rupa.json', ...extra });
+
+  before(() => { fx = project(); });
+  after(() => rmSync(fx.root, { recursive: true, force: true }));
+
+  it('compiles every spec no other spec uses, and writes a manifest', () => {
+    const result = build();
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.compiled.sort(), ['about', 'shell']);
+    assert.ok(fx.read('dist/shell.html').includes('class="suci"'));
+    assert.ok(fx.read('dist/shell.js').includes('queueLength'));
+
+    const manifest = JSON.parse(fx.read('dist/bodhi-manifest.json'));
+    assert.deepEqual(manifest.entries.shell.outputs, ['shell.html', 'shell.css', 'shell.js']);
+    assert.deepEqual(Object.keys(manifest.entries.shell.dependencies), [
+      'src/specs/shell.bodhi.yaml',
+      'src/specs/queue.bodhi.yaml',
+      'bodhi.rupa.json',
+    ]);
+  });
+
+  it('skips entries whose inputs did not change', () => {
+    const result = build();
+    assert.deepEqual(result.compiled, []);
+    assert.deepEqual(result.skipped.sort(), ['about', 'shell']);
+  });
+
+  it('recompiles only the entries that depend on a changed spec', () => {
+    fx.write('src/specs/queue.bodhi.yaml', 'yantra: Suci\nvoice: Japa\nbind: queueCount\n');
+    const result = build();
+    assert.deepEqual(result.compiled, ['shell']);
+    assert.deepEqual(result.skipped, ['about']);
+    assert.ok(fx.read('dist/shell.js').includes('queueCount'));
+  });
+
+  it('recompiles everything when the Rūpa file changes', () => {
+    const rupa = JSON.parse(fx.read('bodhi.rupa.json'));
+    rupa.lipi.scale.japa = '0.8rem';
+    fx.write('bodhi.rupa.json', JSON.stringify(rupa));
+    const result = build();
+    assert.deepEqual(result.compiled.sort(), ['about', 'shell']);
+    assert.ok(fx.read('dist/shell.css').includes('var(--bodhi-lipi-japa, 0.8rem)'));
+  });
+
+  it('recompiles everything when build options change', () => {
+    const result = build({ sourceMap: true });
+    assert.deepEqual(result.compiled.sort(), ['about', 'shell']);
+    assert.ok(fx.read('dist/shell.css').endsWith('/*# sourceMappingURL=shell.css.map */\n'));
+    assert.deepEqual(JSON.parse(fx.read('dist/shell.css.map')).sources, ['../src/specs/shell.bodhi.yaml', '../src/specs/queue.bodhi.yaml']);
+  });
+
+  it('removes the outputs of entries that are gone', () => {
+    rmSync(join(fx.root, 'src/specs/about.bodhi.yaml'));
+    const result = build({ sourceMap: true });
+    assert.deepEqual(result.removed, ['about']);
+    assert.ok(!existsSync(join(fx.root, 'dist/about.html')));
+  });
+
+  it('keeps failing entries out of the manifest and reports their diagnostics', () => {
+    fx.write('src/specs/queue.bodhi.yaml', 'yantra: Nope\n');
+    const result = build({ sourceMap: true });
+    assert.ok(result.errors.some(e => e.includes('unknown yantra "Nope"')));
+    assert.equal(result.manifest.entries.shell, undefined);
+    assert.ok(existsSync(join(fx.root, 'dist/shell.html')));
+  });
+
+  it('names outputs after an explicit entry map', () => {
+    fx.write('src/specs/queue.bodhi.yaml', 'yantra: Suci\n');
+    const result = build({ entries: { components: 'src/specs/shell.bodhi.yaml' }, outDir: 'out' });
+    assert.deepEqual(result.compiled, ['components']);
+    assert.ok(existsSync(join(fx.root, 'out/components.html')));
+  });
+
+  it('reports a configured entry that does not exist', () => {
+    const result = build({ entries: ['src/specs/missing.bodhi.yaml', 'src/specs/shell.bodhi.yaml'], outDir: 'out' });
+    assert.deepEqual(result.compiled, ['shell']);
+    const [d] = result.diagnostics;
+    assert.equal(d.code, 'entry-not-found');
+    assert.match(d.message, /"src\/specs\/missing\.bodhi\.yaml" does not exist/);
+    assert.equal(result.errors.length, 1);
+  });
+
+  it('reports an invalid Rūpa file', () => {
+    fx.write('bodhi.rupa.json', '{}');
+    const result = build();
+    assert.ok(result.diagnostics.some(d => d.code === 'invalid-rupa' && d.file === 'bodhi.rupa.json'));
+  });
+});
+
+// ── Shared stylesheet ─────────────────────────────────────────
+
+describe('compileProject() — shared stylesheet', () => {
+  let fx;
+  const build = (extra = {}) => compileProject({ root: fx.root, stylesheet: 'bodhi.css', ...extra });
+
+  before(() => { fx = project(); });
+  after(() => rmSync(fx.root, { recursive: true, force: true }));
+
+  it('writes one stylesheet instead of a CSS file per entry', () => {
+    compileProject({ root: fx.root });
+    assert.ok(existsSync(join(fx.root, 'dist/shell.css')));
+
+    const result = build();
+    assert.deepEqual(result.compiled.sort(), ['about', 'shell']);
+    assert.ok(!existsSync(join(fx.root, 'dist/shell.css')));
+    assert.deepEqual(result.manifest.entries.shell.outputs, ['shell.html', 'shell.js']);
+    const css = fx.read('dist/bodhi.css');
+    assert.ok(css.includes('.darsana {') && css.includes('.garbha {'));
+    assert.equal(css.split('.kriya:focus-visible').length - 1, 1);
+  });
+
+  it('rebuilds the stylesheet from unchanged entries too', () => {
+    fx.write('src/specs/about.bodhi.yaml', 'yantra: Pada\ncontent: About\n');
+    const result = build();
+    assert.deepEqual(result.compiled, ['about']);
+    const css = fx.read('dist/bodhi.css');
+    assert.ok(css.includes('.pada {') && css.includes('.garbha {'));
+    assert.ok(!css.includes('.darsana {'));
+  });
+});
+
+// ── Custom element target ─────────────────────────────────────
+
+describe('compileProject() — element target', () => {
+  it('writes one self-contained module per entry', () => {
+    const fx = project();
+    try {
+      const result = compileProject({ root: fx.root, target: 'element' });
+      assert.deepEqual(result.manifest.entries.shell.outputs, ['shell.js']);
+      assert.ok(!existsSync(join(fx.root, 'dist/shell.html')));
+      assert.ok(fx.read('dist/about.js').includes("customElements.define('bodhi-app', AppElement)"));
+      assert.throws(() => compileProject({ root: fx.root, target: 'vue' }), /Unknown compile target "vue"/);
+    } finally {
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+});
+
+// ── React target ──────────────────────────────────────────────
+
+describe('compileProject() — react target', () => {
+  it('writes a component and its CSS per entry', () => {
+    const fx = project();
+    try {
+      const result = compileProject({ root: fx.root, target: 'react' });
+      assert.deepEqual(result.manifest.entries.shell.outputs, ['shell.css', 'shell.jsx']);
+      assert.ok(fx.read('dist/shell.jsx').includes('export function App({ queueLength }) {'));
+      assert.ok(!existsSync(join(fx.root, 'dist/shell.html')));
+    } finally {
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+});
+
+// ── Project Yantras and Mudrās ────────────────────────────────
+
+describe('compileProject() — yantras:/mudras:', () => {
+  it('registers project vocabulary before compiling', () => {
+    const fx = project();
+    try {
+      fx.write('src/specs/tools.bodhi.yaml', 'yantra: Tala\nmudras: [Vistara]\ncontent: Tools\n');
+      const config = {
+        root: fx.root,
+        yantras: { Tala: { element: 'div', role: 'toolbar', css: { display: 'flex' } } },
+        mudras: { Vistara: { css: { 'padding-inline': '2rem' } } },
+      };
+      const result = compileProject(config);
+      assert.deepEqual(result.errors, []);
+      assert.ok(fx.read('dist/tools.html').startsWith('<div class="tala" data-bodhi-yantra="tala" data-bodhi-mudra="vistara" role="toolbar">'));
+      const css = fx.read('dist/tools.css');
+      assert.ok(css.includes('.tala {\n  box-sizing: border-box;\n  display: flex;\n}'));
+      assert.ok(css.includes('.mudra-vistara {\n  padding-inline: 2rem;\n}'));
+      assert.equal(result.manifest.options.yantras.Tala.role, 'toolbar');
+
+      config.yantras.Tala.css.display = 'grid';
+      assert.deepEqual(compileProject(config).compiled.sort(), ['about', 'shell', 'tools']);
+    } finally {
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+
+  it('reports invalid definitions against bodhi.config.js', () => {
+    const fx = project();
+    try {
+      const result = compileProject({ root: fx.root, yantras: { Dvara: { element: 'span', role: 'link' } } });
+      const [d] = result.diagnostics;
+      assert.equal(d.code, 'invalid-yantra');
+      assert.equal(d.file, 'bodhi.config.js');
+      assert.match(d.message, /role "link" is interactive, but <span> is not focusable/);
+      assert.equal(result.errors.length, 1);
+    } finally {
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+});
+
+// ── watchProject() ────────────────────────────────────────────
+
+describe('watchProject()', () => {
+  it('rebuilds when a used spec changes', async () => {
+    const fx = project();
+    const builds = [];
+    let changed;
+    const rebuilt = new Promise(resolve => { changed = resolve; });
+    const watcher = watchProject({ root: fx.root }, result => {
+      builds.push(result);
+      if (builds.length === 2) changed();
+    });
+    try {
+      assert.deepEqual(builds[0].compiled.sort(), ['about', 'shell']);
+      fx.write('src/specs/queue.bodhi.yaml', 'yantra: Suci\nbind: upNext\n');
+      await Promise.race([rebuilt, new Promise((_, reject) => setTimeout(() => reject(new Error('no rebuild')), 5000))]);
+      assert.deepEqual(builds[1].compiled, ['shell']);
+      assert.ok(fx.read('dist/shell.js').includes('upNext'));
+    } finally {
+      watcher.close();
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a build that throws and keeps watching', async () => {
+    const fx = project();
+    const builds = [];
+    let changed;
+    const rebuilt = new Promise(resolve => { changed = resolve; });
+    const watcher = watchProject({ root: fx.root, target: 'pdf' }, result => {
+      builds.push(result);
+      if (builds.length === 2) changed();
+    });
+    try {
+      assert.equal(builds[0].diagnostics[0].code, 'build-failed');
+      assert.match(builds[0].errors[0], /Unknown compile target "pdf"/);
+      fx.write('src/specs/about.bodhi.yaml', 'yantra: Darsana\ncontent: About us\n');
+      await Promise.race([rebuilt, new Promise((_, reject) => setTimeout(() => reject(new Error('no rebuild')), 5000))]);
+      assert.equal(builds[1].diagnostics[0].code, 'build-failed');
+    } finally {
+      watcher.close();
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+
+  it('rebuilds when a spec in a subdirectory changes', async () => {
+    const fx = project();
+    mkdirSync(join(fx.root, 'src/specs/views'));
+    fx.write('src/specs/views/help.bodhi.yaml', 'yantra: Darsana\ncontent: Help\n');
+    const builds = [];
+    let changed;
+    const rebuilt = new Promise(resolve => { changed = resolve; });
+    const watcher = watchProject({ root: fx.root }, result => {
+      builds.push(result);
+      if (builds.length === 2) changed();
+    });
+    try {
+      fx.write('src/specs/views/help.bodhi.yaml', 'yantra: Darsana\ncontent: Help and shortcuts\n');
+      await Promise.race([rebuilt, new Promise((_, reject) => setTimeout(() => reject(new Error('no rebuild')), 5000))]);
+      assert.deepEqual(builds[1].compiled, ['help']);
+      assert.ok(fx.read('dist/help.html').includes('Help and shortcuts'));
+    } finally {
+      watcher.close();
+      rmSync(fx.root, { recursive: true, force: true });
+    }
+  });
+});
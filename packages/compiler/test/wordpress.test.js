@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compileProject, emitWordPressTheme } from '../src/index.js';
+
+// ── Theme fixture ─────────────────────────────────────────────
+
+const SHELL = `yantra: Darsana
+element: section
+children:
+  - yantra: Siras
+    children:
+      - yantra: Vakya
+        element: h1
+        voice: Ghosana
+        content: Nāda
+  - yantra: Garbha
+    mudras: [Stupa]
+    children:
+      - use: ./about.bodhi.yaml
+      - yantra: Kriya
+        content: Play
+        on: { click: play }
+  - yantra: Pada
+    children:
+      - yantra: Vakya
+        content: Made with care
+`;
+
+function project() {
+  const root = mkdtempSync(join(tmpdir(), 'bodhi-wp-'));
+  mkdirSync(join(root, 'src/specs'), { recursive: true });
+  const write = (file, text) => writeFileSync(join(root, file), text, 'utf8');
+  write('src/specs/shell.bodhi.yaml', SHELL);
+  write('src/specs/about.bodhi.yaml', 'yantra: Vakya\ncontent: About <us>\n');
+  write('src/specs/card.bodhi.yaml', 'component: Card\nyantra: Bindu\nclass: card\nmudras: [Samksipta]\nchildren:\n  - yantra: Vakya\n    content: A card\n');
+  write('bodhi.rupa.json', readFileSync(new URL('../../../bodhi.rupa.json', import.meta.url), 'utf8'));
+  return {
+    root,
+    write,
+    read: file => readFileSync(join(root, 'theme', file), 'utf8'),
+    exists: file => existsSync(join(root, 'theme', file)),
+  };
+}
+
+// ── compileProject({ target: 'wordpress' }) ───────────────────
+
+describe('WordPress target', () => {
+  let fx;
+  let result;
+  const build = () => compileProject({ root: fx.root, rupa: 'bodhi.rupa.json', outDir: 'theme', target: 'wordpress' });
+
+  before(() => {
+    fx = project();
+    result = build();
+  });
+  after(() => rmSync(fx.root, { recursive: true, force: true }));
+
+  it('writes a block theme instead of per-entry outputs', () => {
+    assert.deepEqual(result.errors, []);
+    for (const file of ['style.css', 'theme.json', 'functions.php', 'templates/index.html', 'parts/header.html', 'parts/footer.html', 'patterns/card.php']) {
+      assert.ok(fx.exists(file), `missing ${file}`);
+    }
+    assert.ok(!fx.exists('shell.html'));
+    assert.deepEqual(result.manifest.theme.sort(), [
+      'functions.php', 'parts/footer.html', 'parts/header.html', 'patterns/card.php',
+      'style.css', 'templates/index.html', 'theme.json',
+    ]);
+  });
+
+  it('derives theme.json from the Rūpa tokens', () => {
+    const theme = JSON.parse(fx.read('theme.json'));
+    assert.equal(theme.version, 3);
+    assert.ok(theme.settings.color.palette.some(c => c.slug === 'primary' && c.color === '#2563eb'));
+    assert.ok(!theme.settings.color.palette.some(c => c.slug === 'dark'));
+    assert.deepEqual(theme.settings.typography.fontSizes.map(s => [s.slug, s.size]), [
+      ['japa', '0.75rem'], ['katha', '1rem'], ['ghosana', '1.5rem'],
+    ]);
+    assert.ok(theme.settings.spacing.spacingSizes.some(s => s.slug === 'vicara' && s.size === '1rem'));
+    assert.equal(theme.settings.layout.contentSize, '65ch');
+    assert.equal(theme.styles.color.background, 'var(--wp--preset--color--background)');
+    assert.deepEqual(theme.templateParts.map(p => p.area), ['header', 'footer']);
+  });
+
+  it('turns Śiras and Pāda into template parts and Garbha into the template body', () => {
+    const index = fx.read('templates/index.html');
+    assert.ok(index.includes('<!-- wp:template-part {"slug":"header","tagName":"header","className":"siras"} /-->'));
+    assert.ok(index.includes('<!-- wp:template-part {"slug":"footer","tagName":"footer","className":"pada"} /-->'));
+    assert.ok(index.includes('<!-- wp:group {"tagName":"main","className":"garbha mudra-stupa"} -->'));
+    assert.ok(index.includes('<main class="wp-block-group garbha mudra-stupa">'));
+
+    const header = fx.read('parts/header.html');
+    assert.ok(header.includes('<!-- wp:heading {"level":1,"className":"vakya","fontSize":"ghosana"} -->'));
+    assert.ok(header.includes('<h1 class="wp-block-heading has-ghosana-font-size vakya">Nāda</h1>'));
+    assert.ok(fx.read('parts/footer.html').includes('<p class="vakya">Made with care</p>'));
+  });
+
+  it('keeps interactive nodes as compiled HTML and escapes static text', () => {
+    const index = fx.read('templates/index.html');
+    assert.ok(index.includes('<!-- wp:html -->'));
+    assert.ok(index.includes('data-bodhi-on-click="play"'));
+    assert.ok(index.includes('About &lt;us&gt;'));
+  });
+
+  it('writes entries without a Garbha as block patterns', () => {
+    const card = fx.read('patterns/card.php');
+    assert.ok(card.includes(' * Slug: bodhi-default/card'));
+    assert.ok(card.includes('<!-- wp:group {"tagName":"article","className":"bindu mudra-samksipta card","metadata":{"name":"Card"}} -->'));
+  });
+
+  it('puts the Rūpa tokens and the layered stylesheet in style.css', () => {
+    const css = fx.read('style.css');
+    assert.ok(css.startsWith('/*\nTheme Name: Bodhi Default\n'));
+    assert.ok(css.includes('--bodhi-varna-primary: var(--wp--preset--color--primary);'));
+    assert.ok(css.includes('--bodhi-akasa-vicara: var(--wp--preset--spacing--vicara);'));
+    assert.ok(css.includes('--bodhi-sima-radius-md: 0.5rem;'));
+    assert.ok(css.includes('@layer bodhi.base, bodhi.yantra, bodhi.mudra, bodhi.component;'));
+    assert.ok(css.includes('.card:where([data-bodhi-component="Card"]) {'));
+  });
+
+  it('removes theme files that are no longer generated', () => {
+    rmSync(join(fx.root, 'src/specs/card.bodhi.yaml'));
+    const rebuilt = build();
+    assert.deepEqual(rebuilt.removed, ['card']);
+    assert.ok(!fx.exists('patterns/card.php'));
+    assert.ok(fx.exists('templates/index.html'));
+  });
+});
+
+// ── emitWordPressTheme() ──────────────────────────────────────
+
+describe('emitWordPressTheme()', () => {
+  it('escapes block attributes the way WordPress serializes them', () => {
+    const files = emitWordPressTheme([{ name: 'tip', spec: { yantra: 'Vakya', class: 'a--b', content: 'Tip' } }]);
+    assert.ok(files['patterns/tip.php'].includes('"className":"vakya a\\u002d\\u002db"'));
+  });
+
+  it('lists further Garbha entries as custom templates', () => {
+    const files = emitWordPressTheme([
+      { name: 'home', spec: { yantra: 'Garbha', children: [{ yantra: 'Vakya', content: 'Home' }] } },
+      { name: 'wide', spec: { yantra: 'Garbha', children: [{ yantra: 'Vakya', content: 'Wide' }] } },
+    ], { theme: { name: 'Test Theme' } });
+    assert.ok(files['templates/index.html'].includes('Home'));
+    assert.ok(files['templates/wide.html'].includes('Wide'));
+    assert.deepEqual(JSON.parse(files['theme.json']).customTemplates, [{ name: 'wide', title: 'Wide', postTypes: ['page'] }]);
+    assert.ok(files['style.css'].includes('Theme Name: Test Theme'));
+  });
+});
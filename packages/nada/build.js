@@ -3,15 +3,15 @@
 /**
  * Nāda Build Script
  *
- * Compiles all .bodhi.yaml specs and assembles the static site in dist/.
+ * Compiles the root shell spec (which composes every view with `use:`)
+ * and assembles the static site in dist/.
  */
 
 import { readFileSync, writeFileSync, mkdirSync, readdirSync, copyFileSync } from 'node:fs';
 import { resolve, join, basename } from 'node:path';
-import { compile } from '@bodhi/compiler';
+import { compileProject, formatDiagnostic } from '@bodhi/compiler';
 
 const ROOT = new URL('.', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
-const SPECS_DIR = resolve(ROOT, 'src/specs');
 const DIST_DIR = resolve(ROOT, 'dist');
 const STATIC_DIR = resolve(ROOT, 'src/static');
 
@@ -21,132 +21,41 @@ mkdirSync(DIST_DIR, { recursive: true });
 console.log('Nāda Build');
 console.log('==========\n');
 
-// ── Compile all specs ────────────────────────────────────────
-const specFiles = readdirSync(SPECS_DIR).filter(f => f.endsWith('.bodhi.yaml'));
-const compiled = {};  // file → { html, css, js }
-const allCss = [];
-const allJs = [];
-
-for (const file of specFiles) {
-  const yaml = readFileSync(join(SPECS_DIR, file), 'utf8');
-  const result = compile(yaml);
-
-  if (result.errors.length > 0) {
-    console.error(`Errors in ${file}:`);
-    result.errors.forEach(e => console.error(`  - ${e}`));
-    process.exit(1);
-  }
-
-  compiled[file] = result;
-  allCss.push(`/* ${file} */\n${result.css}`);
-  if (result.js) allJs.push(`/* ${file} */\n${result.js}`);
-
-  console.log(`  Compiled: ${file}`);
-}
-
-// ── Assemble shell with view specs injected into tab panels ──
-const VIEW_PANEL_MAP = {
-  'artists.bodhi.yaml': 'artists',
-  'albums.bodhi.yaml': 'albums',
-  'queue.bodhi.yaml': 'queue',
-  'settings.bodhi.yaml': 'settings',
-};
-
-let shellHtml = compiled['shell.bodhi.yaml'].html;
-
-// Inject each view spec's HTML into the matching tab panel.
-// Strategy: find the panel's opening tag (with its id), find its closing tag,
-// and replace everything between them with the view HTML.
-for (const [specFile, panelId] of Object.entries(VIEW_PANEL_MAP)) {
-  if (!compiled[specFile]) continue;
-  const viewHtml = compiled[specFile].html;
-
-  // Find `id="<panelId>"` in the shell, then locate the element boundaries.
-  // The panels are: <div ...id="artists"...>...</div> or <ul ...id="queue"...>...</ul>
-  // or <article ...id="settings"...>...</article>
-  const idMarker = `id="${panelId}"`;
-  const idPos = shellHtml.indexOf(idMarker);
-  if (idPos === -1) continue;
-
-  // Walk backward to find the opening `<`
-  let openStart = idPos;
-  while (openStart > 0 && shellHtml[openStart] !== '<') openStart--;
-
-  // Get the tag name
-  const tagMatch = shellHtml.substring(openStart).match(/^<(\w+)/);
-  if (!tagMatch) continue;
-  const tagName = tagMatch[1];
-
-  // Find the end of the opening tag
-  const openEnd = shellHtml.indexOf('>', idPos) + 1;
-
-  // Find the matching closing tag (simple: first </tagName> after openEnd
-  // accounting for the fact panels don't nest the same tag deeply)
-  // Use a depth counter for accuracy
-  let depth = 1;
-  let pos = openEnd;
-  const openPattern = new RegExp(`<${tagName}[\\s>]`);
-  while (depth > 0 && pos < shellHtml.length) {
-    const nextOpen = shellHtml.indexOf(`<${tagName}`, pos);
-    const nextClose = shellHtml.indexOf(`</${tagName}>`, pos);
-    if (nextClose === -1) break;
-    if (nextOpen !== -1 && nextOpen < nextClose) {
-      // Check it's actually an opening tag (not a substring)
-      const charAfterTag = shellHtml[nextOpen + tagName.length + 1];
-      if (charAfterTag === ' ' || charAfterTag === '>' || charAfterTag === '/') {
-        depth++;
-      }
-      pos = nextOpen + tagName.length + 1;
-    } else {
-      depth--;
-      if (depth === 0) {
-        // Replace content between openEnd and nextClose
-        shellHtml = shellHtml.substring(0, openEnd) +
-          `\n      ${viewHtml}\n    ` +
-          shellHtml.substring(nextClose);
-        break;
-      }
-      pos = nextClose + tagName.length + 3;
-    }
-  }
+// ── Compile the app from its root spec ───────────────────────
+// shell.bodhi.yaml pulls each view into its tab panel with `use:`,
+// so the compiler hands back the fully assembled tree. Ethics markers
+// run in dogmatic mode: any M1–M9 finding fails the build. Unchanged
+// specs are skipped (see dist/bodhi-manifest.json). Styles go into one
+// layered stylesheet, so theme.css overrides them without specificity games.
+// The devtools panel is an entry of its own: index.html carries it inert,
+// in a <template>, until Nāda is opened with ?devtools.
+const result = compileProject({
+  root: ROOT,
+  specs: 'src/specs',
+  outDir: 'dist',
+  entries: {
+    components: 'src/specs/shell.bodhi.yaml',
+    devtools: 'src/specs/devtools.bodhi.yaml',
+  },
+  stylesheet: 'components.css',
+  mode: 'dogmatic',
+});
+
+if (result.errors.length > 0) {
+  console.error('Errors compiling Nāda specs:');
+  result.diagnostics.forEach(d => console.error(formatDiagnostic(d)));
+  process.exit(1);
 }
 
-// Inject album-detail as an additional view panel inside garbha-content
-if (compiled['album-detail.bodhi.yaml']) {
-  const detailHtml = compiled['album-detail.bodhi.yaml'].html;
-  // Find the closing </main> of garbha-content and insert before it
-  const garbhaContentIdx = shellHtml.indexOf('garbha-content');
-  if (garbhaContentIdx !== -1) {
-    // Find the </main> that closes garbha-content
-    const afterGarbha = shellHtml.indexOf('</main>', garbhaContentIdx);
-    if (afterGarbha !== -1) {
-      const albumDetailPanel = `    <article class="darsana album-detail" data-bodhi-view="album-detail" id="album-detail" data-bodhi-hidden="true">\n        ${detailHtml}\n      </article>\n  `;
-      shellHtml = shellHtml.substring(0, afterGarbha) + albumDetailPanel + shellHtml.substring(afterGarbha);
-    }
-  }
+const shell = result.manifest.entries.components;
+console.log(`  ${result.compiled.includes('components') ? 'Compiled' : 'Unchanged'}: shell.bodhi.yaml`);
+for (const dep of Object.keys(shell.dependencies).slice(1)) {
+  console.log(`  Depends on: ${basename(dep)}`);
 }
+console.log(`  ${result.compiled.includes('devtools') ? 'Compiled' : 'Unchanged'}: devtools.bodhi.yaml`);
 
-// The assembled HTML is just the shell (with views injected)
-const assembledHtml = shellHtml;
-
-// Write combined outputs
-writeFileSync(join(DIST_DIR, 'components.html'), assembledHtml, 'utf8');
-writeFileSync(join(DIST_DIR, 'components.css'), allCss.join('\n'), 'utf8');
-if (allJs.length) {
-  // Deduplicate import statements across combined JS
-  const combinedJs = allJs.join('\n\n');
-  const importLines = new Set();
-  const bodyLines = [];
-  for (const line of combinedJs.split('\n')) {
-    if (line.startsWith('import ')) {
-      importLines.add(line);
-    } else {
-      bodyLines.push(line);
-    }
-  }
-  const deduped = [...importLines, '', ...bodyLines].join('\n');
-  writeFileSync(join(DIST_DIR, 'components.js'), deduped, 'utf8');
-}
+const assembledHtml = readFileSync(join(DIST_DIR, 'components.html'), 'utf8');
+const devtoolsHtml = readFileSync(join(DIST_DIR, 'devtools.html'), 'utf8');
 
 // Build index.html programmatically — no regex, every piece guaranteed present
 writeFileSync(join(DIST_DIR, 'index.html'), generateIndexHtml(), 'utf8');
@@ -239,8 +148,17 @@ function generateIndexHtml() {
     ${compiledMarkup}
   </div>
 
+  <template id="nada-devtools">
+    ${devtoolsHtml}
+  </template>
+
   <script type="module">
-    import { initApp } from './cetana/app.js';
+    // ?devtools: record the signal graph before the app creates it
+    if (new URLSearchParams(location.search).has('devtools')) {
+      const { openInspector } = await import('./cetana/inspector.js');
+      openInspector(document.getElementById('nada-devtools'));
+    }
+    const { initApp } = await import('./cetana/app.js');
     const root = document.getElementById('nada-root');
     initApp(root);
   </script>
@@ -2,7 +2,7 @@
  * Nāda App — initialization, folder access, global signals
  */
 
-import { signal, computed, mount } from '@bodhi/cetana';
+import { signal, computed, mount, onCleanup } from '@bodhi/cetana';
 
 // ── Global State ──────────────────────────────────────────────
 
@@ -21,37 +21,22 @@ export const theme = signal(
 
 // ── Derived State ─────────────────────────────────────────────
 
-export const artistCards = computed(
-  () => library.get().artists,
-  [library]
-);
+export const artistCards = computed(() => library.get().artists);
 
-export const albumCards = computed(
-  () => library.get().albums,
-  [library]
-);
+export const albumCards = computed(() => library.get().albums);
 
-export const trackTitle = computed(
-  () => currentTrack.get()?.title ?? '',
-  [currentTrack]
-);
+export const trackTitle = computed(() => currentTrack.get()?.title ?? '');
 
-export const trackArtist = computed(
-  () => currentTrack.get()?.artist ?? '',
-  [currentTrack]
-);
+export const trackArtist = computed(() => currentTrack.get()?.artist ?? '');
 
-export const libraryStats = computed(
-  () => {
-    const lib = library.get();
-    const a = lib.artists.length;
-    const al = lib.albums.length;
-    const t = lib.tracks.length;
-    if (t === 0) return 'No music indexed';
-    return `${a} artist${a !== 1 ? 's' : ''}, ${al} album${al !== 1 ? 's' : ''}, ${t} track${t !== 1 ? 's' : ''}`;
-  },
-  [library]
-);
+export const libraryStats = computed(() => {
+  const lib = library.get();
+  const a = lib.artists.length;
+  const al = lib.albums.length;
+  const t = lib.tracks.length;
+  if (t === 0) return 'No music indexed';
+  return `${a} artist${a !== 1 ? 's' : ''}, ${al} album${al !== 1 ? 's' : ''}, ${t} track${t !== 1 ? 's' : ''}`;
+});
 
 // ── Actions ───────────────────────────────────────────────────
 
@@ -65,9 +50,8 @@ export async function openFolder() {
     );
     folderPath.set(files[0]?.webkitRelativePath?.split('/')[0] || 'Music Folder');
     folderHandle.set(audioFiles);
-    // Trigger indexing in library module
-    const { indexFiles } = await import('./library.js');
-    indexFiles(audioFiles);
+    // Loading the library module starts indexing: it follows folderHandle
+    await import('./library.js');
   } catch (err) {
     if (err.name !== 'AbortError') {
       console.error('Folder access failed:', err);
@@ -101,36 +85,38 @@ export function toggleTheme() {
 
 export function initApp(root) {
   return mount(root, (el) => {
-    const unsubs = [];
-
     // View switching
-    unsubs.push(currentView.subscribe(view => {
+    currentView.subscribe(view => {
       el.querySelectorAll('[data-bodhi-view]').forEach(v => {
         v.setAttribute('data-bodhi-hidden', v.id !== view ? 'true' : 'false');
       });
       el.querySelectorAll('[data-bodhi-tab]').forEach(btn => {
         btn.setAttribute('aria-selected', btn.dataset.bodhiTab === view ? 'true' : 'false');
       });
-    }));
+    });
 
     // Theme
-    unsubs.push(theme.subscribe(t => {
+    theme.subscribe(t => {
       document.documentElement.setAttribute('data-bodhi-theme', t);
-    }));
-
-    // Connect compiled HTML to signals via render module (browser only)
+    });
+
+    // Connect compiled HTML to signals via render module (browser only).
+    // It loads after setup, so its unmount is kept and called from here.
+    let unmounted = false;
+    let unmountRender = null;
+    onCleanup(() => {
+      unmounted = true;
+      unmountRender?.();
+    });
     if (typeof document !== 'undefined') {
       import('./render.js').then(({ renderApp }) => {
         const compiledHtml = el.innerHTML;
-        if (compiledHtml.trim()) {
-          const cleanup = renderApp(el, compiledHtml);
-          unsubs.push(cleanup);
+        if (compiledHtml.trim() && !unmounted) {
+          unmountRender = renderApp(el, compiledHtml);
         }
       }).catch(() => {
         // render.js not available (e.g. in tests)
       });
     }
-
-    return () => unsubs.forEach(fn => fn());
   });
 }
@@ -0,0 +1,139 @@
+/**
+ * Nada Inspector — the Cetanā devtools panel, opened with ?devtools.
+ *
+ * The panel is compiled from specs/devtools.bodhi.yaml and carried inert
+ * in index.html; this module turns recording on, shows the panel, and
+ * feeds it from window.__BODHI_CETANA__. Open it before app.js loads, or
+ * the app's signals are created unrecorded.
+ *
+ * The panel's own signals are created before recording starts and updated
+ * inside muted(), so it never shows up in the trace it draws.
+ */
+
+import { signal, batch, mount, enableDevtools } from '@bodhi/cetana';
+import { wireLists } from './lists.js';
+
+// Rows kept on screen (the recorder keeps more: see flushes())
+const MAX_FLUSHES = 50;
+const MAX_NAMES = 4;
+
+const devtoolsSummary = signal('');
+const devtoolsFlushes = signal([]);
+const devtoolsNodes = signal([]);
+
+// ── Signal-to-bind mapping ───────────────────────────────────
+// Keys = data-bodhi-bind and data-bodhi-each values in devtools.bodhi.yaml
+
+const SIGNAL_MAP = {
+  devtoolsSummary,
+  devtoolsFlushes,
+  devtoolsNodes,
+};
+
+/**
+ * Start recording and show the panel.
+ *
+ * @param {HTMLTemplateElement} template - Holds the compiled panel markup
+ * @returns {() => void} Closes the panel (recording goes on)
+ */
+export function openInspector(template) {
+  const panel = template.content.firstElementChild.cloneNode(true);
+  document.body.appendChild(panel);
+
+  const cetana = enableDevtools();
+  let frame = 0;
+
+  const refresh = () => {
+    frame = 0;
+    const nodes = cetana.nodes();
+    const flushes = cetana.flushes();
+    cetana.muted(() => batch(() => {
+      devtoolsSummary.set(`${nodes.length} nodes · ${flushes.length} updates`);
+      devtoolsFlushes.set(flushes.slice(-MAX_FLUSHES).reverse().map(flushRow));
+      const byId = new Map(nodes.map(node => [node.id, node]));
+      devtoolsNodes.set(nodes.map(node => nodeRow(node, byId)));
+    }));
+  };
+  // Redraw at most once a frame, however many flushes land in it
+  const schedule = () => {
+    if (!frame) frame = requestAnimationFrame(refresh);
+  };
+
+  const ACTION_MAP = {
+    clearTrace() {
+      cetana.clear();
+      refresh();
+    },
+  };
+
+  const unmount = cetana.muted(() => mount(panel, () => {
+    wireTextBindings(panel);
+    wireLists(panel, SIGNAL_MAP);
+    wireEventListeners(panel, ACTION_MAP);
+  }));
+  const unsubscribe = cetana.subscribe(schedule);
+  refresh();
+
+  return () => {
+    unsubscribe();
+    if (frame) cancelAnimationFrame(frame);
+    cetana.muted(unmount);
+    panel.remove();
+  };
+}
+
+function wireTextBindings(root) {
+  for (const el of root.querySelectorAll('[data-bodhi-bind]')) {
+    if (el.parentElement.closest('[data-bodhi-bind]')) continue;
+    const sig = SIGNAL_MAP[el.dataset.bodhiBind];
+    if (!sig) continue;
+    sig.subscribe(value => {
+      el.textContent = value ?? '';
+    });
+  }
+}
+
+function wireEventListeners(root, actions) {
+  for (const el of root.querySelectorAll('[data-bodhi-on-click]')) {
+    const fn = actions[el.dataset.bodhiOnClick];
+    if (fn) el.addEventListener('click', fn);
+  }
+}
+
+// ── Rows ─────────────────────────────────────────────────────
+
+function flushRow(flush) {
+  return {
+    id: flush.id,
+    label: `#${flush.id} · ${flush.duration.toFixed(1)} ms`,
+    changed: flush.changed.length ? `changed ${names(flush.changed)}` : '',
+    ran: flush.ran.length ? `ran ${names(flush.ran)}` : '',
+    errors: flush.errors.map(e => `${e.label} threw: ${e.message}`).join('; '),
+  };
+}
+
+function nodeRow(node, byId) {
+  const edges = ids => names(ids.map(id => byId.get(id)).filter(Boolean));
+  return {
+    id: node.id,
+    label: `${node.label} (${node.kind})`,
+    value: node.kind === 'signal' || node.kind === 'computed' ? preview(node.value) : '',
+    edges: [
+      node.sources.length ? `← ${edges(node.sources)}` : '',
+      node.observers.length ? `→ ${edges(node.observers)}` : '',
+    ].filter(Boolean).join('  '),
+  };
+}
+
+function names(entries) {
+  const shown = entries.slice(0, MAX_NAMES).map(e => e.label).join(', ');
+  return entries.length > MAX_NAMES ? `${shown} +${entries.length - MAX_NAMES}` : shown;
+}
+
+function preview(value) {
+  if (value === undefined) return '';
+  if (Array.isArray(value)) return `[${value.length} items]`;
+  if (value && typeof value === 'object') return '{…}';
+  const text = typeof value === 'string' ? JSON.stringify(value) : String(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
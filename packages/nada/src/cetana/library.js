@@ -2,36 +2,58 @@
  * Nada Library — metadata indexing and OPFS caching
  */
 
-import { signal } from '@bodhi/cetana';
-import { library } from './app.js';
+import { signal, computed, resource } from '@bodhi/cetana';
+import { library, folderHandle } from './app.js';
 
-/** Progress signal: { current, total } or null when idle */
+/** Progress of the latest indexing run: { current, total } or null */
 export const indexProgress = signal(null);
 
+/**
+ * Indexing follows the chosen folder: choosing another aborts the run in
+ * progress. Whether it is loading, failed or found nothing is the
+ * resource's to say, not indexFiles()'s.
+ */
+export const libraryIndex = resource(indexFiles, folderHandle, { name: 'libraryIndex' });
+
+/**
+ * The signal the shell's `status: libraryIndex.*` nodes follow (the
+ * `<name>Status` signal compiled specs expect).
+ */
+export const libraryIndexStatus = libraryIndex.status;
+
+/** What the shell's loading node says while indexing */
+export const indexProgressLabel = computed(() => {
+  const progress = indexProgress.get();
+  if (!libraryIndex.loading.get() || !progress) return '';
+  return `Indexing ${progress.current} of ${progress.total} files...`;
+});
+
 /**
  * Index audio files — parse metadata and build library structure.
  * Runs metadata parsing in a Web Worker when available,
  * falls back to main thread in environments without Worker support.
+ * Resolves with the tracks; rejects with the abort reason if `signal`
+ * aborts first.
  */
-export async function indexFiles(audioFiles) {
-  let tracks;
+export async function indexFiles(audioFiles, { signal } = {}) {
+  signal?.throwIfAborted();
+  indexProgress.set({ current: 0, total: audioFiles.length });
 
-  if (typeof Worker !== 'undefined') {
-    tracks = await indexInWorker(audioFiles);
-  } else {
-    tracks = await indexOnMainThread(audioFiles);
-  }
+  const tracks = typeof Worker !== 'undefined'
+    ? await indexInWorker(audioFiles, signal)
+    : await indexOnMainThread(audioFiles, signal);
+  signal?.throwIfAborted();
 
   buildLibrary(tracks, audioFiles);
-  indexProgress.set(null);
   await cacheLibrary(tracks);
+  return tracks;
 }
 
 /**
  * Parse metadata in a Web Worker (off main thread).
  * Files are read to ArrayBuffer on main thread and transferred.
  */
-async function indexInWorker(audioFiles) {
+async function indexInWorker(audioFiles, signal) {
   const fileData = await Promise.all(
     audioFiles.map(async (file) => ({
       name: file.name,
@@ -40,11 +62,20 @@ async function indexInWorker(audioFiles) {
     }))
   );
 
-  return new Promise((resolve) => {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
     const worker = new Worker(
       new URL('../workers/index-worker.js', import.meta.url),
       { type: 'module' }
     );
+    signal?.addEventListener('abort', () => {
+      worker.terminate();
+      reject(signal.reason);
+    }, { once: true });
+    worker.addEventListener('error', (event) => {
+      worker.terminate();
+      reject(event.error || new Error('Indexing worker failed'));
+    });
 
     worker.addEventListener('message', (event) => {
       const msg = event.data;
@@ -71,11 +102,12 @@ async function indexInWorker(audioFiles) {
 /**
  * Parse metadata on the main thread (fallback for test/no-Worker envs).
  */
-async function indexOnMainThread(audioFiles) {
+async function indexOnMainThread(audioFiles, signal) {
   const tracks = [];
   const total = audioFiles.length;
 
   for (let i = 0; i < total; i++) {
+    signal?.throwIfAborted();
     const file = audioFiles[i];
     try {
       const mm = await import('music-metadata');
@@ -102,8 +134,11 @@ async function indexOnMainThread(audioFiles) {
         file,
       });
     }
+    // A superseded run leaves the progress to the run that replaced it
+    if (signal?.aborted) break;
     indexProgress.set({ current: i + 1, total });
   }
+  signal?.throwIfAborted();
 
   return tracks;
 }
@@ -161,6 +196,11 @@ async function cacheLibrary(tracks) {
   }
 }
 
+/**
+ * The tracks cached by the last indexing run, or null. Not loaded at
+ * startup: cached tracks carry no File, so none of them could play until
+ * the folder is chosen again (and indexed anew).
+ */
 export async function loadCachedLibrary() {
   try {
     if (typeof navigator === 'undefined' || !navigator.storage?.getDirectory) return null;
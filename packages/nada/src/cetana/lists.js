@@ -0,0 +1,85 @@
+/**
+ * Nada Lists — renders each `each:` list of compiled Bodhi HTML from its
+ * <template> row, as compiled JS does (see emitEach() in the compiler),
+ * for render.js and inspector.js, which wire the HTML by hand.
+ *
+ * Rows are keyed like compiled JS: by the `key:` field, by all of several
+ * fields, or by identity without one. Binds are `item.*`.
+ */
+
+import { list } from '@bodhi/cetana';
+
+/**
+ * Render every list under `root` whose name has a signal.
+ *
+ * @param {Element} root
+ * @param {object} signals - data-bodhi-each value → signal holding the items
+ * @param {object} [options]
+ * @param {object} [options.fills] - Item field → (el, value) => void; other
+ *   fields are filled as text
+ * @param {object} [options.actions] - data-bodhi-on-click value → (item) => void
+ */
+export function wireLists(root, signals, { fills = {}, actions = {} } = {}) {
+  for (const container of root.querySelectorAll('[data-bodhi-each]')) {
+    const sig = signals[container.dataset.bodhiEach];
+    const template = container.querySelector(':scope > template');
+    if (!sig || !template) continue;
+    const itemOf = new WeakMap();
+
+    const fill = (row, item) => {
+      itemOf.set(row, item);
+      // The compiler nests a span carrying the same bind: fill the outer one
+      // (picked before filling, which detaches the inner span)
+      const targets = [...row.querySelectorAll('[data-bodhi-bind^="item."]')]
+        .filter(el => !el.parentElement.closest('[data-bodhi-bind^="item."]'));
+      for (const el of targets) {
+        const field = el.dataset.bodhiBind.slice('item.'.length);
+        if (fills[field]) fills[field](el, item[field]);
+        else el.textContent = item[field] ?? '';
+      }
+    };
+
+    list(container, sig, {
+      key: keyOf(container.dataset.bodhiKey),
+      render: item => {
+        const row = template.content.firstElementChild.cloneNode(true);
+        wireRowActions(row, actions, () => itemOf.get(row));
+        fill(row, item);
+        return row;
+      },
+      update: fill,
+    });
+  }
+}
+
+// data-bodhi-key="artist title" keys a row by both fields
+function keyOf(key) {
+  if (!key) return item => item;
+  const fields = key.split(' ');
+  return fields.length > 1
+    ? item => JSON.stringify(fields.map(field => item[field]))
+    : item => item[fields[0]];
+}
+
+function wireRowActions(row, actions, itemOf) {
+  for (const el of [row, ...row.querySelectorAll('[data-bodhi-on-click]')]) {
+    const fn = actions[el.dataset.bodhiOnClick];
+    if (!fn) continue;
+    el.addEventListener('click', (e) => {
+      // A button inside a clickable row does only its own action
+      if (el !== row) e.stopPropagation();
+      fn(itemOf());
+    });
+  }
+
+  // A clickable row that is not a button takes focus and Enter/Space
+  const activate = actions[row.dataset.bodhiOnClick];
+  if (activate && row.tagName !== 'BUTTON') {
+    row.setAttribute('tabindex', '0');
+    row.addEventListener('keydown', (e) => {
+      if (e.target !== row || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      activate(itemOf());
+    });
+  }
+}
@@ -100,6 +100,8 @@ export function setVolume(event) {
 }
 
 export function addToQueue(track) {
+  // The queue holds a track once: it is removed and stepped through by id
+  if (queue.get().some(t => t.id === track.id)) return;
   queue.set([...queue.get(), track]);
 }
 
@@ -4,10 +4,10 @@
  * No eval, no dynamic lookup. Explicit mappings only.
  */
 
-import { list } from '@bodhi/cetana';
+import { mount } from '@bodhi/cetana';
 import {
   folderPath, currentView, currentTrack, isPlaying,
-  queue, volume, theme, library,
+  queue, volume, theme,
   trackTitle, trackArtist, libraryStats,
   openFolder, showArtists, showAlbums, showQueue, showSettings,
   toggleTheme, clearCache,
@@ -20,11 +20,12 @@ import {
   selectArtist, selectAlbum, showArtistAlbums, breadcrumbBack,
   nextPage, prevPage,
 } from './views.js';
-import { indexProgress } from './library.js';
+import { indexProgressLabel, libraryIndexStatus } from './library.js';
 import {
   togglePlay, nextTrack, prevTrack, setVolume,
   addToQueue, removeFromQueue, playTrack,
 } from './player.js';
+import { wireLists } from './lists.js';
 
 // ── Signal-to-bind mapping ───────────────────────────────────
 // Keys = data-bodhi-bind values in compiled HTML
@@ -37,10 +38,13 @@ const SIGNAL_MAP = {
   artistCards: paginatedArtists,
   albumCards: paginatedAlbums,
   queueItems: queue,
+  trackListItems: filteredTracks,
   breadcrumb,
-  indexProgress,
+  indexProgressLabel,
   currentTrack,
   libraryStats,
+  // data-bodhi-status="<name>.<status>" follows the <name>Status signal
+  libraryIndexStatus,
 };
 
 // ── Action-to-function mapping ───────────────────────────────
@@ -77,70 +81,67 @@ export function renderApp(root, compiledHtml) {
   // 1. Inject compiled HTML
   root.innerHTML = compiledHtml;
 
-  const unsubs = [];
+  // Every subscription and list made while wiring belongs to this mount
+  return mount(root, () => {
+    // 2. Wire text bindings — simple signal → textContent
+    wireTextBindings(root);
 
-  // 2. Wire text bindings — simple signal → textContent
-  wireTextBindings(root, unsubs);
+    // 3. Wire event listeners
+    wireEventListeners(root);
 
-  // 3. Wire event listeners
-  wireEventListeners(root);
+    // 4. Wire view switching
+    wireViewSwitching(root);
 
-  // 4. Wire view switching
-  wireViewSwitching(root, unsubs);
+    // 5. Wire dynamic lists (grids, queue and track list)
+    wireLists(root, SIGNAL_MAP, { fills: ITEM_FILLS, actions: ITEM_ACTIONS });
+    for (const grid of root.querySelectorAll('#artists, #albums')) wirePagination(grid);
 
-  // 5. Wire dynamic lists (grids and queue)
-  wireGridLists(root, unsubs);
+    // 6. Wire breadcrumb
+    wireBreadcrumb(root);
 
-  // 6. Wire breadcrumb
-  wireBreadcrumb(root, unsubs);
+    // 7. Wire loading, empty and error states
+    wireStatus(root);
 
-  // 7. Wire progress indicator
-  wireProgress(root, unsubs);
+    // 8. Wire keyboard navigation
+    wireKeyboard(root);
 
-  // 8. Wire keyboard navigation
-  wireKeyboard(root);
-
-  // 9. Move album-detail into garbha-content if needed
-  const gc = root.querySelector('.garbha-content');
-  const albumDetail = root.querySelector('article.album-detail, .album-detail');
-  if (albumDetail && gc && albumDetail.parentElement !== gc) {
-    albumDetail.setAttribute('data-bodhi-view', 'album-detail');
-    albumDetail.id = 'album-detail';
-    gc.appendChild(albumDetail);
-  }
-
-  // 10. Wire track list rendering
-  wireTrackList(root, unsubs);
-
-  // 11. Wire now-playing display
-  wireNowPlaying(root, unsubs);
+    // 9. Move album-detail into garbha-content if needed
+    const gc = root.querySelector('.garbha-content');
+    const albumDetail = root.querySelector('article.album-detail, .album-detail');
+    if (albumDetail && gc && albumDetail.parentElement !== gc) {
+      albumDetail.setAttribute('data-bodhi-view', 'album-detail');
+      albumDetail.id = 'album-detail';
+      gc.appendChild(albumDetail);
+    }
 
-  return () => unsubs.forEach(fn => fn());
+    // 10. Wire now-playing display
+    wireNowPlaying(root);
+  });
 }
 
-// Bind names whose values are arrays (rendered by wireGridLists, not text)
+// Bind names whose values are arrays or objects (rendered elsewhere, not as text)
 const LIST_BINDS = new Set([
   'artistCards', 'albumCards', 'queueItems', 'filteredTracks',
   'trackListItems', 'breadcrumb', 'breadcrumbLabel',
   'currentTrack',
 ]);
 
-function wireTextBindings(root, unsubs) {
+function wireTextBindings(root) {
   const boundEls = root.querySelectorAll('[data-bodhi-bind]');
   for (const el of boundEls) {
     const bindName = el.dataset.bodhiBind;
     const sig = SIGNAL_MAP[bindName];
     if (!sig || typeof sig.subscribe !== 'function') continue;
 
-    // Skip list/array signals — handled by wireGridLists or wireBreadcrumb
+    // Skip list/array signals — handled by wireLists or wireBreadcrumb
     if (LIST_BINDS.has(bindName)) continue;
 
     // Skip elements inside list containers (nested bind spans)
     if (el.closest('[data-bodhi-yantra="sangraha"], [data-bodhi-yantra="suci"]')) continue;
 
-    unsubs.push(sig.subscribe(value => {
+    sig.subscribe(value => {
       el.textContent = value ?? '';
-    }));
+    });
   }
 }
 
@@ -148,26 +149,9 @@ function wireEventListeners(root) {
   // Click handlers
   const clickEls = root.querySelectorAll('[data-bodhi-on-click]');
   for (const el of clickEls) {
-    const actionName = el.dataset.bodhiOnClick;
-    const fn = ACTION_MAP[actionName];
+    const fn = ACTION_MAP[el.dataset.bodhiOnClick];
     if (!fn) continue;
-
-    el.addEventListener('click', (e) => {
-      // For list items, pass context from data attributes
-      const itemData = el.closest('[data-item-id]');
-      if (actionName === 'selectArtist' && itemData) {
-        fn(itemData.dataset.itemName);
-      } else if (actionName === 'selectAlbum' && itemData) {
-        fn(itemData.dataset.itemArtist, itemData.dataset.itemName);
-      } else if (actionName === 'playTrack' && itemData) {
-        const track = findTrack(itemData.dataset.itemId);
-        if (track) fn(track);
-      } else if (actionName === 'removeFromQueue' && itemData) {
-        fn(itemData.dataset.itemId);
-      } else {
-        fn(e);
-      }
-    });
+    el.addEventListener('click', fn);
   }
 
   // Input handlers
@@ -180,8 +164,8 @@ function wireEventListeners(root) {
   }
 }
 
-function wireViewSwitching(root, unsubs) {
-  unsubs.push(currentView.subscribe(view => {
+function wireViewSwitching(root) {
+  currentView.subscribe(view => {
     // Show/hide view panels
     root.querySelectorAll('[data-bodhi-view]').forEach(v => {
       v.setAttribute('data-bodhi-hidden', v.id !== view ? 'true' : 'false');
@@ -190,124 +174,74 @@ function wireViewSwitching(root, unsubs) {
     root.querySelectorAll('[data-bodhi-tab]').forEach(btn => {
       btn.setAttribute('aria-selected', btn.dataset.bodhiTab === view ? 'true' : 'false');
     });
-  }));
+  });
 }
 
-function wireGridLists(root, unsubs) {
-  // Artist grid
-  const artistGrid = root.querySelector('[data-bodhi-component="ArtistsView"]');
-  if (artistGrid) {
-    // Clear compiled template content
-    artistGrid.innerHTML = '';
-    unsubs.push(paginatedArtists.subscribe(artists => {
-      artistGrid.innerHTML = '';
-      for (const artist of artists) {
-        const card = document.createElement('article');
-        card.className = 'bindu artist-card';
-        card.dataset.bodhiYantra = 'bindu';
-        card.dataset.itemId = artist.name;
-        card.dataset.itemName = artist.name;
-        card.setAttribute('tabindex', '0');
-        card.setAttribute('role', 'button');
-        card.innerHTML = `
-          <h3 class="artist-name">${escapeHtml(artist.name)}</h3>
-          <p class="artist-count">${escapeHtml(artist.albumCount + ' album' + (artist.albumCount !== 1 ? 's' : ''))}</p>
-        `;
-        card.addEventListener('click', () => selectArtist(artist.name));
-        card.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); selectArtist(artist.name); }
-        });
-        artistGrid.appendChild(card);
-      }
-      renderPagination(artistGrid);
-    }));
-  }
+// ── List rows ────────────────────────────────────────────────
+// Item fields are filled as text unless ITEM_FILLS says how; row actions
+// get the row's item through ITEM_ACTIONS (see lists.js).
 
-  // Album grid
-  const albumGrid = root.querySelector('[data-bodhi-component="AlbumsView"]');
-  if (albumGrid) {
-    albumGrid.innerHTML = '';
-    unsubs.push(paginatedAlbums.subscribe(albums => {
-      albumGrid.innerHTML = '';
-      for (const album of albums) {
-        const card = document.createElement('article');
-        card.className = 'bindu album-card';
-        card.dataset.bodhiYantra = 'bindu';
-        card.dataset.itemId = `${album.artist}|||${album.title}`;
-        card.dataset.itemName = album.title;
-        card.dataset.itemArtist = album.artist;
-        card.setAttribute('tabindex', '0');
-        card.setAttribute('role', 'button');
-        card.innerHTML = `
-          <div class="album-art"></div>
-          <h3 class="album-title">${escapeHtml(album.title)}</h3>
-          <p class="album-artist">${escapeHtml(album.artist)}</p>
-        `;
-        card.addEventListener('click', () => selectAlbum(album.artist, album.title));
-        card.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); selectAlbum(album.artist, album.title); }
-        });
-        albumGrid.appendChild(card);
-      }
-      renderPagination(albumGrid);
-    }));
-  }
+const ITEM_FILLS = {
+  albumCount: (el, n) => { el.textContent = `${n} album${n !== 1 ? 's' : ''}`; },
+  track: (el, n) => { el.textContent = n ? String(n) : ''; },
+  duration: (el, sec) => { el.textContent = formatDuration(sec); },
+  // Cover art is a picture: an album without one keeps the placeholder
+  albumArt: (el, url) => { el.style.backgroundImage = url ? `url(${JSON.stringify(url)})` : ''; },
+};
 
-  // Queue list
-  const queueList = root.querySelector('[data-bodhi-component="QueueView"]');
-  if (queueList) {
-    queueList.innerHTML = '';
-    unsubs.push(queue.subscribe(items => {
-      queueList.innerHTML = '';
-      for (const track of items) {
-        const row = document.createElement('article');
-        row.className = 'bindu queue-item';
-        row.dataset.bodhiYantra = 'bindu';
-        row.dataset.itemId = track.id;
-        row.innerHTML = `
-          <span class="queue-track-title">${escapeHtml(track.title)}</span>
-          <span class="queue-track-artist">${escapeHtml(track.artist)}</span>
-          <button class="kriya queue-remove" type="button" aria-label="Remove from queue">✕</button>
-        `;
-        const removeBtn = row.querySelector('.queue-remove');
-        removeBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          removeFromQueue(track.id);
-        });
-        queueList.appendChild(row);
-      }
-    }));
-  }
-}
+const ITEM_ACTIONS = {
+  selectArtist: artist => selectArtist(artist.name),
+  selectAlbum: album => selectAlbum(album.artist, album.title),
+  playTrack,
+  addToQueue,
+  removeFromQueue: track => removeFromQueue(track.id),
+};
 
-function renderPagination(container) {
-  const total = totalPages.get();
-  if (total <= 1) return;
-  const current = page.get();
+// Pagination sits after its grid, outside the list, and shows with it
+function wirePagination(grid) {
   const nav = document.createElement('nav');
   nav.className = 'pagination';
   nav.setAttribute('aria-label', 'Page navigation');
-  nav.innerHTML = `
-    <button class="kriya pagination-prev" type="button" aria-label="Previous page" ${current === 0 ? 'disabled' : ''}>‹ Prev</button>
-    <span class="pagination-info">Page ${current + 1} of ${total}</span>
-    <button class="kriya pagination-next" type="button" aria-label="Next page" ${current >= total - 1 ? 'disabled' : ''}>Next ›</button>
-  `;
-  nav.querySelector('.pagination-prev').addEventListener('click', prevPage);
-  nav.querySelector('.pagination-next').addEventListener('click', nextPage);
-  container.appendChild(nav);
-}
 
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  const prev = document.createElement('button');
+  prev.type = 'button';
+  prev.className = 'kriya pagination-prev';
+  prev.setAttribute('aria-label', 'Previous page');
+  prev.textContent = '\u2039 Prev';
+  prev.addEventListener('click', prevPage);
+
+  const info = document.createElement('span');
+  info.className = 'pagination-info';
+
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'kriya pagination-next';
+  next.setAttribute('aria-label', 'Next page');
+  next.textContent = 'Next \u203A';
+  next.addEventListener('click', nextPage);
+
+  nav.append(prev, info, next);
+  grid.after(nav);
+
+  const sync = () => {
+    const total = totalPages.get();
+    const current = page.get();
+    nav.hidden = currentView.get() !== grid.id || total <= 1;
+    info.textContent = `Page ${current + 1} of ${total}`;
+    prev.disabled = current === 0;
+    next.disabled = current >= total - 1;
+  };
+  sync();
+  totalPages.subscribe(sync);
+  page.subscribe(sync);
+  currentView.subscribe(sync);
 }
 
-function wireBreadcrumb(root, unsubs) {
+function wireBreadcrumb(root) {
   const bcNav = root.querySelector('.breadcrumb-nav');
   if (!bcNav) return;
 
-  unsubs.push(breadcrumb.subscribe(crumbs => {
+  breadcrumb.subscribe(crumbs => {
     bcNav.innerHTML = '';
     crumbs.forEach((crumb, i) => {
       if (i > 0) {
@@ -330,29 +264,20 @@ function wireBreadcrumb(root, unsubs) {
         bcNav.appendChild(span);
       }
     });
-  }));
+  });
 }
 
-function wireProgress(root, unsubs) {
-  // Find or create progress element
-  let progressEl = root.querySelector('.index-progress');
-  if (!progressEl) {
-    progressEl = document.createElement('p');
-    progressEl.className = 'index-progress';
-    progressEl.setAttribute('aria-live', 'polite');
-    const folderBar = root.querySelector('.folder-bar');
-    if (folderBar) folderBar.appendChild(progressEl);
-  }
+function wireStatus(root) {
+  for (const el of root.querySelectorAll('[data-bodhi-status]')) {
+    // As in compiled JS: "libraryIndex.empty" follows libraryIndexStatus
+    const [name, status] = el.dataset.bodhiStatus.split('.');
+    const sig = SIGNAL_MAP[`${name}Status`];
+    if (!sig) continue;
 
-  unsubs.push(indexProgress.subscribe(progress => {
-    if (progress) {
-      progressEl.textContent = `Indexing ${progress.current} of ${progress.total} files...`;
-      progressEl.style.display = '';
-    } else {
-      progressEl.textContent = '';
-      progressEl.style.display = 'none';
-    }
-  }));
+    const show = current => { el.hidden = current !== status; };
+    show(sig.get());
+    sig.subscribe(show);
+  }
 }
 
 function wireKeyboard(root) {
@@ -378,87 +303,22 @@ function wireKeyboard(root) {
   });
 }
 
-function findTrack(id) {
-  const lib = library.get();
-  return lib.tracks.find(t => t.id === id) || null;
-}
-
-function wireTrackList(root, unsubs) {
-  const trackList = root.querySelector('.track-list');
-  if (!trackList) return;
-
-  // Clear compiled template content
-  trackList.innerHTML = '';
-  trackList.style.cssText = 'list-style:none; padding:0; margin:0;';
-
-  unsubs.push(filteredTracks.subscribe(tracks => {
-    trackList.innerHTML = '';
-    if (tracks.length === 0) return;
-
-    tracks.forEach((track, i) => {
-      const row = document.createElement('li');
-      row.className = 'bindu track-row';
-      row.setAttribute('tabindex', '0');
-      row.style.cssText = 'display:flex; align-items:center; gap:1rem; padding:0.75rem 1rem; border-bottom:1px solid var(--nada-border, #ddd); cursor:pointer;';
-
-      const num = document.createElement('span');
-      num.className = 'track-num';
-      num.style.cssText = 'min-width:2rem; color:var(--nada-text-muted, #888);';
-      num.textContent = String(i + 1);
-
-      const name = document.createElement('span');
-      name.className = 'track-name';
-      name.style.cssText = 'flex:1; font-weight:500;';
-      name.textContent = track.title;
-
-      const dur = document.createElement('span');
-      dur.className = 'track-duration';
-      dur.style.cssText = 'color:var(--nada-text-muted, #888);';
-      dur.textContent = formatDuration(track.duration);
-
-      const playBtn = document.createElement('button');
-      playBtn.type = 'button';
-      playBtn.className = 'kriya track-play';
-      playBtn.textContent = '\u25B6 Play';
-      playBtn.style.cssText = 'padding:4px 12px; cursor:pointer; border:1px solid var(--nada-border,#ccc); border-radius:4px; background:var(--nada-accent, #4a6fa5); color:white; font-weight:500;';
-      playBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        playTrack(track);
-      });
-
-      const queueBtn = document.createElement('button');
-      queueBtn.type = 'button';
-      queueBtn.className = 'kriya track-queue';
-      queueBtn.textContent = '+ Queue';
-      queueBtn.style.cssText = 'padding:4px 12px; cursor:pointer; border:1px solid var(--nada-border,#ccc); border-radius:4px; background:var(--nada-surface,#fff); color:var(--nada-text,#222);';
-      queueBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        addToQueue(track);
-      });
-
-      row.append(num, name, dur, playBtn, queueBtn);
-      row.addEventListener('click', () => playTrack(track));
-      trackList.appendChild(row);
-    });
-  }));
-}
-
 function formatDuration(sec) {
   if (!sec) return '';
   return Math.floor(sec / 60) + ':' + String(Math.floor(sec % 60)).padStart(2, '0');
 }
 
-function wireNowPlaying(root, unsubs) {
-  unsubs.push(trackTitle.subscribe(title => {
+function wireNowPlaying(root) {
+  trackTitle.subscribe(title => {
     const el = root.querySelector('.track-title');
     if (el) el.textContent = title;
-  }));
-  unsubs.push(trackArtist.subscribe(artist => {
+  });
+  trackArtist.subscribe(artist => {
     const el = root.querySelector('.track-artist');
     if (el) el.textContent = artist;
-  }));
-  unsubs.push(isPlaying.subscribe(playing => {
+  });
+  isPlaying.subscribe(playing => {
     const btn = root.querySelector('.ctrl-play');
     if (btn) btn.textContent = playing ? '\u23F8' : '\u25B6';
-  }));
+  });
 }
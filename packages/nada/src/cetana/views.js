@@ -34,7 +34,7 @@ export const breadcrumb = computed(() => {
   }
 
   return crumbs;
-}, [currentView, selectedArtist, selectedAlbum]);
+});
 
 // ── Filtered views for drill-down ────────────────────────────
 
@@ -42,13 +42,13 @@ export const filteredAlbums = computed(() => {
   const artist = selectedArtist.get();
   if (!artist) return library.get().albums;
   return library.get().albums.filter(a => a.artist === artist);
-}, [selectedArtist, library]);
+});
 
 export const filteredTracks = computed(() => {
   const album = selectedAlbum.get();
   if (!album) return [];
   return album.tracks || [];
-}, [selectedAlbum]);
+});
 
 // ── Paginated views ──────────────────────────────────────────
 
@@ -56,7 +56,7 @@ export const paginatedArtists = computed(() => {
   const artists = library.get().artists;
   const start = page.get() * pageSize.get();
   return artists.slice(start, start + pageSize.get());
-}, [library, page, pageSize]);
+});
 
 export const paginatedAlbums = computed(() => {
   const albums = selectedArtist.get()
@@ -64,7 +64,7 @@ export const paginatedAlbums = computed(() => {
     : library.get().albums;
   const start = page.get() * pageSize.get();
   return albums.slice(start, start + pageSize.get());
-}, [library, page, pageSize, selectedArtist, filteredAlbums]);
+});
 
 export const totalPages = computed(() => {
   const view = currentView.get();
@@ -80,7 +80,7 @@ export const totalPages = computed(() => {
     items = [];
   }
   return Math.ceil(items.length / pageSize.get()) || 1;
-}, [currentView, library, pageSize, selectedArtist, filteredAlbums, filteredTracks]);
+});
 
 // ── Navigation actions ───────────────────────────────────────
 
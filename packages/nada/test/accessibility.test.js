@@ -8,9 +8,9 @@ const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1'
 const SPECS_DIR = resolve(ROOT, 'src/specs');
 
 const shellYaml = readFileSync(resolve(SPECS_DIR, 'shell.bodhi.yaml'), 'utf8');
-const shell = compile(shellYaml);
+const shell = compile(shellYaml, { filename: resolve(SPECS_DIR, 'shell.bodhi.yaml') });
 const detailYaml = readFileSync(resolve(SPECS_DIR, 'album-detail.bodhi.yaml'), 'utf8');
-const detail = compile(detailYaml);
+const detail = compile(detailYaml, { filename: resolve(SPECS_DIR, 'album-detail.bodhi.yaml') });
 
 // ── Keyboard Accessibility ────────────────────────────────────
 
@@ -110,7 +110,7 @@ describe('Keyboard Navigation', () => {
     const specs = ['shell', 'artists', 'albums', 'album-detail', 'queue', 'settings'];
     for (const name of specs) {
       const yaml = readFileSync(resolve(SPECS_DIR, `${name}.bodhi.yaml`), 'utf8');
-      const result = compile(yaml);
+      const result = compile(yaml, { filename: resolve(SPECS_DIR, `${name}.bodhi.yaml`) });
       const divClicks = result.html.match(/<div[^>]*data-bodhi-on-click/g);
       assert.equal(divClicks, null, `${name}: found div with click handler`);
     }
@@ -128,7 +128,7 @@ describe('Zero Telemetry', () => {
 
   for (const name of allSpecs) {
     const yaml = readFileSync(resolve(SPECS_DIR, `${name}.bodhi.yaml`), 'utf8');
-    const result = compile(yaml);
+    const result = compile(yaml, { filename: resolve(SPECS_DIR, `${name}.bodhi.yaml`) });
 
     it(`${name}: no analytics/tracking attributes`, () => {
       const forbidden = ['analytics', 'telemetry', 'tracking', 'beacon', 'gtag', 'ga('];
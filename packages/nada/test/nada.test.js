@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { compile } from '@bodhi/compiler';
+import { signal, effect, disableDevtools } from '@bodhi/cetana';
 
 const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
 const SPECS_DIR = resolve(ROOT, 'src/specs');
@@ -23,7 +24,7 @@ describe('Nāda YAML Specs', () => {
   for (const file of specs) {
     it(`${file} compiles without errors`, () => {
       const yaml = readFileSync(resolve(SPECS_DIR, file), 'utf8');
-      const result = compile(yaml);
+      const result = compile(yaml, { filename: resolve(SPECS_DIR, file) });
       assert.deepEqual(result.errors, [], `Errors: ${result.errors.join(', ')}`);
       assert.ok(result.html.length > 0, 'HTML output is empty');
       assert.ok(result.css.length > 0, 'CSS output is empty');
@@ -35,7 +36,7 @@ describe('Nāda YAML Specs', () => {
 
 describe('Nāda Shell Structure', () => {
   const yaml = readFileSync(resolve(SPECS_DIR, 'shell.bodhi.yaml'), 'utf8');
-  const result = compile(yaml);
+  const result = compile(yaml, { filename: resolve(SPECS_DIR, 'shell.bodhi.yaml') });
 
   it('shell uses Garbha (main) as root yantra', () => {
     assert.ok(result.html.startsWith('<main'));
@@ -186,14 +187,14 @@ describe('Breadcrumb Navigation', () => {
 
   it('breadcrumb.bodhi.yaml compiles without errors', () => {
     const yaml = readFileSync(resolve(SPECS_DIR, 'breadcrumb.bodhi.yaml'), 'utf8');
-    const result = compile(yaml);
+    const result = compile(yaml, { filename: resolve(SPECS_DIR, 'breadcrumb.bodhi.yaml') });
     assert.deepEqual(result.errors, [], `Errors: ${result.errors.join(', ')}`);
     assert.ok(result.html.includes('aria-label="Breadcrumb"'));
   });
 
   it('shell includes breadcrumb navigation', () => {
     const yaml = readFileSync(resolve(SPECS_DIR, 'shell.bodhi.yaml'), 'utf8');
-    const result = compile(yaml);
+    const result = compile(yaml, { filename: resolve(SPECS_DIR, 'shell.bodhi.yaml') });
     assert.ok(result.html.includes('aria-label="Breadcrumb navigation"'));
   });
 
@@ -232,13 +233,35 @@ describe('Web Worker for Metadata Parsing', () => {
     const libSrc = readFileSync(resolve(ROOT, 'src/cetana/library.js'), 'utf8');
     assert.ok(libSrc.includes("typeof Worker !== 'undefined'"), 'Must check Worker availability');
   });
+
+  it('stops indexing when the folder is superseded, leaving the progress alone', async () => {
+    const { indexFiles, indexProgress } = await import('../src/cetana/library.js');
+    const controller = new AbortController();
+    const file = (name, onRead) => ({ get name() { onRead?.(); return name; }, size: 1 });
+    // Another folder is chosen while the second file is being read
+    const files = [file('a.mp3'), file('b.mp3', () => controller.abort()), file('c.mp3')];
+    await assert.rejects(indexFiles(files, { signal: controller.signal }), { name: 'AbortError' });
+    assert.deepEqual(indexProgress.get(), { current: 1, total: 3 });
+  });
+
+  it('shows loading, empty and error states from the index resource', () => {
+    const html = readFileSync(resolve(ROOT, 'dist/index.html'), 'utf8');
+    for (const status of ['loading', 'empty', 'error']) {
+      assert.ok(html.includes(`data-bodhi-status="libraryIndex.${status}" hidden`), `${status} state starts hidden`);
+    }
+  });
 });
 
 // ── M1-M9 Compliance (structural checks) ─────────────────────
 
 describe('Bodhi M1-M9 Compliance', () => {
   const shellYaml = readFileSync(resolve(SPECS_DIR, 'shell.bodhi.yaml'), 'utf8');
-  const result = compile(shellYaml);
+  const result = compile(shellYaml, { filename: resolve(SPECS_DIR, 'shell.bodhi.yaml') });
+
+  it('passes the compiler\'s ethics markers in dogmatic mode', () => {
+    const dogmatic = compile(shellYaml, { filename: resolve(SPECS_DIR, 'shell.bodhi.yaml'), ethics: 'dogmatic' });
+    assert.deepEqual(dogmatic.diagnostics.filter(d => d.marker), []);
+  });
 
   it('M3: nothing auto-plays (no autoplay attributes)', () => {
     assert.ok(!result.html.includes('autoplay'));
@@ -258,3 +281,201 @@ describe('Bodhi M1-M9 Compliance', () => {
     }
   });
 });
+
+// ── Devtools ──────────────────────────────────────────────────
+
+// ── Minimal DOM shim ──────────────────────────────────────────
+// Enough of the DOM to mount compiled markup in Node.js: elements parsed
+// from well-formed HTML, attribute selectors and `:scope > tag`
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'link', 'meta']);
+
+function parseHtml(html) {
+  const fragment = createElement('#fragment');
+  let parent = fragment;
+  for (const [token, close, tag, attrs] of html.matchAll(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>|[^<]+/g)) {
+    if (!tag) {
+      if (token.trim()) parent.appendChild(createText(token.trim()));
+    } else if (close) {
+      parent = parent.host || parent.parentElement;
+    } else {
+      const el = createElement(tag);
+      for (const [, name, value = ''] of attrs.matchAll(/([^\s=]+)(?:="([^"]*)")?/g)) {
+        el.setAttribute(name, value);
+      }
+      parent.appendChild(el);
+      if (!VOID_ELEMENTS.has(el.tagName.toLowerCase())) parent = el.content || el;
+    }
+  }
+  return fragment;
+}
+
+function createText(text) {
+  return { parentElement: null, textContent: text, cloneNode() { return createText(this.textContent); } };
+}
+
+function createElement(tag) {
+  const attributes = new Map();
+  const listeners = [];
+  const el = {
+    tagName: tag.toUpperCase(),
+    parentElement: null,
+    childNodes: [],
+    get dataset() {
+      const data = {};
+      for (const [name, value] of attributes) {
+        if (name.startsWith('data-')) data[name.slice(5).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+      }
+      return data;
+    },
+    getAttribute: name => attributes.get(name) ?? null,
+    setAttribute: (name, value) => attributes.set(name, String(value)),
+    get children() { return el.childNodes.filter(node => node.tagName); },
+    get firstElementChild() { return el.children[0] || null; },
+    get firstChild() { return el.childNodes[0] || null; },
+    get nextSibling() {
+      const siblings = el.parentElement?.childNodes || [];
+      return siblings[siblings.indexOf(el) + 1] || null;
+    },
+    get textContent() { return el.childNodes.map(node => node.textContent).join(''); },
+    set textContent(text) {
+      for (const node of el.childNodes) node.parentElement = null;
+      el.childNodes = [];
+      if (text !== '') el.appendChild(createText(text));
+    },
+    appendChild: node => el.insertBefore(node, null),
+    insertBefore(node, ref) {
+      node.remove?.();
+      const at = ref ? el.childNodes.indexOf(ref) : -1;
+      el.childNodes.splice(at < 0 ? el.childNodes.length : at, 0, node);
+      node.parentElement = el;
+      return node;
+    },
+    remove() {
+      if (!el.parentElement) return;
+      el.parentElement.childNodes.splice(el.parentElement.childNodes.indexOf(el), 1);
+      el.parentElement = null;
+    },
+    contains: node => node === el || el.children.some(child => child.contains(node)),
+    matches: selector => matchesSelector(el, attributes, selector),
+    closest: selector => (el.matches(selector) ? el : el.parentElement?.closest?.(selector) ?? null),
+    querySelectorAll(selector) {
+      const direct = selector.match(/^:scope > (.+)$/);
+      if (direct) return el.children.filter(child => child.matches(direct[1]));
+      return el.children.flatMap(child => [
+        ...(child.matches(selector) ? [child] : []),
+        ...child.querySelectorAll(selector),
+      ]);
+    },
+    querySelector: selector => el.querySelectorAll(selector)[0] || null,
+    cloneNode() {
+      const copy = createElement(tag);
+      for (const [name, value] of attributes) copy.setAttribute(name, value);
+      for (const node of el.childNodes) copy.appendChild(node.cloneNode(true));
+      if (el.content) for (const node of el.content.childNodes) copy.content.appendChild(node.cloneNode(true));
+      return copy;
+    },
+    addEventListener: (type, fn) => listeners.push({ type, fn }),
+    click() {
+      const event = { type: 'click', target: el, stopPropagation() {}, preventDefault() {} };
+      for (const { type, fn } of listeners) if (type === 'click') fn(event);
+    },
+  };
+  if (tag === 'template') {
+    el.content = createElement('#fragment');
+    el.content.host = el;
+  }
+  return el;
+}
+
+function matchesSelector(el, attributes, selector) {
+  const attr = selector.match(/^\[([\w-]+)(?:(\^?=)"([^"]*)")?\]$/);
+  if (!attr) {
+    if (selector.startsWith('.')) return (attributes.get('class') || '').split(' ').includes(selector.slice(1));
+    return el.tagName === selector.toUpperCase();
+  }
+  const [, name, op, value] = attr;
+  if (!attributes.has(name)) return false;
+  if (op === '=') return attributes.get(name) === value;
+  if (op === '^=') return attributes.get(name).startsWith(value);
+  return true;
+}
+
+describe('List Rows', () => {
+  it('keys rows by identity when the list has no key', async () => {
+    const { wireLists } = await import('../src/cetana/lists.js');
+    const root = parseHtml(
+      '<ul data-bodhi-each="tags"><template><li data-bodhi-on-click="pick">'
+      + '<span data-bodhi-bind="item.label"><span data-bodhi-bind="item.label"></span></span>'
+      + '</li></template></ul>',
+    );
+    const a = { label: 'calm' };
+    const b = { label: 'bright' };
+    const tags = signal([a, b]);
+    const picked = [];
+    wireLists(root, { tags }, { actions: { pick: item => picked.push(item) } });
+
+    const rows = () => [...root.querySelectorAll('li')];
+    assert.deepEqual(rows().map(row => row.textContent), ['calm', 'bright']);
+    rows()[1].click();
+    assert.deepEqual(picked, [b]);
+    tags.set([b, a]);
+    await new Promise(r => queueMicrotask(r));
+    assert.deepEqual(rows().map(row => row.textContent), ['bright', 'calm']);
+  });
+});
+
+describe('Devtools Panel', () => {
+  const specFile = resolve(SPECS_DIR, 'devtools.bodhi.yaml');
+
+  it('devtools.bodhi.yaml passes the ethics markers in dogmatic mode', () => {
+    const result = compile(readFileSync(specFile, 'utf8'), { filename: specFile, ethics: 'dogmatic' });
+    assert.deepEqual(result.errors, [], `Errors: ${result.errors.join(', ')}`);
+    assert.deepEqual(result.diagnostics.filter(d => d.marker), []);
+  });
+
+  it('the inspector fills every bind and list in the compiled panel', async (t) => {
+    const { html } = compile(readFileSync(specFile, 'utf8'), { filename: specFile });
+    const frames = [];
+    globalThis.document = { body: parseHtml('<body></body>').firstElementChild, activeElement: null };
+    globalThis.requestAnimationFrame = fn => frames.push(fn);
+    globalThis.cancelAnimationFrame = () => {};
+    t.after(() => {
+      disableDevtools();
+      delete globalThis.document;
+      delete globalThis.requestAnimationFrame;
+      delete globalThis.cancelAnimationFrame;
+    });
+
+    const { openInspector } = await import('../src/cetana/inspector.js');
+    const close = openInspector({ content: parseHtml(html) });
+    const panel = document.body.firstElementChild;
+    const volume = signal(3, { name: 'volume' });
+    effect(() => { volume.get(); }, { name: 'applyVolume' });
+    volume.set(4);
+    await new Promise(r => queueMicrotask(r));
+    while (frames.length) frames.shift()();
+
+    assert.match(panel.querySelector('.devtools-summary').textContent, /^\d+ nodes · 1 updates$/);
+    const nodeRows = [...panel.querySelectorAll('.devtools-node')].map(row => row.textContent);
+    assert.ok(nodeRows.some(text => text.startsWith('volume (signal)4')), nodeRows.join('\n'));
+    const [flush] = panel.querySelectorAll('.devtools-flush');
+    assert.equal(flush.querySelector('.devtools-flush-changed').textContent, 'changed volume');
+    assert.equal(flush.querySelector('.devtools-flush-ran').textContent, 'ran applyVolume');
+
+    panel.querySelector('.devtools-clear').click();
+    assert.equal(panel.querySelectorAll('.devtools-flush').length, 0);
+    close();
+    assert.equal(document.body.firstElementChild, null);
+  });
+
+  it('dist/index.html carries the panel inert and opens it only with ?devtools', () => {
+    const distIndex = readFileSync(resolve(DIST_DIR, 'index.html'), 'utf8');
+    const template = distIndex.match(/<template id="nada-devtools">([\s\S]*?)<\/template>\s*<script/);
+    assert.ok(template, 'Panel template should be inlined');
+    assert.ok(template[1].includes('data-bodhi-component="DevtoolsPanel"'));
+    // Recording must start before app.js creates its signals
+    const opens = distIndex.indexOf("has('devtools')");
+    assert.ok(opens > 0 && opens < distIndex.indexOf("import('./cetana/app.js')"));
+  });
+});
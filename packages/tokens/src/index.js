@@ -6,8 +6,9 @@
  * structure is dogmatic.
  */
 
-export { resolveToken, getAllTokens, spatialTokens, communicativeTokens, voiceTokens } from './lookup/poetic-tokens.js';
-export { yantras, resolveYantra, getAllYantras } from './lookup/yantras.js';
-export { mudras, resolveMudra, getAllMudras } from './lookup/mudras.js';
+export { resolveToken, resolveVoice, getAllTokens, spatialTokens, communicativeTokens, voiceTokens } from './lookup/poetic-tokens.js';
+export { yantras, resolveYantra, getAllYantras, registerYantra } from './lookup/yantras.js';
+export { mudras, resolveMudra, getAllMudras, registerMudra } from './lookup/mudras.js';
+export { ariaRoles, ariaAttributes, interactiveRoles, focusableElements, implicitRoles, checkAria } from './lookup/aria.js';
 export { validateRupa } from './schema/rupa-validator.js';
 export { contrastRatio, meetsContrast, adjustForContrast } from './contrast.js';
\ No newline at end of file
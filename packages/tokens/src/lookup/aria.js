@@ -0,0 +1,105 @@
+/**
+ * Bodhi ARIA Lookup Table
+ *
+ * The WAI-ARIA 1.2 vocabulary Yantras are checked against: which roles
+ * and `aria-*` attributes exist, which roles take keyboard focus, and
+ * which roles HTML elements already carry.
+ *
+ * Resolution path:
+ *   Element + role + attributes → problems (empty when sound)
+ */
+
+// Concrete WAI-ARIA 1.2 roles (abstract roles may not appear in markup)
+export const ariaRoles = new Set([
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote',
+  'button', 'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox',
+  'complementary', 'contentinfo', 'definition', 'deletion', 'dialog',
+  'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid',
+  'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+  'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+  'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar',
+  'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader',
+  'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton',
+  'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+  'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar',
+  'tooltip', 'tree', 'treegrid', 'treeitem',
+]);
+
+// WAI-ARIA 1.2 states and properties
+export const ariaAttributes = new Set([
+  'aria-activedescendant', 'aria-atomic', 'aria-autocomplete',
+  'aria-braillelabel', 'aria-brailleroledescription', 'aria-busy',
+  'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext',
+  'aria-colspan', 'aria-controls', 'aria-current', 'aria-describedby',
+  'aria-description', 'aria-details', 'aria-disabled', 'aria-errormessage',
+  'aria-expanded', 'aria-flowto', 'aria-haspopup', 'aria-hidden',
+  'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby',
+  'aria-level', 'aria-live', 'aria-modal', 'aria-multiline',
+  'aria-multiselectable', 'aria-orientation', 'aria-owns', 'aria-placeholder',
+  'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant',
+  'aria-required', 'aria-roledescription', 'aria-rowcount', 'aria-rowindex',
+  'aria-rowindextext', 'aria-rowspan', 'aria-selected', 'aria-setsize',
+  'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+  'aria-valuetext',
+]);
+
+// Roles a user operates directly: they must be reachable by keyboard
+export const interactiveRoles = new Set([
+  'button', 'checkbox', 'combobox', 'gridcell', 'link', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'scrollbar',
+  'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'textbox', 'treeitem',
+]);
+
+// Elements that take keyboard focus without a tabindex
+export const focusableElements = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary']);
+
+// Roles HTML elements carry without a role attribute
+export const implicitRoles = {
+  a: 'link', article: 'article', aside: 'complementary', button: 'button',
+  dialog: 'dialog', fieldset: 'group', figure: 'figure', footer: 'contentinfo',
+  form: 'form', h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading',
+  h5: 'heading', h6: 'heading', header: 'banner', hr: 'separator', img: 'img',
+  input: 'textbox', li: 'listitem', main: 'main', nav: 'navigation',
+  ol: 'list', p: 'paragraph', progress: 'progressbar', section: 'region',
+  select: 'combobox', table: 'table', textarea: 'textbox', ul: 'list',
+};
+
+// Elements whose own semantics a role may not replace
+const NATIVE_CONTROLS = new Set(['button', 'input', 'select', 'textarea']);
+
+/**
+ * Check an element, role and attributes for ARIA correctness.
+ *
+ * @param {object} target
+ * @param {string} target.element - HTML element name
+ * @param {string|null} [target.role] - Explicit ARIA role
+ * @param {object} [target.attributes] - Attributes the element always carries
+ * @returns {string[]} Problems found, empty when the combination is sound
+ */
+export function checkAria({ element, role = null, attributes = {} }) {
+  const problems = [];
+
+  if (role !== null && role !== undefined) {
+    if (!ariaRoles.has(role)) {
+      problems.push(`"${role}" is not a WAI-ARIA role`);
+    } else {
+      if (NATIVE_CONTROLS.has(element) && role !== implicitRoles[element] && !(element === 'button' && interactiveRoles.has(role))) {
+        problems.push(`<${element}> is a native control; role "${role}" would misrepresent it`);
+      }
+      if (interactiveRoles.has(role) && !focusableElements.has(element) && attributes.tabindex === undefined) {
+        problems.push(`role "${role}" is interactive, but <${element}> is not focusable; add a tabindex`);
+      }
+    }
+  }
+  if (attributes.role !== undefined && attributes.role !== role) {
+    problems.push(`default role attribute "${attributes.role}" contradicts role "${role}"`);
+  }
+
+  for (const name of Object.keys(attributes)) {
+    if (name.startsWith('aria-') && !ariaAttributes.has(name)) {
+      problems.push(`"${name}" is not a WAI-ARIA attribute`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,25 @@
+/**
+ * Bodhi CSS Declarations
+ *
+ * Project Yantras and Mudrās bring their own CSS, which the compiler
+ * writes into the stylesheet as given; each declaration is checked first
+ * so none can close its rule or open another.
+ */
+
+const CSS_PROPERTY = /^(--)?[a-z][a-z0-9-]*$/;
+
+/**
+ * Check a map of CSS declarations: properties must be plain or custom
+ * property names, values non-empty and free of `;`, `{` and `}`.
+ *
+ * @param {object} css — e.g., { display: 'flex' }
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function checkDeclarations(css) {
+  const problems = [];
+  for (const [prop, value] of Object.entries(css)) {
+    if (!CSS_PROPERTY.test(prop)) problems.push(`invalid CSS property "${prop}"`);
+    if (typeof value !== 'string' || !value.trim() || /[;{}]/.test(value)) problems.push(`invalid value for "${prop}"`);
+  }
+  return problems;
+}
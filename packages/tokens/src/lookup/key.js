@@ -0,0 +1,36 @@
+/**
+ * Bodhi Lookup Keys
+ *
+ * Names are written in specs with or without diacritics and in any case;
+ * lookup tables are keyed by the plain ASCII form.
+ *
+ * Resolution path:
+ *   'Ghoṣaṇā' → 'ghosana'
+ */
+
+const ASCII = { 'ā': 'a', 'ī': 'i', 'ū': 'u', 'ṛ': 'r', 'ṝ': 'r', 'ḷ': 'l', 'ḹ': 'l', 'ś': 's', 'ṣ': 's', 'ṇ': 'n', 'ṅ': 'n', 'ṃ': 'm', 'ḥ': 'h' };
+
+/**
+ * The lookup key for a Yantra, Mudrā or voice name: lowercase ASCII letters only.
+ *
+ * @param {string} name — e.g., 'Saṃkṣipta', 'Kathā'
+ * @returns {string}
+ */
+export function lookupKey(name) {
+  return ascii(name).replace(/[^a-z]/g, '');
+}
+
+/**
+ * Whether a name is one word of letters, diacritics allowed, so its
+ * lookup key drops nothing but the marks.
+ *
+ * @param {string} name — e.g., 'Tāla' (but not 'two words')
+ * @returns {boolean}
+ */
+export function isLookupName(name) {
+  return /^[a-z]+$/.test(ascii(name));
+}
+
+function ascii(name) {
+  return name.toLowerCase().replace(/[āīūṛṝḷḹśṣṇṅṃḥ]/g, match => ASCII[match]);
+}
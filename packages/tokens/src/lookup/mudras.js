@@ -8,9 +8,14 @@
  *   Mudrā name → Lookup table → CSS declarations
  *
  * Only Mudrās that Nāda needs are defined here.
- * New Mudrās are added when a real project requires them.
+ * New Mudrās are added when a real project requires them; a project can
+ * also register its own with registerMudra() (or the `mudras` section of
+ * bodhi.config.js).
  */
 
+import { lookupKey } from './key.js';
+import { checkDeclarations } from './css.js';
+
 export const mudras = {
   stupa: {
     sanskrit: 'Stūpa',
@@ -89,12 +94,7 @@ export const mudras = {
  * @returns {object} The Mudrā definition
  */
 export function resolveMudra(name) {
-  const key = name.toLowerCase()
-    .replace(/[āīūṛṝḷḹśṣṇṅṃḥ]/g, match => {
-      const map = { 'ā': 'a', 'ī': 'i', 'ū': 'u', 'ṛ': 'r', 'ṝ': 'r', 'ḷ': 'l', 'ḹ': 'l', 'ś': 's', 'ṣ': 's', 'ṇ': 'n', 'ṅ': 'n', 'ṃ': 'm', 'ḥ': 'h' };
-      return map[match] || match;
-    })
-    .replace(/[^a-z]/g, '');
+  const key = lookupKey(name);
   const mudra = mudras[key];
   if (!mudra) {
     throw new Error(
@@ -105,6 +105,48 @@ export function resolveMudra(name) {
   return mudra;
 }
 
+// Names defined by this table, which registerMudra() may not replace
+const builtin = new Set(Object.keys(mudras));
+
+/**
+ * Register a project Mudrā, or replace one registered before.
+ *
+ *   registerMudra('Vistara', { css: { 'padding-inline': 'var(--bodhi-akasa-vistara, 2rem)' } })
+ *
+ * @param {string} name — e.g., 'Vistāra'; the lookup key drops diacritics
+ * @param {object} definition
+ * @param {object} definition.css — CSS declarations the Mudrā applies
+ * @param {string} [definition.quality] — The gesture quality it expresses
+ * @param {string} [definition.devanagari] — Name in Devanagari
+ * @returns {object} The registered Mudrā definition, with className `mudra-{key}`
+ * @throws {Error} When the name is taken by a built-in Mudrā or the definition is invalid
+ */
+export function registerMudra(name, definition = {}) {
+  const key = lookupKey(String(name));
+  if (!key) throw new Error(`Invalid Mudrā name: "${name}"`);
+  if (builtin.has(key)) throw new Error(`Cannot redefine built-in Mudrā "${name}"`);
+
+  const { css, quality = '', devanagari = '' } = definition || {};
+  const problems = [];
+  if (css === null || typeof css !== 'object' || Array.isArray(css)) {
+    problems.push('"css" must map CSS properties to values');
+  } else {
+    problems.push(...checkDeclarations(css));
+  }
+  if (problems.length) {
+    throw new Error(`Invalid Mudrā "${name}": ${problems.join('; ')}`);
+  }
+
+  mudras[key] = {
+    sanskrit: String(name),
+    devanagari,
+    quality,
+    css: { ...css },
+    className: `mudra-${key}`,
+  };
+  return mudras[key];
+}
+
 /**
  * Get all Mudrā definitions.
  */
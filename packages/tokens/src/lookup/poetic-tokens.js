@@ -18,6 +18,8 @@
  * writing `vicāra` gets a deterministic value from this table.
  */
 
+import { lookupKey } from './key.js';
+
 // ─── Spatial Intent (Ākāśa) ──────────────────────────────────
 // How much breathing room does this element need?
 
@@ -156,6 +158,24 @@ export function resolveToken(tokenName, brandOverrides = {}) {
   return token.defaultValue;
 }
 
+/**
+ * Resolve a voice name as written in specs to its token definition.
+ * Diacritics and case are ignored: 'Ghoṣaṇā' → voiceTokens.ghosana.
+ *
+ * @param {string} name — e.g., 'japa', 'Kathā', 'Ghoṣaṇā'
+ * @returns {object} The voice token definition
+ */
+export function resolveVoice(name) {
+  const voice = voiceTokens[lookupKey(name)];
+  if (!voice) {
+    throw new Error(
+      `Unknown Bodhi voice: "${name}". ` +
+      `Available voices: ${Object.keys(voiceTokens).join(', ')}`,
+    );
+  }
+  return voice;
+}
+
 /**
  * Get all token metadata (for documentation, tooling, etc.)
  */
@@ -9,9 +9,15 @@
  *   Yantra name → Lookup table → HTML element + attributes
  *
  * Only Yantras that Nāda (or obvious universal patterns) need are defined.
- * New Yantras are added when a real project requires them.
+ * New Yantras are added when a real project requires them; a project can
+ * also register its own with registerYantra() (or the `yantras` section
+ * of bodhi.config.js) without changing this table.
  */
 
+import { checkAria } from './aria.js';
+import { lookupKey, isLookupName } from './key.js';
+import { checkDeclarations } from './css.js';
+
 export const yantras = {
   suci: {
     sanskrit: 'Sūci',
@@ -132,10 +138,7 @@ export const yantras = {
  * @returns {object} The Yantra definition
  */
 export function resolveYantra(name) {
-  const key = name.toLowerCase().replace(/[āīūṛṝḷḹśṣṇṅṃḥ]/g, match => {
-    const map = { 'ā': 'a', 'ī': 'i', 'ū': 'u', 'ṛ': 'r', 'ṝ': 'r', 'ḷ': 'l', 'ḹ': 'l', 'ś': 's', 'ṣ': 's', 'ṇ': 'n', 'ṅ': 'n', 'ṃ': 'm', 'ḥ': 'h' };
-    return map[match] || match;
-  });
+  const key = lookupKey(name);
   const yantra = yantras[key];
   if (!yantra) {
     throw new Error(
@@ -146,6 +149,83 @@ export function resolveYantra(name) {
   return yantra;
 }
 
+// Names defined by this table, which registerYantra() may not replace
+const builtin = new Set(Object.keys(yantras));
+
+const ELEMENT_NAME = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const ATTRIBUTE_NAME = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Register a project Yantra, or replace one registered before. The
+ * definition is checked for ARIA correctness: the role must exist, be
+ * keyboard-reachable if interactive, and not misrepresent a native
+ * control, and default `aria-*` attributes must exist. Attribute names
+ * and CSS declarations are written out as given, so they are checked too:
+ * no `on*` handlers, and no CSS that could leave the Yantra's rule.
+ *
+ *   registerYantra('Tala', { element: 'div', role: 'toolbar', purpose: 'Row of tools' })
+ *
+ * @param {string} name — e.g., 'Tāla'; the lookup key drops diacritics
+ * @param {object} definition
+ * @param {string} definition.element — Default HTML element
+ * @param {string[]} [definition.alternateElements=[]] — Other elements `element:` may pick
+ * @param {string|null} [definition.role=null] — ARIA role
+ * @param {object} [definition.defaultAttributes={}] — Attributes every instance carries
+ * @param {object} [definition.css={}] — Base CSS declarations for the Yantra's class
+ * @param {string} [definition.purpose] — What the Yantra is for
+ * @param {string} [definition.devanagari] — Name in Devanagari
+ * @returns {object} The registered Yantra definition
+ * @throws {Error} When the name is taken by a built-in Yantra or the definition is invalid
+ */
+export function registerYantra(name, definition = {}) {
+  const key = lookupKey(String(name));
+  if (!isLookupName(String(name))) throw new Error(`Invalid Yantra name: "${name}"`);
+  if (builtin.has(key)) throw new Error(`Cannot redefine built-in Yantra "${name}"`);
+
+  const {
+    element, alternateElements = [], role = null, defaultAttributes = {}, css = {},
+    purpose = '', devanagari = '',
+  } = definition || {};
+  const problems = [];
+  for (const el of [element, ...(Array.isArray(alternateElements) ? alternateElements : [])]) {
+    if (typeof el !== 'string' || !ELEMENT_NAME.test(el)) problems.push(`invalid element ${JSON.stringify(el)}`);
+  }
+  if (!Array.isArray(alternateElements)) problems.push('"alternateElements" must be an array');
+  if (!isStringMap(defaultAttributes)) {
+    problems.push('"defaultAttributes" must map attribute names to strings');
+  } else {
+    for (const attr of Object.keys(defaultAttributes)) {
+      if (!ATTRIBUTE_NAME.test(attr)) problems.push(`invalid attribute name "${attr}"`);
+      else if (/^on/i.test(attr)) problems.push(`event handler attribute "${attr}" is not allowed`);
+    }
+  }
+  if (!isStringMap(css)) problems.push('"css" must map CSS properties to strings');
+  else problems.push(...checkDeclarations(css));
+  if (!problems.length) {
+    for (const el of [element, ...alternateElements]) {
+      for (const problem of checkAria({ element: el, role, attributes: defaultAttributes })) {
+        problems.push(el === element ? problem : `as <${el}>: ${problem}`);
+      }
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid Yantra "${name}": ${[...new Set(problems)].join('; ')}`);
+  }
+
+  yantras[key] = {
+    sanskrit: String(name),
+    devanagari,
+    purpose,
+    element,
+    alternateElements: [...alternateElements],
+    role,
+    defaultAttributes: { ...defaultAttributes },
+    css: { ...css },
+    className: key,
+  };
+  return yantras[key];
+}
+
 /**
  * Get all Yantra definitions.
  */
@@ -153,4 +233,9 @@ export function getAllYantras() {
   return { ...yantras };
 }
 
+function isStringMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(v => typeof v === 'string');
+}
+
 export default yantras;
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveYantra, registerYantra, yantras } from '../src/lookup/yantras.js';
+import { resolveMudra, registerMudra } from '../src/lookup/mudras.js';
+import { checkAria } from '../src/lookup/aria.js';
+
+describe('Project Yantras — registerYantra()', () => {
+  it('registers a Yantra that resolves like a built-in one', () => {
+    const tala = registerYantra('Tāla', {
+      element: 'div', role: 'toolbar', purpose: 'Row of tools',
+      defaultAttributes: { 'aria-orientation': 'horizontal' }, css: { display: 'flex' },
+    });
+    assert.equal(resolveYantra('Tāla'), tala);
+    assert.equal(resolveYantra('tala').className, 'tala');
+    assert.equal(tala.sanskrit, 'Tāla');
+    assert.deepEqual(tala.alternateElements, []);
+    assert.deepEqual(tala.css, { display: 'flex' });
+  });
+
+  it('replaces a project Yantra registered before', () => {
+    registerYantra('Phala', { element: 'aside', role: 'complementary' });
+    registerYantra('Phala', { element: 'section', role: 'region' });
+    assert.equal(yantras.phala.element, 'section');
+  });
+
+  it('refuses to redefine a built-in Yantra', () => {
+    assert.throws(() => registerYantra('Kriyā', { element: 'a' }), /Cannot redefine built-in Yantra "Kriyā"/);
+    assert.equal(resolveYantra('kriya').element, 'button');
+  });
+
+  it('rejects invalid names and elements', () => {
+    assert.throws(() => registerYantra('two words', { element: 'div' }), /Invalid Yantra name/);
+    assert.throws(() => registerYantra('Rupa', { element: 'Div' }), /invalid element "Div"/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', alternateElements: ['<p>'] }), /invalid element "<p>"/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', css: { display: 1 } }), /"css" must map/);
+  });
+
+  it('rejects CSS and attribute names that would escape the emitted output', () => {
+    assert.throws(
+      () => registerYantra('Evil', { element: 'div', css: { 'color: red} body{display:none': 'x; }' } }),
+      /invalid CSS property "color: red} body\{display:none"; invalid value for/,
+    );
+    assert.throws(() => registerYantra('Rupa', { element: 'div', css: { display: ' ' } }), /invalid value for "display"/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', defaultAttributes: { 'x"><script': '' } }), /invalid attribute name/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', defaultAttributes: { onclick: 'go()' } }), /event handler attribute "onclick"/);
+    assert.throws(() => resolveYantra('evil'), /Unknown Bodhi Yantra/);
+    assert.doesNotThrow(() => registerYantra('Sara', { element: 'div', css: { '--sara-gap': '1rem' }, defaultAttributes: { 'data-sara': '' } }));
+  });
+
+  it('rejects ARIA mistakes', () => {
+    assert.throws(() => registerYantra('Rupa', { element: 'div', role: 'buton' }), /"buton" is not a WAI-ARIA role/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', role: 'switch' }), /not focusable; add a tabindex/);
+    assert.throws(() => registerYantra('Rupa', { element: 'input', role: 'list' }), /<input> is a native control/);
+    assert.throws(() => registerYantra('Rupa', { element: 'ul', defaultAttributes: { 'aria-lable': 'x' } }), /"aria-lable" is not a WAI-ARIA attribute/);
+    assert.throws(() => registerYantra('Rupa', { element: 'div', role: 'tab', alternateElements: ['span'], defaultAttributes: { tabindex: '0', role: 'tablist' } }), /contradicts role "tab"/);
+    assert.throws(() => resolveYantra('rupa'), /Unknown Bodhi Yantra/);
+    assert.doesNotThrow(() => registerYantra('Rupa', { element: 'div', role: 'switch', defaultAttributes: { tabindex: '0' } }));
+  });
+});
+
+describe('Project Mudrās — registerMudra()', () => {
+  it('registers a Mudrā with a mudra-{key} class', () => {
+    const vistara = registerMudra('Vistāra', { quality: 'Breathing room', css: { 'padding-inline': 'var(--bodhi-akasa-vistara, 2rem)' } });
+    assert.equal(resolveMudra('Vistāra'), vistara);
+    assert.equal(vistara.className, 'mudra-vistara');
+  });
+
+  it('refuses built-in names and invalid CSS', () => {
+    assert.throws(() => registerMudra('Stūpa', { css: {} }), /Cannot redefine built-in Mudrā/);
+    assert.throws(() => registerMudra('Bhara', {}), /"css" must map/);
+    assert.throws(() => registerMudra('Bhara', { css: { 'Font Size': '1rem' } }), /invalid CSS property "Font Size"/);
+    assert.throws(() => registerMudra('Bhara', { css: { color: 'red; } body { color: blue' } }), /invalid value for "color"/);
+  });
+});
+
+describe('checkAria()', () => {
+  it('accepts sound combinations, including every built-in Yantra', () => {
+    assert.deepEqual(checkAria({ element: 'div', role: 'grid', attributes: { role: 'grid' } }), []);
+    assert.deepEqual(checkAria({ element: 'button', role: 'tab' }), []);
+    for (const yantra of Object.values(yantras)) {
+      assert.deepEqual(checkAria({ element: yantra.element, role: yantra.role, attributes: yantra.defaultAttributes }), [], yantra.className);
+    }
+  });
+});